@@ -0,0 +1,301 @@
+// scripts/cli.js
+// Linha de comando para rotinas fora do servidor HTTP (cron, scripts de operação),
+// com os mesmos models e serviços das rotas. Uso: npm run cli -- <comando> [opções]
+//
+//   importar <pasta> [--recursivo]                 Importa os XMLs/ZIPs da pasta (venda ou compra pela empresa)
+//   regerar-pdfs [--tipo] [--forcar] [--simular]   Regera DANFEs ausentes ou corrompidos no GridFS
+//   exportar --formato zip|csv|xlsx --saida <arq>  Exporta as notas do período (--tipo, --nivel)
+//   resumo                                         Resumo fiscal do período (vendas x compras)
+//
+// Opções comuns: --empresa <CNPJ ou ID> (obrigatória com mais de uma empresa ativa),
+// --inicio/--fim AAAA-MM-DD, --json (saída JSON em stdout; logs vão para stderr).
+// Saída: 0 sucesso, 1 erro (uso, validação, banco), 2 concluído com falhas em parte dos arquivos/notas.
+import fs from "fs/promises";
+import { createWriteStream } from "fs";
+import os from "os";
+import path from "path";
+import { finished } from "stream/promises";
+import { parseArgs } from "util";
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Empresa } from "../src/models/Empresa.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { ErroRequisicao } from "../src/utils/erros.js";
+import { montarFiltroNotas } from "../src/utils/filtrosNotas.js";
+import { registrarAuditoria } from "../src/services/auditoria.js";
+import { expandirArquivos, importarArquivo, resumirResultados } from "../src/services/importacao.js";
+import { exportarNotas, validarOpcoesExportacao } from "../src/services/exportacao.js";
+import { gerarPacote } from "../src/services/pacote.js";
+import { regerarPdfsPendentes } from "../src/services/pdf.js";
+import { gerarResumoFiscal } from "../src/services/relatorioFiscal.js";
+
+const SAIDA_OK = 0;
+const SAIDA_ERRO = 1;
+const SAIDA_PARCIAL = 2;
+
+const FONTES = {
+  venda: { Model: Nota, tipo: "venda", pasta: "vendas" },
+  compra: { Model: NotaCompra, tipo: "compra", pasta: "compras" }
+};
+
+const OPCOES = {
+  empresa: { type: "string" },
+  inicio: { type: "string" },
+  fim: { type: "string" },
+  tipo: { type: "string" },
+  formato: { type: "string" },
+  nivel: { type: "string" },
+  saida: { type: "string" },
+  recursivo: { type: "boolean" },
+  forcar: { type: "boolean" },
+  simular: { type: "boolean" },
+  json: { type: "boolean" },
+  ajuda: { type: "boolean", short: "h" }
+};
+
+const AJUDA = `Uso: npm run cli -- <comando> [opções]
+
+Comandos:
+  importar <pasta> [--recursivo]
+  regerar-pdfs [--tipo venda|compra|todos] [--forcar] [--simular]
+  exportar --formato zip|csv|xlsx --saida <arquivo> [--tipo venda|compra|todos] [--nivel nota|item]
+  resumo
+
+Opções comuns:
+  --empresa <CNPJ ou ID>   obrigatória quando há mais de uma empresa ativa
+  --inicio, --fim          período de emissão (AAAA-MM-DD)
+  --json                   saída em JSON (stdout); logs em stderr
+
+Saída: 0 sucesso, 1 erro, 2 concluído com falhas parciais.`;
+
+// Mesma regra do cabeçalho X-Empresa: CNPJ ou ID; sem ele, a única empresa ativa
+async function resolverEmpresa(referencia) {
+  if (referencia) {
+    const texto = String(referencia).trim();
+    const empresa = /^[0-9a-f]{24}$/i.test(texto)
+      ? await Empresa.findById(texto)
+      : await Empresa.findOne({ cnpj: texto.replace(/\D/g, "") });
+    if (!empresa || !empresa.ativa) {
+      throw new ErroRequisicao(404, `Empresa ${referencia} não encontrada ou inativa.`);
+    }
+    return empresa;
+  }
+  const ativas = await Empresa.find({ ativa: true }).limit(2);
+  if (ativas.length !== 1) {
+    throw new ErroRequisicao(400, ativas.length === 0
+      ? "Nenhuma empresa ativa cadastrada."
+      : "Informe a empresa com --empresa <CNPJ ou ID>.");
+  }
+  return ativas[0];
+}
+
+function lerFontes(tipo = "todos") {
+  if (tipo === "todos") return Object.values(FONTES);
+  if (!FONTES[tipo]) {
+    throw new ErroRequisicao(400, "--tipo deve ser venda, compra ou todos.");
+  }
+  return [FONTES[tipo]];
+}
+
+// Autor e origem dos registros de auditoria feitos pela CLI
+function contextoCli(argv) {
+  return {
+    autor: { tipo: "sistema", nome: `cli (${os.userInfo().username})` },
+    origem: { metodo: "CLI", rota: ["cli", ...argv].join(" ") }
+  };
+}
+
+// XMLs e ZIPs da pasta (e subpastas, com recursivo)
+async function listarArquivos(pasta, recursivo) {
+  const arquivos = [];
+  for (const entrada of await fs.readdir(pasta, { withFileTypes: true })) {
+    const caminho = path.join(pasta, entrada.name);
+    if (entrada.isDirectory() && recursivo) {
+      arquivos.push(...await listarArquivos(caminho, recursivo));
+    } else if (entrada.isFile() && /\.(xml|zip)$/i.test(entrada.name)) {
+      arquivos.push(caminho);
+    }
+  }
+  return arquivos.sort();
+}
+
+async function importar({ positionals, values, empresa, contexto, escrever }) {
+  const [pasta] = positionals;
+  if (!pasta) {
+    throw new ErroRequisicao(400, "Informe a pasta: importar <pasta>.");
+  }
+
+  const resultados = [];
+  // Um arquivo por vez: a pasta pode ter milhares de XMLs
+  for (const caminho of await listarArquivos(path.resolve(pasta), values.recursivo)) {
+    const arquivo = { originalname: path.relative(pasta, caminho), buffer: await fs.readFile(caminho) };
+    for (const entrada of expandirArquivos([arquivo])) {
+      const resultado = entrada.erro
+        ? { arquivo: entrada.nome, status: "rejeitada", motivo: entrada.erro }
+        : await importarArquivo(null, entrada.nome, entrada.xml, empresa, contexto);
+      resultados.push(resultado);
+      escrever(`${resultado.arquivo}: ${resultado.status}${resultado.motivo ? ` - ${resultado.motivo}` : ""}`);
+    }
+  }
+
+  const resumo = resumirResultados(resultados);
+  escrever(`${resumo.total} arquivos: ${resumo.importadas} importadas, ${resumo.eventos} eventos, ` +
+    `${resumo.protocolos} protocolos, ${resumo.duplicadas} duplicadas, ${resumo.rejeitadas} rejeitadas.`);
+  return { codigo: resumo.rejeitadas > 0 ? SAIDA_PARCIAL : SAIDA_OK, saida: { resumo, resultados } };
+}
+
+async function regerarPdfs({ values, empresa, escrever }) {
+  const filtro = montarFiltroNotas({ dataInicio: values.inicio, dataFim: values.fim }, empresa._id);
+  const pdfs = {};
+  let erros = 0;
+
+  for (const { Model, tipo } of lerFontes(values.tipo)) {
+    pdfs[tipo] = await regerarPdfsPendentes(Model, filtro, { forcar: values.forcar, simular: values.simular });
+    for (const pdf of pdfs[tipo]) {
+      escrever(`${tipo} ${pdf.numero} (${pdf.chaveNFe}): ${pdf.situacao} → ${pdf.resultado}${pdf.erro ? ` - ${pdf.erro}` : ""}`);
+      if (pdf.resultado === "erro") erros++;
+    }
+  }
+
+  const total = Object.values(pdfs).reduce((soma, lista) => soma + lista.length, 0);
+  escrever(`${total} PDFs ${values.simular ? "a regerar" : "verificados com problema"}, ${erros} com erro.`);
+  return { codigo: erros > 0 ? SAIDA_PARCIAL : SAIDA_OK, saida: { simulacao: Boolean(values.simular), pdfs } };
+}
+
+async function exportar({ values, empresa, contexto, escrever }) {
+  const { formato, saida, tipo = "todos", nivel } = values;
+  if (!saida) {
+    throw new ErroRequisicao(400, "Informe o arquivo de saída com --saida.");
+  }
+  const fontes = lerFontes(tipo);
+  const filtro = montarFiltroNotas({ dataInicio: values.inicio, dataFim: values.fim }, empresa._id);
+
+  let opcoes;
+  if (formato === "zip") {
+    opcoes = { formato };
+  } else {
+    opcoes = validarOpcoesExportacao({ formato, nivel });
+    if (fontes.length !== 1) {
+      throw new ErroRequisicao(400, "Exportação CSV/XLSX é de uma coleção: use --tipo venda ou --tipo compra.");
+    }
+  }
+
+  const arquivo = path.resolve(saida);
+  const destino = createWriteStream(arquivo);
+  const gravado = finished(destino);
+  try {
+    if (formato === "zip") {
+      await gerarPacote(fontes, filtro, destino);
+    } else {
+      await exportarNotas(fontes[0].Model, filtro, { sort: { dataEmissao: 1, _id: 1 } }, opcoes, destino);
+    }
+    await gravado;
+  } catch (err) {
+    // Não deixa em --saida um arquivo pela metade que pareça uma exportação completa
+    destino.destroy();
+    await gravado.catch(() => {});
+    await fs.rm(arquivo, { force: true });
+    throw err;
+  }
+
+  await registrarAuditoria({
+    empresa: empresa._id,
+    acao: "exportacao",
+    colecao: fontes.length === 1 ? fontes[0].Model.modelName : undefined,
+    descricao: `Exportação ${formato.toUpperCase()} pela linha de comando.`,
+    detalhes: { ...opcoes, tipo, dataInicio: values.inicio, dataFim: values.fim, arquivo }
+  }, contexto);
+
+  const { size } = await fs.stat(arquivo);
+  escrever(`Arquivo ${arquivo} gerado (${size} bytes).`);
+  return { codigo: SAIDA_OK, saida: { arquivo, bytes: size, formato, tipo } };
+}
+
+async function resumo({ values, empresa, escrever }) {
+  const filtro = montarFiltroNotas({ dataInicio: values.inicio, dataFim: values.fim }, empresa._id);
+  const resultado = await gerarResumoFiscal({ vendas: Nota, compras: NotaCompra }, filtro);
+
+  const valor = grupo => (grupo ? `${grupo.quantidade ?? "-"} notas, vNF ${grupo.vNF ?? 0}, vICMS ${grupo.vICMS ?? 0}` : "-");
+  escrever(`Empresa ${empresa.cnpj}, período ${values.inicio || "início"} a ${values.fim || "hoje"}`);
+  escrever(`Vendas:  ${valor(resultado.totais.vendas)}`);
+  escrever(`Compras: ${valor(resultado.totais.compras)}`);
+  for (const mes of resultado.porMes) {
+    escrever(`  ${mes.mes}: vendas ${mes.vendas?.vNF ?? 0} / compras ${mes.compras?.vNF ?? 0}`);
+  }
+  return {
+    codigo: SAIDA_OK,
+    saida: { empresa: empresa.cnpj, periodo: { dataInicio: values.inicio || null, dataFim: values.fim || null }, ...resultado }
+  };
+}
+
+const COMANDOS = {
+  importar,
+  "regerar-pdfs": regerarPdfs,
+  exportar,
+  resumo
+};
+
+async function main() {
+  const argv = process.argv.slice(2);
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPCOES, allowPositionals: true }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${AJUDA}`);
+    return SAIDA_ERRO;
+  }
+
+  const [nomeComando, ...argumentos] = positionals;
+  const comando = COMANDOS[nomeComando];
+  if (values.ajuda || !comando) {
+    (values.ajuda ? console.log : console.error)(AJUDA);
+    return values.ajuda ? SAIDA_OK : SAIDA_ERRO;
+  }
+
+  // No modo JSON, stdout é só do resultado: logs dos serviços vão para stderr
+  if (values.json) {
+    console.log = console.info = console.error;
+  }
+  const escrever = values.json ? () => {} : texto => process.stdout.write(texto + "\n");
+
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    return SAIDA_ERRO;
+  }
+
+  try {
+    const empresa = await resolverEmpresa(values.empresa);
+    const { codigo, saida } = await comando({
+      positionals: argumentos,
+      values,
+      empresa,
+      contexto: contextoCli(argv),
+      escrever
+    });
+    if (values.json) {
+      process.stdout.write(JSON.stringify(saida, null, 2) + "\n");
+    }
+    return codigo;
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      if (values.json) {
+        process.stdout.write(JSON.stringify({ error: err.message, ...err.extras }, null, 2) + "\n");
+      } else {
+        console.error(err.message);
+      }
+      return SAIDA_ERRO;
+    }
+    throw err;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main()
+  .then((codigo) => { process.exitCode = codigo; })
+  .catch((err) => {
+    console.error("Erro na linha de comando:", err);
+    process.exitCode = SAIDA_ERRO;
+  });
@@ -0,0 +1,43 @@
+// scripts/converterDataEmissao.js
+// Converte dataEmissao gravada como texto (dhEmi do XML) para Date,
+// permitindo filtros por período. Uso: npm run migrar:data-emissao
+// Textos que não são uma data válida ficam como estão e são listados no final para correção.
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const Model of [Nota, NotaCompra]) {
+    // Acessa a coleção direto para não passar pelo cast do schema; uma data malformada
+    // não interrompe a conversão das demais (onError mantém o texto original)
+    const resultado = await Model.collection.updateMany(
+      { dataEmissao: { $type: "string" } },
+      [{ $set: { dataEmissao: { $convert: { input: "$dataEmissao", to: "date", onError: "$dataEmissao" } } } }]
+    );
+    console.log(`${Model.modelName}: ${resultado.modifiedCount} notas convertidas.`);
+
+    const falhas = await Model.collection
+      .find({ dataEmissao: { $type: "string" } }, { projection: { numero: 1, chaveNFe: 1, dataEmissao: 1 } })
+      .toArray();
+    if (falhas.length > 0) {
+      console.error(`${Model.modelName}: ${falhas.length} notas com dataEmissao inválida, não convertidas:`);
+      for (const nota of falhas) {
+        console.error(`  ${nota._id} nota ${nota.numero} (${nota.chaveNFe || "sem chave"}): "${nota.dataEmissao}"`);
+      }
+      process.exitCode = 1;
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao converter dataEmissao:", err);
+  process.exit(1);
+});
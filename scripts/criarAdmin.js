@@ -0,0 +1,35 @@
+// scripts/criarAdmin.js
+// Cria (ou promove) um usuário admin para o primeiro acesso à API.
+// Uso: npm run criar-admin -- <email> <senha> [nome]
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Usuario } from "../src/models/Usuario.js";
+import { gerarHashSenha } from "../src/services/autenticacao.js";
+
+async function main() {
+  const [email, senha, nome = "Administrador"] = process.argv.slice(2);
+  if (!email || !senha) {
+    console.error("Uso: npm run criar-admin -- <email> <senha> [nome]");
+    process.exit(1);
+  }
+
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  const senhaHash = await gerarHashSenha(senha);
+  const usuario = await Usuario.findOneAndUpdate(
+    { email: email.toLowerCase().trim() },
+    { $set: { senhaHash, papel: "admin", ativo: true, atualizadoEm: new Date() }, $setOnInsert: { nome } },
+    { upsert: true, new: true }
+  );
+  console.log(`Usuário admin ${usuario.email} pronto.`);
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao criar admin:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// scripts/gerarTitulos.js
+// Gera contas a receber/pagar a partir das duplicatas das notas já importadas.
+// Notas que já têm títulos são ignoradas. Uso: npm run migrar:titulos
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { gerarTitulosPendentes } from "../src/services/financeiro.js";
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const Model of [Nota, NotaCompra]) {
+    const { notas, titulos, falhas } = await gerarTitulosPendentes(Model);
+    console.log(`${Model.modelName}: ${titulos} títulos gerados em ${notas} notas, ${falhas.length} falhas.`);
+    for (const falha of falhas) {
+      console.warn(`  Nota ${falha.numero} (${falha.id}): ${falha.motivo}`);
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao gerar títulos:", err);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// scripts/lancarEstoque.js
+// Lança no estoque as notas importadas antes do controle de estoque, em ordem
+// de emissão. Notas que já têm movimentos são ignoradas. Uso: npm run migrar:estoque
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { lancarMovimentosPendentes } from "../src/services/estoque.js";
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  const { lancadas, falhas } = await lancarMovimentosPendentes([Nota, NotaCompra]);
+  console.log(`${lancadas} notas lançadas no estoque, ${falhas.length} falhas.`);
+  for (const falha of falhas) {
+    console.warn(`  Nota ${falha.numero} (${falha.id}): ${falha.motivo}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao lançar estoque:", err);
+  process.exit(1);
+});
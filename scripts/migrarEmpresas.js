@@ -0,0 +1,155 @@
+// scripts/migrarEmpresas.js
+// Passa a base para o modo multiempresa: cadastra as empresas a partir das notas
+// (CNPJ emitente das vendas, destinatário das compras), vincula notas, estoque,
+// títulos e participantes à empresa e troca os índices únicos de número/chave
+// pelos índices por empresa. Uso: npm run migrar:empresas
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Empresa } from "../src/models/Empresa.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { Produto } from "../src/models/Produto.js";
+import { MovimentoEstoque } from "../src/models/MovimentoEstoque.js";
+import { Titulo } from "../src/models/Titulo.js";
+import { Participante } from "../src/models/Participante.js";
+import { Usuario } from "../src/models/Usuario.js";
+import { ChaveApi } from "../src/models/ChaveApi.js";
+import { CAMPO_CNPJ_EMPRESA } from "../src/services/classificacao.js";
+
+const MODELS_NOTAS = [Nota, NotaCompra];
+
+// Cadastra as empresas donas das notas sem empresa e vincula as notas
+async function vincularNotas(Model) {
+  const campoCnpj = CAMPO_CNPJ_EMPRESA[Model.modelName];
+  const campoNome = campoCnpj.replace(".cnpj", ".nome");
+  const cnpjs = await Model.collection.distinct(campoCnpj, { empresa: null });
+
+  for (const cnpj of cnpjs.filter(Boolean)) {
+    const exemplo = await Model.collection.findOne({ [campoCnpj]: cnpj }, { projection: { [campoNome]: 1 } });
+    const empresa = await Empresa.findOneAndUpdate(
+      { cnpj },
+      { $setOnInsert: { cnpj, razaoSocial: campoNome.split(".").reduce((o, k) => o?.[k], exemplo) || cnpj } },
+      { upsert: true, new: true }
+    );
+    const { modifiedCount } = await Model.collection.updateMany(
+      { empresa: null, [campoCnpj]: cnpj },
+      { $set: { empresa: empresa._id } }
+    );
+    console.log(`${Model.modelName}: ${modifiedCount} notas vinculadas à empresa ${cnpj}.`);
+  }
+
+  const semEmpresa = await Model.collection.countDocuments({ empresa: null });
+  if (semEmpresa > 0) {
+    console.warn(`${Model.modelName}: ${semEmpresa} notas sem CNPJ da empresa (${campoCnpj}) continuam sem vínculo.`);
+  }
+}
+
+// Títulos e movimentos herdam a empresa da nota de origem
+async function vincularPorOrigem(Model) {
+  for (const ModelNota of MODELS_NOTAS) {
+    for (const empresa of await ModelNota.collection.distinct("empresa", { empresa: { $ne: null } })) {
+      const notaIds = await ModelNota.collection.distinct("_id", { empresa });
+      const { modifiedCount } = await Model.collection.updateMany(
+        { empresa: null, "origem.colecao": ModelNota.modelName, "origem.notaId": { $in: notaIds } },
+        { $set: { empresa } }
+      );
+      if (modifiedCount > 0) {
+        console.log(`${Model.modelName}: ${modifiedCount} registros de ${ModelNota.modelName} vinculados.`);
+      }
+    }
+  }
+}
+
+// Produtos herdam a empresa dos seus movimentos
+async function vincularProdutos(empresaUnica) {
+  const produtos = await Produto.collection.find({ empresa: null }).project({ codigo: 1 }).toArray();
+  for (const produto of produtos) {
+    const empresas = await MovimentoEstoque.collection.distinct("empresa", { produto: produto._id, empresa: { $ne: null } });
+    const empresa = empresas[0] || empresaUnica;
+    if (!empresa) {
+      console.warn(`Produto ${produto.codigo}: sem movimentos para definir a empresa.`);
+      continue;
+    }
+    if (empresas.length > 1) {
+      console.warn(`Produto ${produto.codigo}: movimentado por ${empresas.length} empresas; vinculado à primeira. Confira saldo e custo médio.`);
+    }
+    await Produto.collection.updateOne({ _id: produto._id }, { $set: { empresa } });
+  }
+}
+
+// Participantes herdam a empresa das notas; quem aparece em mais de uma empresa ganha uma cópia por empresa
+async function vincularParticipantes() {
+  const participantes = await Participante.collection.find({ empresa: null }).toArray();
+  for (const participante of participantes) {
+    const empresas = [];
+    for (const ModelNota of MODELS_NOTAS) {
+      for (const empresa of await ModelNota.collection.distinct("empresa", { participante: participante._id, empresa: { $ne: null } })) {
+        if (!empresas.some(e => e.equals(empresa))) empresas.push(empresa);
+      }
+    }
+    if (empresas.length === 0) {
+      console.warn(`Participante ${participante.documento}: sem notas para definir a empresa.`);
+      continue;
+    }
+
+    await Participante.collection.updateOne({ _id: participante._id }, { $set: { empresa: empresas[0] } });
+    for (const empresa of empresas.slice(1)) {
+      const { _id, ...dados } = participante;
+      const { insertedId } = await Participante.collection.insertOne({ ...dados, empresa });
+      for (const ModelNota of MODELS_NOTAS) {
+        await ModelNota.collection.updateMany(
+          { empresa, participante: participante._id },
+          { $set: { participante: insertedId } }
+        );
+      }
+    }
+    if (empresas.length > 1) {
+      console.log(`Participante ${participante.documento}: cadastro copiado para ${empresas.length} empresas.`);
+    }
+  }
+}
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const Model of MODELS_NOTAS) {
+    await vincularNotas(Model);
+  }
+
+  const empresas = await Empresa.find().select("_id cnpj");
+  const empresaUnica = empresas.length === 1 ? empresas[0]._id : null;
+
+  await vincularPorOrigem(Titulo);
+  await vincularPorOrigem(MovimentoEstoque);
+  await vincularProdutos(empresaUnica);
+  await vincularParticipantes();
+
+  // Base de uma empresa só: usuários e chaves existentes passam a acessá-la
+  if (empresaUnica) {
+    for (const Model of [Usuario, ChaveApi]) {
+      const { modifiedCount } = await Model.collection.updateMany(
+        { $or: [{ empresas: { $exists: false } }, { empresas: { $size: 0 } }] },
+        { $set: { empresas: [empresaUnica] } }
+      );
+      console.log(`${Model.modelName}: ${modifiedCount} vinculados à empresa ${empresas[0].cnpj}.`);
+    }
+  } else if (empresas.length > 1) {
+    console.warn(`${empresas.length} empresas cadastradas: vincule usuários e chaves de API pelas rotas /api/auth.`);
+  }
+
+  // Remove os índices únicos antigos (numero, chaveNFe, codigo, documento) e cria os por empresa
+  for (const Model of [...MODELS_NOTAS, Produto, MovimentoEstoque, Titulo, Participante]) {
+    const removidos = await Model.syncIndexes();
+    console.log(`${Model.modelName}: índices sincronizados${removidos.length ? ` (removidos: ${removidos.join(", ")})` : ""}.`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao migrar para multiempresa:", err);
+  process.exit(1);
+});
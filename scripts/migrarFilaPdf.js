@@ -0,0 +1,38 @@
+// scripts/migrarFilaPdf.js
+// Preenche o pdfStatus das notas importadas antes da fila de PDFs: as que já têm
+// o DANFE no GridFS ficam "pronto" e as que ficaram sem PDF (falha na geração
+// dentro da importação) vão para a fila. Uso: npm run migrar:fila-pdf
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { enfileirarPdf } from "../src/services/filaPdf.js";
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const Model of [Nota, NotaCompra]) {
+    const { modifiedCount } = await Model.updateMany(
+      { pdfStatus: null, pdfFileId: { $ne: null } },
+      { $set: { pdfStatus: "pronto" } }
+    ).setOptions({ comExcluidas: true });
+    console.log(`${Model.modelName}: ${modifiedCount} notas com PDF marcadas como prontas.`);
+
+    // As notas na lixeira entram na fila quando forem restauradas
+    const semPdf = await Model.find({ pdfStatus: null, pdfFileId: null }).select("empresa numero");
+    for (const nota of semPdf) {
+      await enfileirarPdf(Model, nota, "importacao");
+    }
+    console.log(`${Model.modelName}: ${semPdf.length} notas sem PDF enfileiradas.`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao migrar a fila de PDFs:", err);
+  process.exit(1);
+});
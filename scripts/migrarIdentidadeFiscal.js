@@ -0,0 +1,82 @@
+// scripts/migrarIdentidadeFiscal.js
+// Preenche modelo, série e CPF do emitente das notas já importadas a partir da
+// chave de acesso e troca o índice único por número pelo índice da identidade
+// fiscal (modelo + série + número + emitente). Uso: npm run migrar:identidade-fiscal
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { decomporChave } from "../src/utils/chaveAcesso.js";
+
+// Modelo e série vêm da chave; o CPF do emitente também (000 + CPF), quando não há CNPJ
+async function preencherIdentidade(Model) {
+  const cursor = Model.collection.find(
+    { chaveNFe: /^\d{44}$/, $or: [{ modelo: null }, { serie: null }] },
+    { projection: { chaveNFe: 1, "remetente.cnpj": 1 } }
+  );
+
+  let atualizadas = 0;
+  for await (const nota of cursor) {
+    const { mod, serie, cnpj } = decomporChave(nota.chaveNFe);
+    const dados = { modelo: mod, serie: String(Number(serie)) };
+    if (!nota.remetente?.cnpj && cnpj.startsWith("000")) {
+      dados["remetente.cpf"] = cnpj.substring(3);
+    }
+    await Model.collection.updateOne({ _id: nota._id }, { $set: dados });
+    atualizadas++;
+  }
+  return atualizadas;
+}
+
+// Notas diferentes com a mesma identidade fiscal impedem a criação do índice único
+async function conflitosIdentidade(Model) {
+  return Model.collection.aggregate([
+    {
+      $group: {
+        _id: {
+          empresa: "$empresa",
+          modelo: "$modelo",
+          serie: "$serie",
+          numero: "$numero",
+          cnpj: "$remetente.cnpj",
+          cpf: "$remetente.cpf"
+        },
+        chaves: { $push: "$chaveNFe" },
+        total: { $sum: 1 }
+      }
+    },
+    { $match: { total: { $gt: 1 } } }
+  ]).toArray();
+}
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const Model of [Nota, NotaCompra]) {
+    const atualizadas = await preencherIdentidade(Model);
+    console.log(`${Model.modelName}: ${atualizadas} notas com modelo e série preenchidos.`);
+
+    const conflitos = await conflitosIdentidade(Model);
+    if (conflitos.length > 0) {
+      console.warn(`${Model.modelName}: ${conflitos.length} identidades fiscais repetidas; índice não atualizado.`);
+      for (const { _id, chaves } of conflitos) {
+        console.warn(`  Modelo ${_id.modelo}, série ${_id.serie}, número ${_id.numero}, emitente ${_id.cnpj || _id.cpf}: ${chaves.join(", ")}`);
+      }
+      continue;
+    }
+
+    // Remove o índice único por número e cria o da identidade fiscal
+    const removidos = await Model.syncIndexes();
+    console.log(`${Model.modelName}: índices sincronizados${removidos.length ? ` (removidos: ${removidos.join(", ")})` : ""}.`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao migrar identidade fiscal:", err);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+// scripts/monitorarPastas.js
+// Importa os XMLs que o ERP deixa nas pastas configuradas, pelo mesmo fluxo das rotas
+// de upload (classificação venda/compra pela empresa). Cada arquivo vai para done/,
+// duplicate/ ou error/ com um .json explicando o resultado.
+// Uso: PASTAS_IMPORTACAO="/srv/nfe/matriz=12345678000199,/srv/nfe/filial" npm run monitorar-pastas
+// Intervalo da varredura em segundos: PASTAS_INTERVALO (padrão 10)
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { lerPastasConfiguradas, monitorarPastas, prepararPasta } from "../src/services/pastaMonitorada.js";
+
+async function main() {
+  const pastas = lerPastasConfiguradas(process.env.PASTAS_IMPORTACAO);
+  if (pastas.length === 0) {
+    console.error("Configure PASTAS_IMPORTACAO com as pastas a monitorar (/caminho ou /caminho=CNPJ, separadas por vírgula).");
+    process.exit(1);
+  }
+
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const pasta of pastas) {
+    await prepararPasta(pasta);
+    console.log(`Monitorando ${pasta.caminho}${pasta.cnpj ? ` (empresa ${pasta.cnpj})` : ""}.`);
+  }
+
+  const monitor = monitorarPastas(pastas, {
+    intervalo: (Number(process.env.PASTAS_INTERVALO) || 10) * 1000,
+    onResultado: (pasta, resultado) => {
+      console.log(`${resultado.arquivo}: ${resultado.status}${resultado.motivo ? ` - ${resultado.motivo}` : ""}`);
+    }
+  });
+
+  // Termina o arquivo em andamento antes de sair: nada fica importado sem ser movido
+  const encerrar = async (sinal) => {
+    console.log(`Recebido ${sinal}. Encerrando o monitor de pastas...`);
+    await monitor.parar();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.on("SIGINT", () => encerrar("SIGINT"));
+  process.on("SIGTERM", () => encerrar("SIGTERM"));
+}
+
+main().catch((err) => {
+  console.error("Erro no monitor de pastas:", err);
+  process.exit(1);
+});
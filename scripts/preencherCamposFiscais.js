@@ -0,0 +1,30 @@
+// scripts/preencherCamposFiscais.js
+// Preenche itens/impostos, totais, duplicatas e pagamentos das notas já
+// importadas a partir do xmlTexto armazenado. Uso: npm run migrar:campos-fiscais
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { preencherCamposFiscais } from "../src/services/camposFiscais.js";
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const Model of [Nota, NotaCompra]) {
+    const { atualizadas, falhas } = await preencherCamposFiscais(Model);
+    console.log(`${Model.modelName}: ${atualizadas} notas atualizadas, ${falhas.length} falhas.`);
+    for (const falha of falhas) {
+      console.warn(`  Nota ${falha.numero} (${falha.id}): ${falha.motivo}`);
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao preencher campos fiscais:", err);
+  process.exit(1);
+});
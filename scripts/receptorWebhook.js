@@ -0,0 +1,75 @@
+// scripts/receptorWebhook.js
+// Receptor HTTP local para testar os webhooks de ponta a ponta: confere o timestamp e a
+// assinatura de cada entrega e mostra o evento recebido.
+// As duas conferências são obrigatórias num receptor de verdade: entregas com
+// X-Webhook-Timestamp fora da tolerância (padrão 5 minutos) são recusadas com 401,
+// para que uma entrega capturada não possa ser reenviada depois.
+// Uso: WEBHOOK_SEGREDO=whsec_... npm run webhook:receptor -- 4000
+// Cadastre http://localhost:4000/ em POST /api/webhooks e use o segredo retornado
+// (o servidor precisa de WEBHOOK_HOSTS_PERMITIDOS=localhost para aceitar a rede interna).
+// WEBHOOK_RECEPTOR_FALHAS=n responde 500 às n primeiras entregas (para ver as novas tentativas).
+// WEBHOOK_TOLERANCIA_SEGUNDOS altera a tolerância do timestamp.
+import http from "http";
+import {
+  TOLERANCIA_TIMESTAMP_WEBHOOK,
+  timestampWebhookValido,
+  verificarAssinaturaWebhook
+} from "../src/services/webhooks.js";
+
+const porta = Number(process.argv[2]) || 4000;
+const segredo = process.env.WEBHOOK_SEGREDO;
+let falhasRestantes = Number(process.env.WEBHOOK_RECEPTOR_FALHAS) || 0;
+const tolerancia = Number(process.env.WEBHOOK_TOLERANCIA_SEGUNDOS) || TOLERANCIA_TIMESTAMP_WEBHOOK;
+
+if (!segredo) {
+  console.warn("WEBHOOK_SEGREDO não configurado: as assinaturas não serão conferidas.");
+}
+
+const servidor = http.createServer((req, res) => {
+  let corpo = "";
+  req.setEncoding("utf8");
+  req.on("data", parte => { corpo += parte; });
+  req.on("end", () => {
+    const evento = req.headers["x-webhook-evento"];
+    const entrega = req.headers["x-webhook-entrega"];
+    const timestamp = req.headers["x-webhook-timestamp"];
+
+    if (!timestampWebhookValido(timestamp, tolerancia)) {
+      console.log(`[${new Date().toISOString()}] ${evento} (entrega ${entrega}): timestamp ${timestamp} fora da tolerância de ${tolerancia}s.`);
+      res.writeHead(401, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ error: "Timestamp fora da tolerância." }));
+    }
+
+    if (segredo && !verificarAssinaturaWebhook(segredo, timestamp, corpo, req.headers["x-webhook-assinatura"])) {
+      console.log(`[${new Date().toISOString()}] ${evento} (entrega ${entrega}): assinatura inválida.`);
+      res.writeHead(401, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ error: "Assinatura inválida." }));
+    }
+
+    if (falhasRestantes > 0) {
+      falhasRestantes--;
+      console.log(`[${new Date().toISOString()}] ${evento} (entrega ${entrega}): respondendo 500 de propósito.`);
+      res.writeHead(500, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ error: "Falha simulada." }));
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(corpo);
+    } catch {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ error: "Corpo não é JSON." }));
+    }
+    console.log(`[${new Date().toISOString()}] ${evento} (entrega ${entrega}, evento ${payload.id})`);
+    console.log(JSON.stringify(payload.dados, null, 2));
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ recebido: true }));
+  });
+});
+
+servidor.listen(porta, () => {
+  console.log(`Receptor de webhooks ouvindo em http://localhost:${porta}/`);
+});
+
+process.on("SIGINT", () => servidor.close(() => process.exit(0)));
+process.on("SIGTERM", () => servidor.close(() => process.exit(0)));
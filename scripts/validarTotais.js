@@ -0,0 +1,41 @@
+// scripts/validarTotais.js
+// Recalcula os totais das notas já importadas a partir dos itens e grava as
+// advertências (totais que não conferem), como na importação.
+// Uso: npm run migrar:advertencias-totais
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { validarTotais } from "../src/services/validacaoTotais.js";
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const Model of [Nota, NotaCompra]) {
+    const cursor = Model.find({ "totais.vNF": { $exists: true } })
+      .setOptions({ comExcluidas: true })
+      .select("itens totais")
+      .lean()
+      .cursor();
+
+    let verificadas = 0;
+    let comAdvertencias = 0;
+    for await (const nota of cursor) {
+      const advertencias = validarTotais(nota);
+      await Model.updateOne({ _id: nota._id }, { $set: { advertencias } }).setOptions({ comExcluidas: true });
+      verificadas++;
+      if (advertencias.length > 0) comAdvertencias++;
+    }
+    console.log(`${Model.modelName}: ${verificadas} notas verificadas, ${comAdvertencias} com totais divergentes.`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao validar totais:", err);
+  process.exit(1);
+});
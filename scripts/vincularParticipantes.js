@@ -0,0 +1,30 @@
+// scripts/vincularParticipantes.js
+// Cria o cadastro de clientes e fornecedores a partir das notas já importadas
+// e vincula cada nota ao seu participante. Uso: npm run migrar:participantes
+import mongoose from "mongoose";
+import { connect } from "../db.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import { vincularParticipantesPendentes } from "../src/services/participantes.js";
+
+async function main() {
+  await connect();
+  if (mongoose.connection.readyState !== 1) {
+    process.exit(1);
+  }
+
+  for (const Model of [Nota, NotaCompra]) {
+    const { vinculadas, falhas } = await vincularParticipantesPendentes(Model);
+    console.log(`${Model.modelName}: ${vinculadas} notas vinculadas, ${falhas.length} falhas.`);
+    for (const falha of falhas) {
+      console.warn(`  Nota ${falha.numero} (${falha.id}): ${falha.motivo}`);
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("Erro ao vincular participantes:", err);
+  process.exit(1);
+});
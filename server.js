@@ -6,6 +6,24 @@ import dotenv from "dotenv";
 import cors from "cors";
 import notasRouter from "./src/routes/notas.js";
 import notasCompraRouter from "./src/routes/notasDeCompra.js";
+import ctesRouter from "./src/routes/ctes.js";
+import pacotesRouter from "./src/routes/pacotes.js";
+import relatoriosRouter from "./src/routes/relatorios.js";
+import estoqueRouter from "./src/routes/estoque.js";
+import financeiroRouter from "./src/routes/financeiro.js";
+import participantesRouter from "./src/routes/participantes.js";
+import importacaoRouter from "./src/routes/importacao.js";
+import authRouter from "./src/routes/auth.js";
+import empresasRouter from "./src/routes/empresas.js";
+import auditoriaRouter from "./src/routes/auditoria.js";
+import filaPdfRouter from "./src/routes/filaPdf.js";
+import webhooksRouter from "./src/routes/webhooks.js";
+import { autenticar, exigirPapel, resolverEmpresa } from "./src/middlewares/autenticacao.js";
+import { agendarLimpezaLixeira } from "./src/services/lixeira.js";
+import { iniciarFilaPdf } from "./src/services/filaPdf.js";
+import { iniciarEntregasWebhook } from "./src/services/webhooks.js";
+import { danfeSemTarja, ERRO_NFCE_CANCELADA } from "./src/services/pdf.js";
+import { decodificarXml } from "./src/utils/xml.js";
 import { GridFSBucket, ObjectId } from "mongodb";
 import { Nota } from "./src/models/Nota.js";
 import { NotaCompra } from "./src/models/NotaCompra.js";
@@ -14,15 +32,20 @@ const {
   MONGO_USER,
   MONGO_PASS,
   MONGO_HOST,
+  CORS_ORIGINS,
   PORT = 3001
 } = process.env;
 async function main() {
   const app = express();
+  if (!process.env.JWT_SECRET) {
+    console.warn("JWT_SECRET não configurado: o login por usuário e senha ficará indisponível.");
+  }
   app.use(cors({
-    origin: true, // Permite qualquer origem
+    // CORS_ORIGINS: lista separada por vírgula; sem ela, permite qualquer origem
+    origin: CORS_ORIGINS ? CORS_ORIGINS.split(",").map(o => o.trim()) : true,
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Empresa']
   }));
   app.use(express.json({ limit: '50mb' }));
   app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -30,8 +53,6 @@ async function main() {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
     next();
   });
-  app.use("/api/notas", notasRouter);
-  app.use("/api/notasCompra", notasCompraRouter);
   app.get("/api/health", (req, res) => {
     res.json({ 
       status: "OK", 
@@ -39,6 +60,24 @@ async function main() {
       mongodb: mongoose.connection.readyState === 1 ? "connected" : "disconnected"
     });
   });
+  // Login é público; o restante da API exige autenticação
+  app.use("/api/auth", authRouter);
+  app.use("/api", autenticar);
+  // Cadastro de empresas fica fora do escopo; as demais rotas operam na empresa selecionada (X-Empresa)
+  app.use("/api/empresas", empresasRouter);
+  app.use("/api", resolverEmpresa);
+  app.use("/api/notas", notasRouter);
+  app.use("/api/notasCompra", notasCompraRouter);
+  app.use("/api/ctes", ctesRouter);
+  app.use("/api/importacao", importacaoRouter);
+  app.use("/api/pacotes", pacotesRouter);
+  app.use("/api/relatorios", relatoriosRouter);
+  app.use("/api/estoque", estoqueRouter);
+  app.use("/api/financeiro", financeiroRouter);
+  app.use("/api/participantes", participantesRouter);
+  app.use("/api/auditoria", auditoriaRouter);
+  app.use("/api/filaPdf", filaPdfRouter);
+  app.use("/api/webhooks", webhooksRouter);
   app.get("/", (req, res) => {
     res.json({ 
       message: "Sistema NFE Backend está funcionando!",
@@ -58,9 +97,15 @@ async function main() {
   if (mongoose.connection.readyState === 1) {
     const db = mongoose.connection.db;
     bucket = new GridFSBucket(db, { bucketName: "pdfs" });
+    // Apaga as notas cuja retenção na lixeira terminou (LIXEIRA_DIAS)
+    agendarLimpezaLixeira();
+    // Gera os DANFEs enfileirados pelas importações, cancelamentos e reprocessamentos (PDF_MAX_TENTATIVAS)
+    iniciarFilaPdf();
+    // Entrega os eventos da caixa de saída aos webhooks das empresas (WEBHOOK_MAX_TENTATIVAS, WEBHOOK_HOSTS_PERMITIDOS)
+    iniciarEntregasWebhook();
   }
 
-  app.get("/api/notas/:id/pdf", async (req, res) => {
+  app.get("/api/notas/:id/pdf", exigirPapel("viewer"), async (req, res) => {
     try {
       if (!bucket) {
         return res.status(503).json({ error: "Banco de dados não conectado." });
@@ -70,17 +115,39 @@ async function main() {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({ error: "ID inválido." });
       }
-      const nota = await Nota.findById(id);
-      if (!nota || !nota.pdfFileId) {
+      const nota = await Nota.findOne({ _id: id, empresa: req.empresa._id });
+      if (!nota) {
+        return res.status(404).json({ error: "Nota não encontrada." });
+      }
+      // Sem protocolo de autorização não há DANFE; ainda na fila de PDFs ou com a geração esgotada
+      if (nota.status === "sem_protocolo") {
+        return res.status(409).json({ error: "Nota sem protocolo de autorização: o DANFE é gerado quando o protocolo for importado.", status: nota.status });
+      }
+      // NFC-e cancelada não tem DANFE, nem o gerado antes do cancelamento (sairia sem a tarja CANCELADA)
+      if (danfeSemTarja(nota)) {
+        return res.status(409).json({ error: ERRO_NFCE_CANCELADA, status: nota.status, pdfStatus: nota.pdfStatus });
+      }
+      if (nota.pdfStatus === "pendente") {
+        res.setHeader("Retry-After", "10");
+        return res.status(202).json({ message: "PDF em geração. Tente novamente em instantes.", pdfStatus: nota.pdfStatus });
+      }
+      if (nota.pdfStatus === "falhou") {
+        return res.status(409).json({
+          error: `Não foi possível gerar o PDF desta nota: ${nota.pdfErro}. Use POST /api/notas/${id}/pdf/reprocessar para tentar de novo.`,
+          pdfStatus: nota.pdfStatus,
+          pdfErro: nota.pdfErro
+        });
+      }
+      if (!nota.pdfFileId) {
         return res.status(404).json({ error: "PDF não encontrado para esta nota." });
       }
       // Configuração dos headers para visualização online ou download
       res.setHeader("Content-Type", "application/pdf");
       
       if (download === 'true') {
-        res.setHeader("Content-Disposition", `attachment; filename="NFE-${nota.numero}.pdf"`);
+        res.setHeader("Content-Disposition", `attachment; filename="${nota.modelo === "65" ? "NFCE" : "NFE"}-${nota.numero}.pdf"`);
       } else {
-        res.setHeader("Content-Disposition", `inline; filename="NFE-${nota.numero}.pdf"`);
+        res.setHeader("Content-Disposition", `inline; filename="${nota.modelo === "65" ? "NFCE" : "NFE"}-${nota.numero}.pdf"`);
       }
       
       // Headers para cache e segurança
@@ -104,7 +171,7 @@ async function main() {
       }
     }
   });
- app.get("/api/notasCompra/:id/pdf", async (req, res) => {
+ app.get("/api/notasCompra/:id/pdf", exigirPapel("viewer"), async (req, res) => {
     try {
       if (!bucket) {
         return res.status(503).json({ error: "Banco de dados não conectado." });
@@ -114,17 +181,39 @@ async function main() {
       if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({ error: "ID inválido." });
       }
-      const notaCompra = await NotaCompra.findById(id);
-      if (!notaCompra || !notaCompra.pdfFileId) {
+      const notaCompra = await NotaCompra.findOne({ _id: id, empresa: req.empresa._id });
+      if (!notaCompra) {
+        return res.status(404).json({ error: "Nota não encontrada." });
+      }
+      // Sem protocolo de autorização não há DANFE; ainda na fila de PDFs ou com a geração esgotada
+      if (notaCompra.status === "sem_protocolo") {
+        return res.status(409).json({ error: "Nota sem protocolo de autorização: o DANFE é gerado quando o protocolo for importado.", status: notaCompra.status });
+      }
+      // NFC-e cancelada não tem DANFE, nem o gerado antes do cancelamento (sairia sem a tarja CANCELADA)
+      if (danfeSemTarja(notaCompra)) {
+        return res.status(409).json({ error: ERRO_NFCE_CANCELADA, status: notaCompra.status, pdfStatus: notaCompra.pdfStatus });
+      }
+      if (notaCompra.pdfStatus === "pendente") {
+        res.setHeader("Retry-After", "10");
+        return res.status(202).json({ message: "PDF em geração. Tente novamente em instantes.", pdfStatus: notaCompra.pdfStatus });
+      }
+      if (notaCompra.pdfStatus === "falhou") {
+        return res.status(409).json({
+          error: `Não foi possível gerar o PDF desta nota: ${notaCompra.pdfErro}. Use POST /api/notasCompra/${id}/pdf/reprocessar para tentar de novo.`,
+          pdfStatus: notaCompra.pdfStatus,
+          pdfErro: notaCompra.pdfErro
+        });
+      }
+      if (!notaCompra.pdfFileId) {
         return res.status(404).json({ error: "PDF não encontrado para esta nota." });
       }
       // Configuração dos headers para visualização online ou download
       res.setHeader("Content-Type", "application/pdf");
       
       if (download === 'true') {
-        res.setHeader("Content-Disposition", `attachment; filename="NFE-${notaCompra.numero}.pdf"`);
+        res.setHeader("Content-Disposition", `attachment; filename="${notaCompra.modelo === "65" ? "NFCE" : "NFE"}-${notaCompra.numero}.pdf"`);
       } else {
-        res.setHeader("Content-Disposition", `inline; filename="NFE-${notaCompra.numero}.pdf"`);
+        res.setHeader("Content-Disposition", `inline; filename="${notaCompra.modelo === "65" ? "NFCE" : "NFE"}-${notaCompra.numero}.pdf"`);
       }
       
       res.setHeader("Cache-Control", "private, max-age=3600");
@@ -146,9 +235,9 @@ async function main() {
       }
     }
   });
-  app.post("/api/notas/preview-pdf", express.raw({ type: 'application/xml', limit: '50mb' }), async (req, res) => {
+  app.post("/api/notas/preview-pdf", exigirPapel("viewer"), express.raw({ type: 'application/xml', limit: '50mb' }), async (req, res) => {
     try {
-      const xml = req.body.toString('utf-8');
+      const xml = decodificarXml(req.body);
       if (!xml) {
         return res.status(400).json({ error: "XML é obrigatório." });
       }
@@ -163,9 +252,9 @@ async function main() {
       res.status(500).json({ error: "Erro ao gerar preview: " + err.message });
     }
   });
-   app.post("/api/notasCompra/preview-pdf", express.raw({ type: 'application/xml', limit: '50mb' }), async (req, res) => {
+   app.post("/api/notasCompra/preview-pdf", exigirPapel("viewer"), express.raw({ type: 'application/xml', limit: '50mb' }), async (req, res) => {
     try {
-      const xml = req.body.toString('utf-8');
+      const xml = decodificarXml(req.body);
       if (!xml) {
         return res.status(400).json({ error: "XML é obrigatório." });
       }
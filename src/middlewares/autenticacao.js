@@ -0,0 +1,146 @@
+// src/middlewares/autenticacao.js
+import { Usuario } from "../models/Usuario.js";
+import { ChaveApi } from "../models/ChaveApi.js";
+import { Empresa } from "../models/Empresa.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { hashChaveApi, lerToken, papelAtende } from "../services/autenticacao.js";
+
+async function identificarPorToken(token) {
+  const { sub } = lerToken(token);
+  const usuario = await Usuario.findById(sub);
+  if (!usuario || !usuario.ativo) {
+    throw new ErroRequisicao(401, "Usuário inativo ou inexistente.");
+  }
+  return {
+    tipo: "usuario",
+    id: usuario._id,
+    nome: usuario.nome,
+    email: usuario.email,
+    papel: usuario.papel,
+    empresas: usuario.empresas
+  };
+}
+
+async function identificarPorChave(chave) {
+  const chaveApi = await ChaveApi.findOne({ hash: hashChaveApi(chave), revogadaEm: null });
+  if (!chaveApi) {
+    throw new ErroRequisicao(401, "Chave de API inválida ou revogada.");
+  }
+  // Registro de uso sem bloquear a requisição
+  ChaveApi.updateOne({ _id: chaveApi._id }, { $set: { ultimoUso: new Date() } })
+    .catch(err => console.warn("Erro ao registrar uso da chave de API:", err));
+  return { tipo: "chaveApi", id: chaveApi._id, nome: chaveApi.nome, papel: chaveApi.papel, empresas: chaveApi.empresas };
+}
+
+/**
+ * Identifica quem faz a requisição e preenche req.usuario
+ * - Authorization: Bearer <JWT> (sessão de usuário)
+ * - X-API-Key: <chave> (integrações)
+ * Responde 401 quando não há credencial válida.
+ */
+export async function autenticar(req, res, next) {
+  try {
+    const authorization = req.get("Authorization") || "";
+    const chave = req.get("X-API-Key");
+
+    if (authorization.startsWith("Bearer ")) {
+      req.usuario = await identificarPorToken(authorization.substring(7).trim());
+    } else if (chave) {
+      req.usuario = await identificarPorChave(chave);
+    } else {
+      return res.status(401).json({ error: "Autenticação necessária (Bearer token ou X-API-Key)." });
+    }
+    next();
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao autenticar:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Localiza a empresa pelo _id ou pelo CNPJ (com ou sem máscara)
+async function buscarEmpresa(referencia) {
+  const texto = String(referencia).trim();
+  if (/^[0-9a-f]{24}$/i.test(texto)) {
+    return Empresa.findById(texto);
+  }
+  return Empresa.findOne({ cnpj: texto.replace(/\D/g, "") });
+}
+
+/**
+ * Define a empresa (tenant) da requisição em req.empresa
+ * - X-Empresa: <CNPJ ou _id>
+ * - Sem o cabeçalho, usa a única empresa acessível a quem chama
+ * - Usuários e chaves só acessam as empresas vinculadas; admin acessa todas
+ * Responde 400 quando a empresa não é informada e há mais de uma possível,
+ * 403 sem acesso e 404 para empresa inexistente ou inativa.
+ */
+export async function resolverEmpresa(req, res, next) {
+  try {
+    const referencia = req.get("X-Empresa");
+    const admin = req.usuario.papel === "admin";
+    const vinculadas = (req.usuario.empresas || []).map(String);
+    let empresa;
+
+    if (referencia) {
+      empresa = await buscarEmpresa(referencia);
+      if (!empresa || !empresa.ativa) {
+        return res.status(404).json({ error: `Empresa ${referencia} não encontrada ou inativa.` });
+      }
+      if (!admin && !vinculadas.includes(String(empresa._id))) {
+        return res.status(403).json({ error: `Sem acesso à empresa ${empresa.cnpj}.` });
+      }
+    } else {
+      const candidatas = vinculadas.length > 0 || !admin
+        ? await Empresa.find({ _id: { $in: vinculadas }, ativa: true }).limit(2)
+        : await Empresa.find({ ativa: true }).limit(2);
+      if (candidatas.length !== 1) {
+        return res.status(400).json({
+          error: candidatas.length === 0
+            ? "Nenhuma empresa ativa vinculada a este acesso."
+            : "Informe a empresa no cabeçalho X-Empresa (CNPJ ou ID)."
+        });
+      }
+      empresa = candidatas[0];
+    }
+
+    req.empresa = empresa;
+    next();
+  } catch (err) {
+    console.error("Erro ao resolver empresa:", err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * Exige um papel mínimo na rota (viewer < importer < admin)
+ * Uso: router.delete("/", exigirPapel("admin"), ...)
+ */
+export function exigirPapel(minimo) {
+  return (req, res, next) => {
+    if (!req.usuario) {
+      return res.status(401).json({ error: "Autenticação necessária (Bearer token ou X-API-Key)." });
+    }
+    if (!papelAtende(req.usuario.papel, minimo)) {
+      return res.status(403).json({ error: `Permissão insuficiente: requer papel ${minimo}.` });
+    }
+    next();
+  };
+}
+
+/**
+ * Exige ?confirmar=<valor> em operações destrutivas (ex.: exclusão em massa)
+ */
+export function exigirConfirmacao(valor) {
+  return (req, res, next) => {
+    if (req.query.confirmar !== valor) {
+      return res.status(400).json({
+        error: `Operação destrutiva: repita a requisição com ?confirmar=${valor} para confirmar.`
+      });
+    }
+    next();
+  };
+}
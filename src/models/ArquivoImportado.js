@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// Arquivo processado pelo monitor de pastas, identificado pelo conteúdo (SHA-256).
+// Garante que um XML já importado não seja importado de novo após reinício ou reenvio.
+const ArquivoImportadoSchema = new mongoose.Schema({
+  hash: { type: String, required: true },
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa" }, // Ausente quando a empresa não pôde ser definida
+  pasta: String,
+  arquivo: String, // Nome original do arquivo
+  status: { type: String, enum: ["importada", "evento", "protocolo", "duplicada", "rejeitada"], required: true },
+  destino: String, // Caminho final do arquivo (done/, duplicate/ ou error/)
+  resultado: Object, // Conteúdo do .json gravado ao lado do arquivo
+  processadoEm: { type: Date, default: Date.now }
+});
+
+ArquivoImportadoSchema.index({ hash: 1, empresa: 1 }, { unique: true });
+
+export const ArquivoImportado = mongoose.model("ArquivoImportado", ArquivoImportadoSchema);
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+export const ACOES_AUDITORIA = [
+  "importacao", // Nota importada
+  "evento", // Carta de correção registrada
+  "alteracao_status", // Cancelamento registrado (autorizada → cancelada) ou protocolo vinculado (sem_protocolo → autorizada)
+  "exclusao", // Nota movida para a lixeira
+  "restauracao", // Nota restaurada da lixeira
+  "exclusao_definitiva", // Nota removida ao fim da retenção da lixeira
+  "exportacao" // CSV/XLSX, pacote ZIP ou SPED gerado
+];
+
+// Trilha de auditoria: quem fez o quê, quando e de onde, por empresa
+const AuditoriaSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true },
+  acao: { type: String, enum: ACOES_AUDITORIA, required: true },
+  colecao: { type: String, enum: ["Nota", "NotaCompra", "Cte"] }, // Ausente nas exportações de vendas e compras juntas
+  nota: { // Nota (ou CT-e) afetada; exclusões em massa e exportações trazem a quantidade em detalhes
+    id: mongoose.Schema.Types.ObjectId,
+    numero: String,
+    chaveNFe: String
+  },
+  descricao: String,
+  detalhes: Object,
+  autor: { // Usuário, chave de API ou sistema (rotinas automáticas)
+    tipo: { type: String, enum: ["usuario", "chaveApi", "sistema"], required: true },
+    id: mongoose.Schema.Types.ObjectId,
+    nome: String
+  },
+  origem: { // Requisição (ou arquivo) que originou a ação
+    ip: String,
+    userAgent: String,
+    metodo: String,
+    rota: String,
+    arquivo: String // Caminho do XML importado fora da API (monitor de pastas)
+  },
+  data: { type: Date, default: Date.now }
+});
+
+AuditoriaSchema.index({ empresa: 1, data: -1 });
+AuditoriaSchema.index({ empresa: 1, "nota.id": 1, data: -1 });
+AuditoriaSchema.index({ empresa: 1, acao: 1, data: -1 });
+
+export const Auditoria = mongoose.model("Auditoria", AuditoriaSchema);
@@ -0,0 +1,25 @@
+
+import mongoose from "mongoose";
+import { PAPEIS } from "./Usuario.js";
+
+// Chave de API para integrações; só o hash SHA-256 é armazenado
+const ChaveApiSchema = new mongoose.Schema({
+  nome: { type: String, required: true }, // Identificação da integração
+  prefixo: String, // Início da chave, para reconhecer nas listagens
+  hash: { type: String, required: true, unique: true },
+  papel: { type: String, enum: PAPEIS, default: "viewer" },
+  empresas: [{ type: mongoose.Schema.Types.ObjectId, ref: "Empresa" }], // Empresas acessíveis (admin acessa todas)
+  criadoPor: { type: mongoose.Schema.Types.ObjectId, ref: "Usuario" },
+  ultimoUso: Date,
+  revogadaEm: Date,
+  criadoEm: { type: Date, default: Date.now }
+});
+
+ChaveApiSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.hash;
+    return ret;
+  }
+});
+
+export const ChaveApi = mongoose.model("ChaveApi", ChaveApiSchema);
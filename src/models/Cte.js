@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// Papéis do CT-e: a empresa precisa ser um deles para guardar o documento
+export const PAPEIS_CTE = ["tomador", "remetente", "destinatario", "expedidor", "recebedor", "emitente"];
+
+// Emitente (transportadora), remetente, destinatário, expedidor, recebedor ou tomador
+const ParticipanteCteSchema = new mongoose.Schema({
+  nome: String,
+  cnpj: String,
+  cpf: String,
+  ie: String,
+  municipio: String,
+  uf: String
+}, { _id: false });
+
+// CT-e (modelo 57): conhecimento de transporte do frete das notas em infDoc/infNFe
+const CteSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true },
+  papelEmpresa: { type: String, enum: PAPEIS_CTE }, // Papel da empresa no CT-e (em regra, tomadora do serviço)
+  chaveCTe: { type: String, required: true },
+  numero: { type: String, required: true }, // ide.nCT
+  modelo: String, // ide.mod (57)
+  serie: String, // Sem zeros à esquerda
+  cfop: String,
+  naturezaOperacao: String,
+  tipo: String, // ide.tpCTe: 0 normal, 1 complemento, 2 anulação, 3 substituto
+  modal: String, // 01 rodoviário, 02 aéreo, 03 aquaviário, 04 ferroviário, 05 dutoviário, 06 multimodal
+  dataEmissao: Date,
+  inicioPrestacao: { municipio: String, uf: String },
+  fimPrestacao: { municipio: String, uf: String },
+  emitente: ParticipanteCteSchema, // Transportadora
+  remetente: ParticipanteCteSchema,
+  destinatario: ParticipanteCteSchema,
+  expedidor: ParticipanteCteSchema,
+  recebedor: ParticipanteCteSchema,
+  tomador: { // Quem paga o frete (toma3 aponta um dos participantes; toma4 traz outro)
+    papel: String, // remetente, expedidor, recebedor, destinatario ou outros
+    nome: String,
+    cnpj: String,
+    cpf: String
+  },
+  valorPrestacao: Number, // vPrest.vTPrest: valor do frete
+  valorReceber: Number, // vPrest.vRec
+  componentes: [{ _id: false, nome: String, valor: Number }], // vPrest.Comp
+  icms: {
+    cst: String,
+    vBC: Number,
+    pICMS: Number,
+    vICMS: Number
+  },
+  valorCarga: Number, // infCarga.vCarga: base do rateio do frete entre as notas
+  produtoPredominante: String,
+  chavesNFe: [String], // infDoc/infNFe/chave: notas transportadas
+  protocolo: {
+    numero: String,
+    cStat: String,
+    xMotivo: String,
+    dataAutorizacao: Date,
+    digVal: String
+  },
+  certificado: {
+    subject: String,
+    emissor: String,
+    numeroSerie: String,
+    validoDe: Date,
+    validoAte: Date
+  },
+  status: { type: String, enum: ["autorizada", "cancelada"], default: "autorizada" },
+  xmlTexto: String,
+  criadoEm: { type: Date, default: Date.now }
+});
+
+CteSchema.index({ empresa: 1, chaveCTe: 1 }, { unique: true });
+CteSchema.index({ empresa: 1, chavesNFe: 1 });
+CteSchema.index({ empresa: 1, dataEmissao: -1 });
+CteSchema.index({ "emitente.cnpj": 1 });
+
+export const Cte = mongoose.model("Cte", CteSchema);
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Empresa do grupo (tenant): dona das notas emitidas (vendas) e recebidas (compras)
+const EmpresaSchema = new mongoose.Schema({
+  cnpj: { type: String, required: true, unique: true, match: /^\d{14}$/ },
+  razaoSocial: { type: String, required: true },
+  nomeFantasia: String,
+  ie: String,
+  uf: String,
+  ativa: { type: Boolean, default: true },
+  bloquearTotaisDivergentes: { type: Boolean, default: false }, // Rejeita na importação a NFE cujos totais não conferem com os itens
+  criadoEm: { type: Date, default: Date.now },
+  atualizadoEm: { type: Date, default: Date.now }
+});
+
+export const Empresa = mongoose.model("Empresa", EmpresaSchema);
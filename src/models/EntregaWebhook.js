@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+export const STATUS_ENTREGA_WEBHOOK = ["pendente", "processando", "entregue", "falhou", "descartada"];
+
+// Uma tentativa de entrega: o que o destino respondeu (ou o erro de rede)
+const TentativaEntregaSchema = new mongoose.Schema({
+  em: Date,
+  url: String,
+  statusHttp: Number,
+  duracaoMs: Number,
+  resposta: String, // Início do corpo da resposta
+  erro: String
+}, { _id: false });
+
+// Entrega de um evento a um webhook: a caixa de saída (outbox) persistente e o log de entregas
+const EntregaWebhookSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true },
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true },
+  evento: { type: String, required: true }, // EVENTOS_WEBHOOK ou webhook.teste
+  payload: { type: Object, required: true }, // Corpo enviado; payload.id identifica o evento (igual nos reenvios)
+  chaveEvento: String, // payload.id na entrega original (não nos reenvios): impede gravar o mesmo evento duas vezes
+  status: { type: String, enum: STATUS_ENTREGA_WEBHOOK, default: "pendente" },
+  tentativas: { type: Number, default: 0 },
+  maxTentativas: { type: Number, default: 8 },
+  proximaTentativa: { type: Date, default: Date.now }, // Backoff exponencial entre as falhas
+  iniciadaEm: Date, // Entrega presa em "processando" é retomada após um tempo (queda do processo)
+  entregueEm: Date,
+  erro: String, // Última falha
+  historico: [TentativaEntregaSchema],
+  reenvioDe: { type: mongoose.Schema.Types.ObjectId, ref: "EntregaWebhook" }, // Entrega original, nos reenvios manuais
+  criadoEm: { type: Date, default: Date.now },
+  atualizadoEm: { type: Date, default: Date.now }
+});
+
+EntregaWebhookSchema.index({ status: 1, proximaTentativa: 1 });
+EntregaWebhookSchema.index({ empresa: 1, criadoEm: -1 });
+EntregaWebhookSchema.index({ webhook: 1, criadoEm: -1 });
+EntregaWebhookSchema.index(
+  { webhook: 1, chaveEvento: 1 },
+  { unique: true, partialFilterExpression: { chaveEvento: { $exists: true } } }
+);
+
+export const EntregaWebhook = mongoose.model("EntregaWebhook", EntregaWebhookSchema);
@@ -0,0 +1,35 @@
+
+import mongoose from "mongoose";
+
+const MovimentoEstoqueSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true },
+  produto: { type: mongoose.Schema.Types.ObjectId, ref: "Produto", required: true },
+  tipo: { type: String, enum: ["entrada", "saida"], required: true },
+  data: { type: Date, required: true }, // Data de emissão da nota
+  origem: { // Item da nota que gerou o movimento
+    colecao: { type: String, enum: ["Nota", "NotaCompra"], required: true },
+    notaId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    numero: String,
+    chaveNFe: String,
+    nItem: Number
+  },
+  quantidade: Number, // Na unidade de estoque do produto
+  unidade: String,
+  quantidadeComercial: Number, // Como veio na nota (qCom/uCom)
+  unidadeComercial: String,
+  conversaoPendente: { type: Boolean, default: false }, // Sem fator de conversão conhecido: usou qCom
+  custoUnitario: Number,
+  valorTotal: Number,
+  saldoApos: Number,
+  custoMedioApos: Number,
+  estorno: { type: Boolean, default: false }, // Movimento de estorno (nota excluída ou cancelada)
+  estornadoEm: Date, // Preenchido no movimento original quando estornado
+  motivoEstorno: String,
+  criadoEm: { type: Date, default: Date.now }
+});
+
+MovimentoEstoqueSchema.index({ produto: 1, criadoEm: -1 });
+MovimentoEstoqueSchema.index({ "origem.colecao": 1, "origem.notaId": 1 });
+MovimentoEstoqueSchema.index({ empresa: 1, data: -1 });
+
+export const MovimentoEstoque = mongoose.model("MovimentoEstoque", MovimentoEstoqueSchema);
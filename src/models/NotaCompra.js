@@ -1,13 +1,28 @@
 
 import mongoose from "mongoose";
+import {
+  AdvertenciaSchema,
+  DuplicataSchema,
+  EventoSchema,
+  FaturaSchema,
+  ItemSchema,
+  PagamentoSchema,
+  TotaisSchema
+} from "./subschemas.js";
+import { lixeiraPlugin } from "./lixeira.js";
+import { webhooksPendentesPlugin } from "./webhooksPendentes.js";
 
 const NotaCompraSchema = new mongoose.Schema({
-  numero: { type: String, required: true, unique: true },
-  chaveNFe: { type: String, required: true, unique: true }, // Chave única da NFE
-  dataEmissao: String,
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true }, // Dona da nota (compra: destinatário)
+  numero: { type: String, required: true }, // ide.nNF
+  modelo: String, // ide.mod (55 NF-e, 65 NFC-e)
+  serie: String, // ide.serie, sem zeros à esquerda
+  chaveNFe: { type: String, required: true }, // Chave única da NFE (por empresa)
+  dataEmissao: Date,
   remetente: {
     nome: String,
     cnpj: String,
+    cpf: String, // Emitente pessoa física (produtor rural)
     endereco: Object
   },
   destinatario: {
@@ -16,17 +31,69 @@ const NotaCompraSchema = new mongoose.Schema({
     cpf: String,
     endereco: Object
   },
+  participante: { type: mongoose.Schema.Types.ObjectId, ref: "Participante" }, // Cadastro do fornecedor (emitente; destinatário nas notas de entrada próprias)
+  finalidade: String, // ide.finNFe: 1 normal, 2 complementar, 3 ajuste, 4 devolução
+  devolucao: { type: Boolean, default: false }, // finNFe = 4
+  emissaoPropria: { type: Boolean, default: false }, // Nota de entrada emitida pela própria empresa (tpNF=0)
   transportadora: Object,
   produtos: Array,
+  itens: [ItemSchema], // Itens com detalhamento de impostos (ICMS, IPI, PIS, COFINS, ST)
   valorTotal: Number,
+  totais: TotaisSchema,
+  advertencias: [AdvertenciaSchema], // Totais que não conferem com os itens (validarTotais)
+  fatura: FaturaSchema,
+  duplicatas: [DuplicataSchema],
+  pagamentos: [PagamentoSchema],
   xmlTexto: String,
   pdfFileId: { type: mongoose.Schema.Types.ObjectId }, // Referência para o GridFS
+  pdfStatus: { type: String, enum: ["pendente", "pronto", "falhou", "indisponivel"] }, // Situação da geração do DANFE na fila de PDFs ("indisponivel": NFC-e cancelada)
+  pdfErro: String, // Última falha ao gerar o DANFE
+  protocolo: { // Protocolo de autorização da SEFAZ (protNFe/infProt)
+    numero: String,
+    cStat: String,
+    xMotivo: String,
+    dataAutorizacao: Date,
+    digVal: String
+  },
+  certificado: { // Certificado que assinou a NFE
+    subject: String,
+    emissor: String,
+    numeroSerie: String,
+    validoDe: Date,
+    validoAte: Date
+  },
+  // Canceladas ficam fora dos relatórios; sem_protocolo (NFe importada sem o protNFe) também,
+  // e sem estoque, títulos e DANFE até o protocolo de autorização ser vinculado
+  status: { type: String, enum: ["autorizada", "cancelada", "sem_protocolo"], default: "autorizada" },
+  eventos: [EventoSchema],
   criadoEm: { type: Date, default: Date.now }
 });
 
-// Índices para busca (mantendo apenas os que não são 'unique: true')
+// Identidade fiscal, por empresa: a chave ou modelo + série + número + emitente.
+// O número sozinho se repete entre fornecedores e séries diferentes.
+NotaCompraSchema.index({ empresa: 1, chaveNFe: 1 }, { unique: true });
+NotaCompraSchema.index(
+  { empresa: 1, modelo: 1, serie: 1, numero: 1, "remetente.cnpj": 1, "remetente.cpf": 1 },
+  { unique: true, name: "identidade_fiscal" }
+);
+NotaCompraSchema.index({ empresa: 1, numero: 1 });
+
+// Índices para busca
 NotaCompraSchema.index({ "remetente.nome": "text", "destinatario.nome": "text" });
 NotaCompraSchema.index({ valorTotal: 1 });
+NotaCompraSchema.index({ status: 1 });
+NotaCompraSchema.index({ empresa: 1, dataEmissao: -1 });
+NotaCompraSchema.index({ "remetente.cnpj": 1 });
+NotaCompraSchema.index({ "destinatario.cnpj": 1 });
+NotaCompraSchema.index({ "itens.CFOP": 1 });
+NotaCompraSchema.index({ "itens.NCM": 1 });
+NotaCompraSchema.index({ empresa: 1, "advertencias.codigo": 1 });
+NotaCompraSchema.index({ participante: 1, dataEmissao: -1 });
+
+// Exclusão vai para a lixeira (excluidaEm/expiraEm) em vez de apagar
+NotaCompraSchema.plugin(lixeiraPlugin);
+// Eventos de webhook gravados junto com a alteração da nota
+NotaCompraSchema.plugin(webhooksPendentesPlugin);
 
 export const NotaCompra = mongoose.model("NotaCompra", NotaCompraSchema);
 
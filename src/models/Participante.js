@@ -0,0 +1,44 @@
+
+import mongoose from "mongoose";
+
+const EnderecoSchema = new mongoose.Schema({
+  logradouro: String,
+  numero: String,
+  complemento: String,
+  bairro: String,
+  codigoMunicipio: String,
+  municipio: String,
+  uf: String,
+  cep: String,
+  codigoPais: String,
+  pais: String,
+  desde: Date, // Emissão da primeira nota com este endereço
+  ate: Date // Preenchido quando o endereço é substituído
+}, { _id: false });
+
+// Cliente (destinatário das vendas) ou fornecedor (emitente das compras)
+const ParticipanteSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true }, // Cadastro próprio de cada empresa
+  documento: { type: String, required: true }, // CNPJ, CPF ou idEstrangeiro
+  tipoDocumento: { type: String, enum: ["cnpj", "cpf", "estrangeiro"] },
+  nome: String,
+  nomeFantasia: String,
+  ie: String,
+  im: String,
+  email: String,
+  telefone: String,
+  papeis: [{ type: String, enum: ["cliente", "fornecedor"] }],
+  endereco: EnderecoSchema,
+  historicoEnderecos: [EnderecoSchema],
+  dadosManuais: { type: Boolean, default: false }, // Editado pela API: a importação não sobrescreve nome e contato
+  ultimaNotaEm: Date, // Emissão da nota mais recente que atualizou o cadastro
+  criadoEm: { type: Date, default: Date.now },
+  atualizadoEm: { type: Date, default: Date.now }
+});
+
+ParticipanteSchema.index({ empresa: 1, documento: 1 }, { unique: true });
+ParticipanteSchema.index({ nome: "text", nomeFantasia: "text" });
+ParticipanteSchema.index({ papeis: 1 });
+ParticipanteSchema.index({ "endereco.uf": 1 });
+
+export const Participante = mongoose.model("Participante", ParticipanteSchema);
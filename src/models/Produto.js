@@ -0,0 +1,35 @@
+
+import mongoose from "mongoose";
+
+// Fator de conversão de uma unidade comercial para a unidade de estoque
+const ConversaoSchema = new mongoose.Schema({
+  unidade: { type: String, required: true },
+  fator: { type: Number, required: true } // Quantidade na unidade de estoque por 1 unidade
+}, { _id: false });
+
+const ProdutoSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true },
+  codigo: { type: String, required: true }, // GTIN quando houver, senão cProd (único por empresa)
+  gtin: String,
+  cProd: String,
+  descricao: String,
+  ncm: String,
+  unidade: String, // Unidade de estoque (uTrib da primeira nota)
+  conversoes: [ConversaoSchema],
+  saldo: { type: Number, default: 0 }, // Quantidade na unidade de estoque
+  valorEstoque: { type: Number, default: 0 },
+  custoMedio: { type: Number, default: 0 }, // Custo médio ponderado por unidade de estoque
+  criadoEm: { type: Date, default: Date.now },
+  atualizadoEm: { type: Date, default: Date.now }
+}, {
+  // Saldo e custo médio são recalculados em memória: o save falha (VersionError) se outra
+  // importação gravou o produto no meio, e o estoque relê e aplica de novo
+  optimisticConcurrency: true
+});
+
+ProdutoSchema.index({ empresa: 1, codigo: 1 }, { unique: true });
+ProdutoSchema.index({ descricao: "text", cProd: "text" });
+ProdutoSchema.index({ cProd: 1 });
+ProdutoSchema.index({ gtin: 1 });
+
+export const Produto = mongoose.model("Produto", ProdutoSchema);
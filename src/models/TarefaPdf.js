@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+export const STATUS_TAREFA_PDF = ["pendente", "processando", "concluida", "falhou"];
+
+// Geração do DANFE na fila de PDFs: uma tarefa por nota, reaproveitada a cada novo pedido
+const TarefaPdfSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true },
+  colecao: { type: String, enum: ["Nota", "NotaCompra"], required: true },
+  notaId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  numero: String,
+  motivo: String, // importacao, protocolo, cancelamento, restauracao, reprocessamento
+  status: { type: String, enum: STATUS_TAREFA_PDF, default: "pendente" },
+  tentativas: { type: Number, default: 0 },
+  maxTentativas: { type: Number, default: 5 },
+  proximaTentativa: { type: Date, default: Date.now }, // Backoff exponencial entre as falhas
+  iniciadaEm: Date, // Tarefa presa em "processando" é retomada após um tempo (queda do processo)
+  concluidaEm: Date,
+  erro: String, // Última falha
+  criadoEm: { type: Date, default: Date.now },
+  atualizadoEm: { type: Date, default: Date.now }
+});
+
+TarefaPdfSchema.index({ colecao: 1, notaId: 1 }, { unique: true });
+TarefaPdfSchema.index({ status: 1, proximaTentativa: 1 });
+TarefaPdfSchema.index({ empresa: 1, status: 1, atualizadoEm: -1 });
+
+export const TarefaPdf = mongoose.model("TarefaPdf", TarefaPdfSchema);
@@ -0,0 +1,43 @@
+
+import mongoose from "mongoose";
+
+// Baixa (total ou parcial) registrada em um título
+const BaixaSchema = new mongoose.Schema({
+  data: { type: Date, required: true },
+  valor: { type: Number, required: true },
+  forma: String, // PIX, boleto, transferência...
+  observacao: String,
+  registradoEm: { type: Date, default: Date.now }
+}, { _id: true });
+
+// Título a receber (duplicata de Nota) ou a pagar (duplicata de NotaCompra)
+const TituloSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true },
+  tipo: { type: String, enum: ["receber", "pagar"], required: true },
+  participante: { // Cliente (destinatário) ou fornecedor (emitente)
+    documento: String, // CNPJ ou CPF
+    nome: String
+  },
+  origem: {
+    colecao: { type: String, enum: ["Nota", "NotaCompra"], required: true },
+    notaId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    numero: String,
+    chaveNFe: String
+  },
+  parcela: { type: Number, required: true }, // Posição da duplicata na nota (1, 2, ...)
+  nDup: String,
+  dVenc: Date,
+  valor: { type: Number, required: true },
+  valorPago: { type: Number, default: 0 },
+  status: { type: String, enum: ["aberto", "pago", "cancelado"], default: "aberto" }, // "vencido" é calculado por dVenc
+  baixas: [BaixaSchema],
+  motivoCancelamento: String,
+  criadoEm: { type: Date, default: Date.now },
+  atualizadoEm: { type: Date, default: Date.now }
+});
+
+TituloSchema.index({ "origem.colecao": 1, "origem.notaId": 1, parcela: 1 }, { unique: true });
+TituloSchema.index({ empresa: 1, tipo: 1, status: 1, dVenc: 1 });
+TituloSchema.index({ empresa: 1, "participante.documento": 1 });
+
+export const Titulo = mongoose.model("Titulo", TituloSchema);
@@ -0,0 +1,27 @@
+
+import mongoose from "mongoose";
+
+// Papéis em ordem crescente de permissão
+export const PAPEIS = ["viewer", "importer", "admin"];
+
+const UsuarioSchema = new mongoose.Schema({
+  nome: { type: String, required: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  senhaHash: { type: String, required: true }, // bcrypt
+  papel: { type: String, enum: PAPEIS, default: "viewer" },
+  empresas: [{ type: mongoose.Schema.Types.ObjectId, ref: "Empresa" }], // Empresas acessíveis (admin acessa todas)
+  ativo: { type: Boolean, default: true },
+  ultimoLogin: Date,
+  criadoEm: { type: Date, default: Date.now },
+  atualizadoEm: { type: Date, default: Date.now }
+});
+
+// Nunca devolve o hash da senha nas respostas
+UsuarioSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.senhaHash;
+    return ret;
+  }
+});
+
+export const Usuario = mongoose.model("Usuario", UsuarioSchema);
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Eventos do ciclo de vida das notas que podem ser assinados
+export const EVENTOS_WEBHOOK = [
+  "nota.importada", // NFE importada (venda ou compra)
+  "nota.duplicada", // Importação rejeitada por duplicidade (409)
+  "nota.pdf_pronto", // DANFE gerado pela fila de PDFs
+  "nota.excluida", // Nota movida para a lixeira
+  "nota.cancelada" // Evento de cancelamento registrado
+];
+
+// Assinatura de webhook da empresa: as entregas vão por POST para a url, assinadas com HMAC do segredo
+const WebhookSchema = new mongoose.Schema({
+  empresa: { type: mongoose.Schema.Types.ObjectId, ref: "Empresa", required: true },
+  url: { type: String, required: true },
+  eventos: [{ type: String, enum: EVENTOS_WEBHOOK }],
+  segredo: { type: String, required: true }, // Chave do HMAC; só é exibida na criação e na troca
+  descricao: String,
+  ativo: { type: Boolean, default: true },
+  criadoEm: { type: Date, default: Date.now },
+  atualizadoEm: { type: Date, default: Date.now }
+});
+
+WebhookSchema.index({ empresa: 1, ativo: 1, eventos: 1 });
+
+WebhookSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.segredo;
+    return ret;
+  }
+});
+
+export const Webhook = mongoose.model("Webhook", WebhookSchema);
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+const OPERACOES_CONSULTA = [
+  "find", "findOne", "countDocuments", "distinct",
+  "findOneAndUpdate", "findOneAndDelete", "updateOne", "updateMany", "deleteOne", "deleteMany"
+];
+
+// Consultas que já tratam excluidaEm (lixeira) ou pedem { comExcluidas: true } ficam como estão
+function consultaDaLixeira(query) {
+  return query.getOptions().comExcluidas || Object.hasOwn(query.getFilter(), "excluidaEm");
+}
+
+/**
+ * Lixeira de Nota e NotaCompra: a exclusão só marca a nota (excluidaEm) até expiraEm,
+ * quando ela é removida de vez com o PDF
+ * - Consultas e agregações ignoram notas na lixeira, a menos que filtrem por excluidaEm
+ *   ou usem .setOptions({ comExcluidas: true })
+ * - A nota na lixeira continua ocupando a chave e a identidade fiscal (índices únicos)
+ */
+export function lixeiraPlugin(schema) {
+  schema.add({
+    excluidaEm: Date,
+    excluidaPor: { // Autor da exclusão (ver Auditoria)
+      tipo: String,
+      id: mongoose.Schema.Types.ObjectId,
+      nome: String
+    },
+    expiraEm: Date // Fim da retenção: a nota e o PDF são apagados a partir daqui
+  });
+
+  schema.pre(OPERACOES_CONSULTA, function () {
+    if (!consultaDaLixeira(this)) {
+      this.where({ excluidaEm: null });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const primeiro = this.pipeline()[0];
+    if (!this.options.comExcluidas && !(primeiro?.$match && Object.hasOwn(primeiro.$match, "excluidaEm"))) {
+      this.pipeline().unshift({ $match: { excluidaEm: null } });
+    }
+  });
+
+  schema.index({ empresa: 1, excluidaEm: -1 });
+  schema.index({ expiraEm: 1 }, { sparse: true });
+}
@@ -0,0 +1,152 @@
+import mongoose from "mongoose";
+
+// Subdocumentos compartilhados entre Nota e NotaCompra
+
+// Eventos da NFE (cancelamento 110111, carta de correção 110110)
+export const EventoSchema = new mongoose.Schema({
+  tpEvento: { type: String, required: true },
+  descricao: String,
+  nSeqEvento: Number,
+  dataEvento: Date,
+  dataRegistro: Date,
+  protocolo: String,
+  cStat: String,
+  justificativa: String, // xJust do cancelamento
+  correcao: String, // xCorrecao da carta de correção
+  xmlTexto: String
+}, { _id: false });
+
+const IcmsSchema = new mongoose.Schema({
+  grupo: String, // ICMS00, ICMS10, ICMSSN102...
+  orig: String,
+  cst: String,
+  csosn: String,
+  modBC: String,
+  pRedBC: Number,
+  vBC: Number,
+  pICMS: Number,
+  vICMS: Number,
+  vICMSDeson: Number,
+  vFCP: Number,
+  modBCST: String,
+  pMVAST: Number,
+  vBCST: Number,
+  pICMSST: Number,
+  vICMSST: Number,
+  vBCSTRet: Number,
+  vICMSSTRet: Number,
+  pCredSN: Number,
+  vCredICMSSN: Number
+}, { _id: false });
+
+const IpiSchema = new mongoose.Schema({
+  cEnq: String,
+  cst: String,
+  vBC: Number,
+  pIPI: Number,
+  vIPI: Number
+}, { _id: false });
+
+// PIS e COFINS têm o mesmo formato (alíquota percentual ou por quantidade)
+const PisCofinsSchema = new mongoose.Schema({
+  cst: String,
+  vBC: Number,
+  aliquota: Number,
+  qBCProd: Number,
+  vAliqProd: Number,
+  valor: Number
+}, { _id: false });
+
+// Item da nota (det/prod) com o detalhamento dos impostos (det/imposto)
+export const ItemSchema = new mongoose.Schema({
+  nItem: Number,
+  cProd: String,
+  cEAN: String,
+  xProd: String,
+  NCM: String,
+  CEST: String,
+  CFOP: String,
+  uCom: String,
+  qCom: Number,
+  vUnCom: Number,
+  vProd: Number,
+  cEANTrib: String,
+  uTrib: String,
+  qTrib: Number,
+  vUnTrib: Number,
+  vFrete: Number,
+  vSeg: Number,
+  vDesc: Number,
+  vOutro: Number,
+  indTot: String,
+  impostos: {
+    vTotTrib: Number,
+    icms: IcmsSchema,
+    ipi: IpiSchema,
+    pis: PisCofinsSchema,
+    cofins: PisCofinsSchema
+  }
+}, { _id: false });
+
+// Bloco total/ICMSTot completo
+export const TotaisSchema = new mongoose.Schema({
+  vBC: Number,
+  vICMS: Number,
+  vICMSDeson: Number,
+  vFCPUFDest: Number,
+  vICMSUFDest: Number,
+  vICMSUFRemet: Number,
+  vFCP: Number,
+  vBCST: Number,
+  vST: Number,
+  vFCPST: Number,
+  vFCPSTRet: Number,
+  vProd: Number,
+  vFrete: Number,
+  vSeg: Number,
+  vDesc: Number,
+  vII: Number,
+  vIPI: Number,
+  vIPIDevol: Number,
+  vPIS: Number,
+  vCOFINS: Number,
+  vOutro: Number,
+  vNF: Number,
+  vTotTrib: Number
+}, { _id: false });
+
+// Divergência encontrada ao recalcular os totais a partir dos itens (validarTotais)
+export const AdvertenciaSchema = new mongoose.Schema({
+  codigo: String, // item_vprod, total_vprod, total_vnf, total_campo
+  campo: String, // Campo divergente (vProd, vNF, vICMS...)
+  nItem: Number, // Só nas divergências de item
+  esperado: Number, // Valor recalculado
+  informado: Number, // Valor do XML
+  mensagem: String
+}, { _id: false });
+
+// Fatura (cobr/fat)
+export const FaturaSchema = new mongoose.Schema({
+  nFat: String,
+  vOrig: Number,
+  vDesc: Number,
+  vLiq: Number
+}, { _id: false });
+
+// Parcelas (cobr/dup)
+export const DuplicataSchema = new mongoose.Schema({
+  nDup: String,
+  dVenc: Date,
+  vDup: Number
+}, { _id: false });
+
+// Formas de pagamento (pag/detPag)
+export const PagamentoSchema = new mongoose.Schema({
+  indPag: String,
+  tPag: String,
+  xPag: String,
+  vPag: Number,
+  cnpjCredenciadora: String,
+  tBand: String,
+  cAut: String
+}, { _id: false });
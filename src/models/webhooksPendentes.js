@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// Evento de webhook ainda não levado para a caixa de saída (EntregaWebhook)
+const EventoPendenteSchema = new mongoose.Schema({
+  id: { type: String, required: true }, // payload.id das entregas geradas
+  evento: { type: String, required: true },
+  ocorridoEm: { type: Date, default: Date.now },
+  dados: Object // Completa o resumo da nota no payload (classificacao, expiraEm...)
+}, { _id: false });
+
+/**
+ * Eventos de webhook de Nota e NotaCompra: gravados na própria nota, na mesma escrita
+ * que os originou (importação, cancelamento, exclusão, PDF pronto)
+ * - Uma queda entre a alteração da nota e a caixa de saída não perde o evento: o processador
+ *   de entregas (materializarEventosPendentes) cria as entregas e só então os remove da nota
+ */
+export function webhooksPendentesPlugin(schema) {
+  schema.add({ webhooksPendentes: [EventoPendenteSchema] });
+  schema.index({ "webhooksPendentes.id": 1 }, { sparse: true });
+}
@@ -0,0 +1,74 @@
+// src/routes/auditoria.js
+import express from "express";
+import mongoose from "mongoose";
+import { ACOES_AUDITORIA, Auditoria } from "../models/Auditoria.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { lerData } from "../utils/filtrosNotas.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/auditoria
+ * - Trilha de auditoria da empresa: importações, eventos, mudanças de status,
+ *   exclusões, restaurações e exportações (quem, quando, o quê e de onde)
+ * - Filtros: acao, colecao (Nota/NotaCompra), notaId, chaveNFe, autor (ID do usuário ou chave), dataInicio, dataFim
+ * - Paginação por página (?page=&limit=), mais recentes primeiro
+ * - Apenas admin
+ */
+router.get("/", exigirPapel("admin"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, acao, colecao, notaId, chaveNFe, autor, dataInicio, dataFim } = req.query;
+    const filter = { empresa: req.empresa._id };
+
+    if (acao) {
+      if (!ACOES_AUDITORIA.includes(acao)) {
+        throw new ErroRequisicao(400, `acao deve ser uma de: ${ACOES_AUDITORIA.join(", ")}.`);
+      }
+      filter.acao = acao;
+    }
+    if (colecao) {
+      filter.colecao = colecao;
+    }
+    for (const [campo, valor] of [["nota.id", notaId], ["autor.id", autor]]) {
+      if (!valor) continue;
+      if (!mongoose.Types.ObjectId.isValid(valor)) {
+        throw new ErroRequisicao(400, `${campo === "nota.id" ? "notaId" : "autor"} inválido.`);
+      }
+      filter[campo] = valor;
+    }
+    if (chaveNFe) {
+      filter["nota.chaveNFe"] = chaveNFe;
+    }
+    if (dataInicio || dataFim) {
+      filter.data = {};
+      if (dataInicio) filter.data.$gte = lerData(dataInicio, "dataInicio");
+      if (dataFim) filter.data.$lte = lerData(dataFim, "dataFim", true);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [registros, total] = await Promise.all([
+      Auditoria.find(filter).sort({ data: -1, _id: -1 }).skip(skip).limit(parseInt(limit)),
+      Auditoria.countDocuments(filter)
+    ]);
+
+    res.json({
+      registros,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao listar auditoria:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,267 @@
+// src/routes/auth.js
+import express from "express";
+import mongoose from "mongoose";
+import { Usuario } from "../models/Usuario.js";
+import { ChaveApi } from "../models/ChaveApi.js";
+import { Empresa } from "../models/Empresa.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { autenticar, exigirPapel } from "../middlewares/autenticacao.js";
+import {
+  conferirSenha,
+  gerarChaveApi,
+  gerarHashSenha,
+  gerarToken,
+  validarPapel
+} from "../services/autenticacao.js";
+
+const router = express.Router();
+
+// Valida a lista de empresas (_id) vinculadas a um usuário ou chave de API
+async function lerEmpresas(empresas) {
+  if (empresas === undefined) return undefined;
+  if (!Array.isArray(empresas) || empresas.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new ErroRequisicao(400, "empresas deve ser uma lista de IDs de empresa.");
+  }
+  const encontradas = await Empresa.countDocuments({ _id: { $in: empresas } });
+  if (encontradas !== new Set(empresas.map(String)).size) {
+    throw new ErroRequisicao(400, "empresas contém ID de empresa inexistente.");
+  }
+  return empresas;
+}
+
+/**
+ * POST /api/auth/login
+ * - Body: { email, senha }
+ * - Retorna o JWT da sessão ({ token, expiraEm, usuario })
+ */
+router.post("/login", async (req, res) => {
+  try {
+    const { email, senha } = req.body || {};
+    if (!email || !senha) {
+      return res.status(400).json({ error: "email e senha são obrigatórios." });
+    }
+
+    const usuario = await Usuario.findOne({ email: String(email).toLowerCase().trim() });
+    // Mesma resposta para e-mail inexistente e senha errada
+    if (!usuario || !usuario.ativo || !(await conferirSenha(senha, usuario.senhaHash))) {
+      return res.status(401).json({ error: "E-mail ou senha inválidos." });
+    }
+
+    usuario.ultimoLogin = new Date();
+    await usuario.save();
+
+    res.json({ ...gerarToken(usuario), usuario });
+  } catch (err) {
+    console.error("Erro ao fazer login:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * - Dados de quem está autenticado (usuário ou chave de API)
+ */
+router.get("/me", autenticar, (req, res) => {
+  res.json(req.usuario);
+});
+
+/**
+ * PUT /api/auth/senha
+ * - Troca a senha do usuário logado
+ * - Body: { senhaAtual, novaSenha }
+ */
+router.put("/senha", autenticar, async (req, res) => {
+  try {
+    if (req.usuario.tipo !== "usuario") {
+      return res.status(400).json({ error: "Chaves de API não possuem senha." });
+    }
+
+    const { senhaAtual, novaSenha } = req.body || {};
+    const usuario = await Usuario.findById(req.usuario.id);
+    if (!(await conferirSenha(senhaAtual, usuario.senhaHash))) {
+      return res.status(401).json({ error: "Senha atual incorreta." });
+    }
+
+    usuario.senhaHash = await gerarHashSenha(novaSenha);
+    usuario.atualizadoEm = new Date();
+    await usuario.save();
+
+    res.json({ message: "Senha alterada com sucesso." });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao trocar senha:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/usuarios
+ * - Lista os usuários (admin)
+ */
+router.get("/usuarios", autenticar, exigirPapel("admin"), async (req, res) => {
+  try {
+    const usuarios = await Usuario.find().sort({ nome: 1 });
+    res.json({ usuarios });
+  } catch (err) {
+    console.error("Erro ao listar usuários:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/usuarios
+ * - Cria um usuário (admin)
+ * - Body: { nome, email, senha, papel (viewer, importer, admin), empresas? (IDs) }
+ */
+router.post("/usuarios", autenticar, exigirPapel("admin"), async (req, res) => {
+  try {
+    const { nome, email, senha, papel = "viewer", empresas = [] } = req.body || {};
+    if (!nome || !email) {
+      return res.status(400).json({ error: "nome e email são obrigatórios." });
+    }
+
+    const usuario = await Usuario.create({
+      nome,
+      email,
+      papel: validarPapel(papel),
+      empresas: await lerEmpresas(empresas),
+      senhaHash: await gerarHashSenha(senha)
+    });
+
+    res.status(201).json(usuario);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "Já existe um usuário com este e-mail." });
+    }
+
+    console.error("Erro ao criar usuário:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/auth/usuarios/:id
+ * - Altera nome, papel, ativo, empresas ou redefine a senha (admin)
+ * - O admin não pode rebaixar nem desativar a si mesmo
+ */
+router.put("/usuarios/:id", autenticar, exigirPapel("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nome, papel, ativo, senha, empresas } = req.body || {};
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const usuario = await Usuario.findById(id);
+    if (!usuario) {
+      return res.status(404).json({ error: "Usuário não encontrado." });
+    }
+
+    const proprio = String(usuario._id) === String(req.usuario.id);
+    if (proprio && ((papel && papel !== "admin") || ativo === false)) {
+      return res.status(400).json({ error: "Não é possível rebaixar ou desativar o próprio usuário." });
+    }
+
+    if (nome) usuario.nome = nome;
+    if (papel) usuario.papel = validarPapel(papel);
+    if (typeof ativo === "boolean") usuario.ativo = ativo;
+    if (empresas !== undefined) usuario.empresas = await lerEmpresas(empresas);
+    if (senha) usuario.senhaHash = await gerarHashSenha(senha);
+    usuario.atualizadoEm = new Date();
+    await usuario.save();
+
+    res.json(usuario);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao atualizar usuário:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/auth/chaves
+ * - Lista as chaves de API (sem o valor da chave) (admin)
+ */
+router.get("/chaves", autenticar, exigirPapel("admin"), async (req, res) => {
+  try {
+    const chaves = await ChaveApi.find().sort({ criadoEm: -1 });
+    res.json({ chaves });
+  } catch (err) {
+    console.error("Erro ao listar chaves de API:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/auth/chaves
+ * - Cria uma chave de API para integração (admin)
+ * - Body: { nome, papel, empresas? (IDs) }
+ * - A chave só é exibida nesta resposta; guarde-a em local seguro
+ */
+router.post("/chaves", autenticar, exigirPapel("admin"), async (req, res) => {
+  try {
+    const { nome, papel = "viewer", empresas = [] } = req.body || {};
+    if (!nome) {
+      return res.status(400).json({ error: "nome é obrigatório." });
+    }
+
+    const { chave, prefixo, hash } = gerarChaveApi();
+    const chaveApi = await ChaveApi.create({
+      nome,
+      prefixo,
+      hash,
+      papel: validarPapel(papel),
+      empresas: await lerEmpresas(empresas),
+      criadoPor: req.usuario.tipo === "usuario" ? req.usuario.id : undefined
+    });
+
+    res.status(201).json({ ...chaveApi.toJSON(), chave });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao criar chave de API:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/chaves/:id
+ * - Revoga uma chave de API (admin)
+ */
+router.delete("/chaves/:id", autenticar, exigirPapel("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const chaveApi = await ChaveApi.findOneAndUpdate(
+      { _id: id, revogadaEm: null },
+      { $set: { revogadaEm: new Date() } },
+      { new: true }
+    );
+    if (!chaveApi) {
+      return res.status(404).json({ error: "Chave de API não encontrada ou já revogada." });
+    }
+
+    res.json({ message: `Chave ${chaveApi.nome} revogada.`, chave: chaveApi });
+  } catch (err) {
+    console.error("Erro ao revogar chave de API:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
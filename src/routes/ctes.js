@@ -0,0 +1,166 @@
+// src/routes/ctes.js
+import express from "express";
+import multer from "multer";
+import mongoose from "mongoose";
+import { Cte } from "../models/Cte.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { decodificarXml } from "../utils/xml.js";
+import { montarFiltroCtes } from "../utils/filtrosNotas.js";
+import { importarDocumento, importarLote } from "../services/importacao.js";
+import { notasDoCte, resumoCte } from "../services/cte.js";
+import { gerarDacte } from "../services/dacte.js";
+import { contextoAuditoria } from "../services/auditoria.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+/**
+ * POST /api/ctes
+ * - Recebe o XML de um CT-e autorizado (cteProc, campo "xml")
+ * - A empresa selecionada (X-Empresa) precisa participar do CT-e (em regra, como tomadora)
+ * - Verifica duplicidade pela chave dentro da empresa
+ * - As NF-e transportadas (infDoc/infNFe/chave) passam a mostrar o frete em GET /api/notas/:id
+ *   e /api/notasCompra/:id, mesmo que sejam importadas depois
+ */
+router.post("/", exigirPapel("importer"), upload.single("xml"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Arquivo XML é obrigatório." });
+    }
+
+    const xml = decodificarXml(req.file.buffer);
+    const { cte } = await importarDocumento(Cte, xml, req.empresa, contextoAuditoria(req));
+
+    res.status(201).json({
+      message: "CT-e importado com sucesso!",
+      cte: resumoCte(cte)
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao importar CT-e:", err);
+    res.status(500).json({ error: "Erro interno do servidor: " + err.message });
+  }
+});
+
+/**
+ * POST /api/ctes/lote
+ * - Recebe vários XMLs de CT-e e/ou arquivos ZIP (campo "xml")
+ * - Retorna um relatório por arquivo: importada, duplicada ou rejeitada
+ */
+router.post("/lote", exigirPapel("importer"), upload.array("xml"), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: "Envie ao menos um arquivo XML ou ZIP." });
+    }
+
+    const relatorio = await importarLote(Cte, req.files, req.empresa, contextoAuditoria(req));
+    res.status(relatorio.resumo.importadas > 0 ? 201 : 200).json(relatorio);
+  } catch (err) {
+    console.error("Erro ao importar lote de CT-e:", err);
+    res.status(500).json({ error: "Erro interno do servidor: " + err.message });
+  }
+});
+
+/**
+ * GET /api/ctes
+ * - Lista os CT-es da empresa, emitidos mais recentemente primeiro
+ * - Filtros: numero, chaveCTe, chaveNFe, status, transportadora, participante, dataInicio, dataFim
+ * - Paginação por página (?page=&limit=)
+ */
+router.get("/", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = montarFiltroCtes(req.query, req.empresa._id);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [ctes, total] = await Promise.all([
+      Cte.find(filter)
+        .select("numero serie chaveCTe dataEmissao emitente.nome emitente.cnpj tomador papelEmpresa valorPrestacao chavesNFe status criadoEm")
+        .sort({ dataEmissao: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Cte.countDocuments(filter)
+    ]);
+
+    res.json({
+      ctes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao listar CT-es:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/ctes/:id
+ * - CT-e completo com as notas da empresa que ele transporta
+ * - chavesSemNota: NF-e do CT-e ainda não importadas
+ */
+router.get("/:id", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const cte = await Cte.findOne({ _id: id, empresa: req.empresa._id });
+    if (!cte) {
+      return res.status(404).json({ error: "CT-e não encontrado." });
+    }
+
+    res.json({ ...cte.toJSON(), ...await notasDoCte(cte) });
+  } catch (err) {
+    console.error("Erro ao buscar CT-e:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/ctes/:id/pdf
+ * - DACTE gerado na hora a partir do CT-e armazenado
+ * - ?download=true para forçar download
+ */
+router.get("/:id/pdf", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const cte = await Cte.findOne({ _id: id, empresa: req.empresa._id }).select("-xmlTexto");
+    if (!cte) {
+      return res.status(404).json({ error: "CT-e não encontrado." });
+    }
+
+    const pdfStream = await gerarDacte(cte, { cancelado: cte.status === "cancelada" });
+    const disposicao = req.query.download === "true" ? "attachment" : "inline";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `${disposicao}; filename="CTE-${cte.numero}.pdf"`);
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    pdfStream.pipe(res);
+  } catch (err) {
+    console.error("Erro ao gerar DACTE:", err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+
+export default router;
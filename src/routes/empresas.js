@@ -0,0 +1,108 @@
+// src/routes/empresas.js
+import express from "express";
+import mongoose from "mongoose";
+import { Empresa } from "../models/Empresa.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+const CAMPOS_EDITAVEIS = ["razaoSocial", "nomeFantasia", "ie", "uf", "bloquearTotaisDivergentes"];
+
+function somenteDigitos(texto) {
+  return String(texto).replace(/\D/g, "");
+}
+
+/**
+ * GET /api/empresas
+ * - Empresas do grupo acessíveis a quem chama (admin vê todas)
+ * - O CNPJ ou o _id de uma delas vai no cabeçalho X-Empresa das demais rotas
+ */
+router.get("/", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const filter = req.usuario.papel === "admin" ? {} : { _id: { $in: req.usuario.empresas || [] } };
+    const empresas = await Empresa.find(filter).sort({ razaoSocial: 1 });
+    res.json({ empresas });
+  } catch (err) {
+    console.error("Erro ao listar empresas:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/empresas
+ * - Cadastra uma empresa do grupo (admin)
+ * - Body: { cnpj, razaoSocial, nomeFantasia?, ie?, uf?, bloquearTotaisDivergentes? }
+ * - Vendas importadas pertencem à empresa do CNPJ emitente; compras, à do CNPJ destinatário
+ */
+router.post("/", exigirPapel("admin"), async (req, res) => {
+  try {
+    const cnpj = somenteDigitos(req.body?.cnpj || "");
+    if (cnpj.length !== 14) {
+      return res.status(400).json({ error: "cnpj deve ter 14 dígitos." });
+    }
+    if (!req.body.razaoSocial) {
+      return res.status(400).json({ error: "razaoSocial é obrigatória." });
+    }
+
+    const dados = { cnpj };
+    for (const campo of CAMPOS_EDITAVEIS) {
+      if (req.body[campo] !== undefined) dados[campo] = req.body[campo];
+    }
+    const empresa = await Empresa.create(dados);
+
+    res.status(201).json(empresa);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: "Já existe uma empresa com este CNPJ." });
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error("Erro ao cadastrar empresa:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/empresas/:id
+ * - Altera razão social, fantasia, IE, UF ou desativa a empresa (admin)
+ * - bloquearTotaisDivergentes: rejeita na importação as notas cujos totais não conferem com os itens
+ *   (sem ele, a nota é importada com as advertências)
+ * - O CNPJ não muda: as notas já importadas estão vinculadas a ele
+ * - Empresa inativa deixa de ser aceita no X-Empresa; os dados são mantidos
+ */
+router.put("/:id", exigirPapel("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const empresa = await Empresa.findById(id);
+    if (!empresa) {
+      return res.status(404).json({ error: "Empresa não encontrada." });
+    }
+
+    for (const campo of CAMPOS_EDITAVEIS) {
+      if (req.body?.[campo] !== undefined) empresa[campo] = req.body[campo];
+    }
+    if (typeof req.body?.ativa === "boolean") {
+      empresa.ativa = req.body.ativa;
+    }
+    empresa.atualizadoEm = new Date();
+    await empresa.save();
+
+    res.json(empresa);
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error("Erro ao atualizar empresa:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
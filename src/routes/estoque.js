@@ -0,0 +1,215 @@
+// src/routes/estoque.js
+import express from "express";
+import mongoose from "mongoose";
+import { Produto } from "../models/Produto.js";
+import { MovimentoEstoque } from "../models/MovimentoEstoque.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { lerData } from "../utils/filtrosNotas.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+function escaparRegex(texto) {
+  return String(texto).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Filtro dos movimentos da empresa: tipo, chaveNFe, dataInicio/dataFim (data da nota) e estornos
+function montarFiltroMovimentos(query = {}, empresa) {
+  const { tipo, chaveNFe, dataInicio, dataFim, incluirEstornos } = query;
+  const filtro = { empresa };
+  if (tipo) {
+    if (!["entrada", "saida"].includes(tipo)) {
+      throw new ErroRequisicao(400, "tipo deve ser um de: entrada, saida.");
+    }
+    filtro.tipo = tipo;
+  }
+  if (chaveNFe) {
+    filtro["origem.chaveNFe"] = chaveNFe;
+  }
+  if (dataInicio || dataFim) {
+    filtro.data = {};
+    if (dataInicio) filtro.data.$gte = lerData(dataInicio, "dataInicio");
+    if (dataFim) filtro.data.$lte = lerData(dataFim, "dataFim", true);
+  }
+  // Por padrão mostra só os movimentos vigentes (sem estornos e estornados)
+  if (incluirEstornos !== "true") {
+    filtro.estorno = false;
+    filtro.estornadoEm = null;
+  }
+  return filtro;
+}
+
+async function listarMovimentos(filtro, query, res) {
+  const { page = 1, limit = 50 } = query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [movimentos, total] = await Promise.all([
+    MovimentoEstoque.find(filtro)
+      .populate("produto", "codigo descricao unidade")
+      .sort({ criadoEm: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    MovimentoEstoque.countDocuments(filtro)
+  ]);
+
+  res.json({
+    movimentos,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      totalItems: total,
+      itemsPerPage: parseInt(limit)
+    }
+  });
+}
+
+/**
+ * GET /api/estoque/produtos
+ * - Lista os produtos da empresa com saldo, valor em estoque e custo médio
+ * - ?busca= (código, GTIN ou descrição), ?comSaldo=true (só saldo diferente de zero)
+ * - Paginação por página (?page=&limit=)
+ */
+router.get("/produtos", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, busca, comSaldo } = req.query;
+    const filter = { empresa: req.empresa._id };
+
+    if (busca) {
+      const regex = { $regex: escaparRegex(busca), $options: "i" };
+      filter.$or = [{ codigo: regex }, { cProd: regex }, { gtin: regex }, { descricao: regex }];
+    }
+    if (comSaldo === "true") {
+      filter.saldo = { $ne: 0 };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [produtos, total] = await Promise.all([
+      Produto.find(filter).sort({ descricao: 1, _id: 1 }).skip(skip).limit(parseInt(limit)),
+      Produto.countDocuments(filter)
+    ]);
+
+    res.json({
+      produtos,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    console.error("Erro ao listar produtos:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/estoque/produtos/:id
+ * - Saldo atual do produto (unidade de estoque), valor em estoque, custo médio e conversões
+ */
+router.get("/produtos/:id", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const produto = await Produto.findOne({ _id: id, empresa: req.empresa._id });
+    if (!produto) {
+      return res.status(404).json({ error: "Produto não encontrado." });
+    }
+
+    res.json(produto);
+  } catch (err) {
+    console.error("Erro ao buscar produto:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/estoque/produtos/:id/movimentos
+ * - Histórico de movimentos do produto, do mais recente ao mais antigo
+ * - Filtros: tipo (entrada/saida), chaveNFe, dataInicio, dataFim, incluirEstornos=true
+ */
+router.get("/produtos/:id/movimentos", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const filter = { ...montarFiltroMovimentos(req.query, req.empresa._id), produto: id };
+    await listarMovimentos(filter, req.query, res);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao listar movimentos do produto:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/estoque/produtos/:id/custo-medio
+ * - Custo médio ponderado atual e sua evolução a cada movimento (custoMedioApos)
+ * - ?limit= define quantos movimentos recentes compõem a evolução (padrão 50)
+ */
+router.get("/produtos/:id/custo-medio", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 50 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const produto = await Produto.findOne({ _id: id, empresa: req.empresa._id });
+    if (!produto) {
+      return res.status(404).json({ error: "Produto não encontrado." });
+    }
+
+    const movimentos = await MovimentoEstoque.find({ empresa: req.empresa._id, produto: id })
+      .select("tipo data origem.numero origem.colecao quantidade custoUnitario valorTotal saldoApos custoMedioApos estorno criadoEm")
+      .sort({ criadoEm: -1, _id: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      produto: {
+        id: produto._id,
+        codigo: produto.codigo,
+        descricao: produto.descricao,
+        unidade: produto.unidade
+      },
+      saldo: produto.saldo,
+      valorEstoque: produto.valorEstoque,
+      custoMedio: produto.custoMedio,
+      evolucao: movimentos.reverse()
+    });
+  } catch (err) {
+    console.error("Erro ao calcular custo médio:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/estoque/movimentos
+ * - Histórico geral de movimentos de todos os produtos da empresa
+ * - Filtros: tipo (entrada/saida), chaveNFe, dataInicio, dataFim, incluirEstornos=true
+ */
+router.get("/movimentos", exigirPapel("viewer"), async (req, res) => {
+  try {
+    await listarMovimentos(montarFiltroMovimentos(req.query, req.empresa._id), req.query, res);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao listar movimentos:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
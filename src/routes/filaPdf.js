@@ -0,0 +1,86 @@
+// src/routes/filaPdf.js
+import express from "express";
+import { STATUS_TAREFA_PDF, TarefaPdf } from "../models/TarefaPdf.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { reenfileirarFalhas } from "../services/filaPdf.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/filaPdf
+ * - Tarefas da fila de geração de DANFEs da empresa, com a última falha e as tentativas
+ * - status: pendente, processando, concluida, falhou (padrão) ou todas; colecao (Nota/NotaCompra)
+ * - totais traz a quantidade de tarefas por status
+ * - Paginação por página (?page=&limit=), atualizadas mais recentemente primeiro
+ * - Apenas admin
+ */
+router.get("/", exigirPapel("admin"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = "falhou", colecao } = req.query;
+    const filter = { empresa: req.empresa._id };
+
+    if (status !== "todas") {
+      if (!STATUS_TAREFA_PDF.includes(status)) {
+        throw new ErroRequisicao(400, `status deve ser um de: ${[...STATUS_TAREFA_PDF, "todas"].join(", ")}.`);
+      }
+      filter.status = status;
+    }
+    if (colecao) {
+      filter.colecao = colecao;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [tarefas, total, porStatus] = await Promise.all([
+      TarefaPdf.find(filter).sort({ atualizadoEm: -1, _id: -1 }).skip(skip).limit(parseInt(limit)),
+      TarefaPdf.countDocuments(filter),
+      TarefaPdf.aggregate([
+        { $match: { empresa: req.empresa._id } },
+        { $group: { _id: "$status", quantidade: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totais = Object.fromEntries(STATUS_TAREFA_PDF.map(s => [s, 0]));
+    for (const { _id, quantidade } of porStatus) {
+      totais[_id] = quantidade;
+    }
+
+    res.json({
+      tarefas,
+      totais,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao listar a fila de PDFs:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/filaPdf/reprocessar
+ * - Recoloca na fila todas as tarefas que falharam na empresa, com as tentativas zeradas
+ * - Apenas admin
+ */
+router.post("/reprocessar", exigirPapel("admin"), async (req, res) => {
+  try {
+    const quantidade = await reenfileirarFalhas(req.empresa._id);
+    res.status(202).json({
+      message: `${quantidade} PDFs enfileirados para nova geração.`,
+      quantidade
+    });
+  } catch (err) {
+    console.error("Erro ao reprocessar a fila de PDFs:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
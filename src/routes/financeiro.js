@@ -0,0 +1,191 @@
+// src/routes/financeiro.js
+import express from "express";
+import mongoose from "mongoose";
+import { Titulo } from "../models/Titulo.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { lerData } from "../utils/filtrosNotas.js";
+import {
+  FAIXAS_AGING,
+  filtroSituacao,
+  gerarAging,
+  hoje,
+  registrarBaixa,
+  resumoTitulo
+} from "../services/financeiro.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+function somenteDigitos(texto) {
+  return String(texto).replace(/\D/g, "");
+}
+
+function lerTipo(tipo, obrigatorio = false) {
+  if (!tipo && !obrigatorio) return undefined;
+  if (!["receber", "pagar"].includes(tipo)) {
+    throw new ErroRequisicao(400, "tipo deve ser um de: receber, pagar.");
+  }
+  return tipo;
+}
+
+// Data-base em AAAA-MM-DD (meia-noite UTC, como o dVenc das duplicatas)
+function lerDataBase(dataBase) {
+  if (!dataBase) return hoje();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dataBase) || isNaN(new Date(dataBase))) {
+    throw new ErroRequisicao(400, "dataBase deve estar no formato AAAA-MM-DD.");
+  }
+  return new Date(`${dataBase}T00:00:00.000Z`);
+}
+
+/**
+ * GET /api/financeiro/titulos
+ * - Contas a receber (duplicatas de vendas) e a pagar (duplicatas de compras)
+ * - Filtros: tipo (receber/pagar), situacao (aberto/vencido/pago/cancelado),
+ *   cnpj (cliente ou fornecedor), vencimentoInicio, vencimentoFim, numero (da nota)
+ * - Ordenado por vencimento; paginação por página (?page=&limit=)
+ */
+router.get("/titulos", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, tipo, situacao, cnpj, vencimentoInicio, vencimentoFim, numero } = req.query;
+    const dataBase = hoje();
+    const condicoes = [{ empresa: req.empresa._id }];
+
+    if (tipo) {
+      condicoes.push({ tipo: lerTipo(tipo) });
+    }
+    if (situacao) {
+      condicoes.push(filtroSituacao(situacao, dataBase));
+    }
+    if (cnpj) {
+      condicoes.push({ "participante.documento": somenteDigitos(cnpj) });
+    }
+    if (numero) {
+      condicoes.push({ "origem.numero": numero });
+    }
+    // Vencimentos são datas puras (meia-noite UTC)
+    if (vencimentoInicio || vencimentoFim) {
+      const dVenc = {};
+      if (vencimentoInicio) dVenc.$gte = lerData(`${vencimentoInicio}T00:00:00.000Z`, "vencimentoInicio");
+      if (vencimentoFim) dVenc.$lte = lerData(`${vencimentoFim}T00:00:00.000Z`, "vencimentoFim");
+      condicoes.push({ dVenc });
+    }
+
+    const filter = { $and: condicoes };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [titulos, total] = await Promise.all([
+      Titulo.find(filter).sort({ dVenc: 1, _id: 1 }).skip(skip).limit(parseInt(limit)),
+      Titulo.countDocuments(filter)
+    ]);
+
+    res.json({
+      titulos: titulos.map(t => resumoTitulo(t, dataBase)),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao listar títulos:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/financeiro/titulos/:id
+ * - Título com saldo, situação e histórico de baixas
+ */
+router.get("/titulos/:id", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const titulo = await Titulo.findOne({ _id: id, empresa: req.empresa._id });
+    if (!titulo) {
+      return res.status(404).json({ error: "Título não encontrado." });
+    }
+
+    res.json(resumoTitulo(titulo));
+  } catch (err) {
+    console.error("Erro ao buscar título:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/financeiro/titulos/:id/baixas
+ * - Registra pagamento/recebimento total ou parcial
+ * - Body: { valor?, data?, forma?, observacao? } (sem valor quita o saldo)
+ */
+router.post("/titulos/:id/baixas", exigirPapel("importer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const titulo = await Titulo.findOne({ _id: id, empresa: req.empresa._id });
+    if (!titulo) {
+      return res.status(404).json({ error: "Título não encontrado." });
+    }
+
+    const atualizado = await registrarBaixa(titulo, req.body || {});
+    const resumo = resumoTitulo(atualizado);
+
+    res.status(201).json({
+      message: resumo.status === "pago"
+        ? `Título ${atualizado.nDup || atualizado.parcela} da nota ${atualizado.origem.numero} quitado.`
+        : `Baixa parcial registrada; saldo de ${resumo.saldo}.`,
+      titulo: resumo
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao registrar baixa:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/financeiro/aging
+ * - Saldos em aberto por cliente (tipo=receber) ou fornecedor (tipo=pagar)
+ * - Faixas: vencidos (1-30, 31-60, 61-90, +90 dias) e a vencer (7, 30, 60, +60 dias)
+ * - Opcionais: cnpj (um participante), dataBase (AAAA-MM-DD, padrão hoje)
+ */
+router.get("/aging", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const tipo = lerTipo(req.query.tipo, true);
+    const dataBase = lerDataBase(req.query.dataBase);
+    const documento = req.query.cnpj ? somenteDigitos(req.query.cnpj) : undefined;
+
+    const aging = await gerarAging({ empresa: req.empresa._id, tipo, documento, dataBase });
+
+    res.json({
+      tipo,
+      dataBase: dataBase.toISOString().substring(0, 10),
+      faixas: FAIXAS_AGING.map(f => f.nome),
+      ...aging
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao gerar aging:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
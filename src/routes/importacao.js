@@ -0,0 +1,100 @@
+// src/routes/importacao.js
+import express from "express";
+import multer from "multer";
+import { ErroRequisicao } from "../utils/erros.js";
+import { decodificarXml } from "../utils/xml.js";
+import {
+  importarDocumento,
+  importarLote,
+  resumoEvento,
+  resumoNotaImportada
+} from "../services/importacao.js";
+import { resumoCte } from "../services/cte.js";
+import { contextoAuditoria } from "../services/auditoria.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage() });
+
+/**
+ * POST /api/importacao
+ * - Recebe um XML (campo "xml") sem precisar escolher entre venda e compra
+ * - Classifica pela empresa selecionada e por ide.tpNF: emitida pela empresa → venda
+ *   (ou nota de entrada própria), destinada à empresa → compra
+ * - Devoluções (finNFe=4) ficam marcadas em devolucao
+ * - Notas em que a empresa não é parte são rejeitadas (422), indicando a empresa dona quando cadastrada
+ * - Também aceita procEventoNFe (o evento vai para a nota com a mesma chave),
+ *   NFC-e (modelo 65, como venda da empresa emitente) e CT-e (cteProc, como em POST /api/ctes)
+ * - NFe sem protocolo fica "sem_protocolo"; o protNFe (ou nfeProc) enviado depois é vinculado à nota
+ * - Eventos de nota "sem_protocolo" são rejeitados (409, aguardandoProtocolo) até o protocolo ser vinculado
+ */
+router.post("/", exigirPapel("importer"), upload.single("xml"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Arquivo XML é obrigatório." });
+    }
+
+    const xml = decodificarXml(req.file.buffer);
+    const resultado = await importarDocumento(null, xml, req.empresa, contextoAuditoria(req));
+
+    if (resultado.tipo === "evento") {
+      return res.status(201).json({
+        message: `Evento ${resultado.evento.descricao} registrado com sucesso!`,
+        nota: resumoNotaImportada(resultado.nota),
+        evento: resumoEvento(resultado.evento)
+      });
+    }
+
+    if (resultado.tipo === "protocolo") {
+      return res.json({
+        message: `Protocolo de autorização vinculado à NFE ${resultado.nota.numero}.`,
+        nota: resumoNotaImportada(resultado.nota),
+        protocolo: resultado.protocolo
+      });
+    }
+
+    if (resultado.tipo === "cte") {
+      return res.status(201).json({
+        message: "CT-e importado com sucesso!",
+        cte: resumoCte(resultado.cte)
+      });
+    }
+
+    const { nota, classificacao } = resultado;
+    res.status(201).json({
+      message: `NFE importada como ${classificacao.tipo}${nota.devolucao ? " (devolução)" : ""}.`,
+      nota: resumoNotaImportada(nota),
+      classificacao
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao processar XML/PDF:", err);
+    res.status(500).json({ error: "Erro interno do servidor: " + err.message });
+  }
+});
+
+/**
+ * POST /api/importacao/lote
+ * - Recebe vários XMLs e/ou arquivos ZIP (campo "xml") de vendas, compras e CT-es misturados
+ * - Cada nota é classificada como no POST /api/importacao
+ * - Lotes enviNFe e retornos da SEFAZ com vários protNFe entram um documento por vez (arquivo#1, arquivo#2...)
+ * - Retorna um relatório por arquivo: importada (com a classificação), evento, protocolo, duplicada ou rejeitada
+ */
+router.post("/lote", exigirPapel("importer"), upload.array("xml"), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: "Envie ao menos um arquivo XML ou ZIP." });
+    }
+
+    const relatorio = await importarLote(null, req.files, req.empresa, contextoAuditoria(req));
+    res.status(relatorio.resumo.importadas > 0 ? 201 : 200).json(relatorio);
+  } catch (err) {
+    console.error("Erro ao importar lote:", err);
+    res.status(500).json({ error: "Erro interno do servidor: " + err.message });
+  }
+});
+
+export default router;
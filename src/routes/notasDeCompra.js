@@ -2,195 +2,213 @@
 // src/routes/notasDeCompra.js
 import express from "express";
 import multer from "multer";
-import { parseStringPromise } from "xml2js";
-import { gerarPDF } from "@alexssmusica/node-pdf-nfe";
 import { NotaCompra } from "../models/NotaCompra.js";
 import mongoose from "mongoose";
-import { GridFSBucket, ObjectId } from "mongodb";
+import { ErroRequisicao } from "../utils/erros.js";
+import { decodificarXml } from "../utils/xml.js";
+import {
+  filtroDoCursor,
+  gerarCursor,
+  montarFiltroNotas,
+  montarOrdenacao
+} from "../utils/filtrosNotas.js";
+import {
+  importarDocumento,
+  importarLote,
+  resumoEvento,
+  resumoNotaImportada
+} from "../services/importacao.js";
+import { contextoAuditoria, registrarAuditoria } from "../services/auditoria.js";
+import {
+  cabecalhosExportacao,
+  exportarNotas,
+  validarOpcoesExportacao
+} from "../services/exportacao.js";
+import { fretesDaNota } from "../services/cte.js";
+import { enfileirarPdf } from "../services/filaPdf.js";
+import { danfeSemTarja, ERRO_NFCE_CANCELADA } from "../services/pdf.js";
+import { moverColecaoParaLixeira, moverNotaParaLixeira, restaurarNota } from "../services/lixeira.js";
+import { exigirConfirmacao, exigirPapel } from "../middlewares/autenticacao.js";
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Helper para obter o db nativo do driver a partir do mongoose
-function getNativeDb() {
-  const conn = mongoose.connection;
-  if (!conn.db) {
-    throw new Error("Mongoose ainda não conectado ao MongoDB");
-  }
-  return conn.db;
-}
-
-// Helper para extrair chave da NFE do XML
-function extrairChaveNFe(infNFe) {
-  // A chave pode estar em infNFe.$.Id ou infNFe.id
-  const id = infNFe.$ ? infNFe.$.Id : infNFe.id;
-  if (id && id.startsWith('NFe')) {
-    return id.substring(3); // Remove 'NFe' do início
-  }
-  return id;
-}
-router.post("/", upload.single("xml"), async (req, res) => {
+router.post("/", exigirPapel("importer"), upload.single("xml"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "Arquivo XML é obrigatório." });
     }
-    const xml = req.file.buffer.toString("utf-8");
-    const parsedXml = await parseStringPromise(xml, { explicitArray: false });
-    // Verifica se o XML tem a estrutura esperada
-    if (!parsedXml.nfeProc || !parsedXml.nfeProc.NFe || !parsedXml.nfeProc.NFe.infNFe) {
-      return res.status(400).json({ error: "XML não possui estrutura válida de NFE." });
-    }
 
-    const { nfeProc: { NFe: { infNFe } } } = parsedXml;
-    const numero = infNFe.ide.nNF;
-    const chaveNFe = extrairChaveNFe(infNFe);
+    const xml = decodificarXml(req.file.buffer);
+    const resultado = await importarDocumento(NotaCompra, xml, req.empresa, contextoAuditoria(req));
 
-    if (!numero || !chaveNFe) {
-      return res.status(400).json({ error: "Não foi possível extrair número ou chave da NFE do XML." });
+    if (resultado.tipo === "evento") {
+      return res.status(201).json({
+        message: `Evento ${resultado.evento.descricao} registrado com sucesso!`,
+        nota: resumoNotaImportada(resultado.nota),
+        evento: resumoEvento(resultado.evento)
+      });
     }
 
-    // Verifica duplicidade por número da NFE
-    const notaExistentePorNumero = await NotaCompra.findOne({ numero });
-    if (notaExistentePorNumero) {
-      return res.status(409).json({ 
-        error: `NFE com número ${numero} já foi importada.`,
-        notaExistente: {
-          id: notaExistentePorNumero._id,
-          numero: notaExistentePorNumero.numero,
-          chaveNFe: notaExistentePorNumero.chaveNFe,
-          criadoEm: notaExistentePorNumero.criadoEm
-        }
+    if (resultado.tipo === "protocolo") {
+      return res.json({
+        message: `Protocolo de autorização vinculado à NFE ${resultado.nota.numero}.`,
+        nota: resumoNotaImportada(resultado.nota),
+        protocolo: resultado.protocolo
       });
     }
 
-    // Verifica duplicidade por chave da NFE
-    const notaExistentePorChave = await NotaCompra.findOne({ chaveNFe });
-    if (notaExistentePorChave) {
-      return res.status(409).json({ 
-        error: `NFE com chave ${chaveNFe} já foi importada.`,
-        notaExistente: {
-          id: notaExistentePorChave._id,
-          numero: notaExistentePorChave.numero,
-          chaveNFe: notaExistentePorChave.chaveNFe,
-          criadoEm: notaExistentePorChave.criadoEm
+    const { nota } = resultado;
+    res.status(201).json({
+      message: "NFE importada com sucesso!",
+      nota: resumoNotaImportada(nota)
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao processar XML/PDF:", err);
+    res.status(500).json({ error: "Erro interno do servidor: " + err.message });
+  }
+});
+
+/**
+ * POST /api/notasCompra/lote
+ * - Recebe vários XMLs e/ou arquivos ZIP (campo "xml")
+ * - Importa cada nota pelo mesmo fluxo do POST /api/notasCompra
+ * - Lotes enviNFe e retornos da SEFAZ com vários protNFe entram um documento por vez (arquivo#1, arquivo#2...)
+ * - Retorna um relatório por arquivo: importada, evento, protocolo, duplicada ou rejeitada
+ */
+router.post("/lote", exigirPapel("importer"), upload.array("xml"), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: "Envie ao menos um arquivo XML ou ZIP." });
+    }
+
+    const relatorio = await importarLote(NotaCompra, req.files, req.empresa, contextoAuditoria(req));
+    res.status(relatorio.resumo.importadas > 0 ? 201 : 200).json(relatorio);
+  } catch (err) {
+    console.error("Erro ao importar lote:", err);
+    res.status(500).json({ error: "Erro interno do servidor: " + err.message });
+  }
+});
+
+/**
+ * GET /api/notasCompra
+ * - Lista as notas com busca avançada (período, CNPJ/CPF, UF, município,
+ *   CFOP, NCM, produto, transportadora, status e faixa de valor)
+ * - Ordenação configurável: ?ordenarPor=dataEmissao&ordem=asc
+ * - Paginação por página (?page=&limit=) ou por cursor (?paginacao=cursor, depois ?cursor=)
+ */
+router.get("/", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, cursor, paginacao } = req.query;
+    const filter = montarFiltroNotas(req.query, req.empresa._id);
+    const ordenacao = montarOrdenacao(req.query);
+    const campos = 'numero chaveNFe dataEmissao remetente.nome destinatario.nome valorTotal status modelo criadoEm pdfFileId pdfStatus pdfErro advertencias';
+
+    // Paginação por cursor: evita o custo do skip em coleções grandes
+    if (cursor || paginacao === "cursor") {
+      const filtroPagina = cursor ? { $and: [filter, filtroDoCursor(cursor, ordenacao)] } : filter;
+      const notas = await NotaCompra.find(filtroPagina)
+        .select(campos)
+        .sort(ordenacao.sort)
+        .collation(ordenacao.collation)
+        .limit(parseInt(limit) + 1);
+
+      const temMais = notas.length > parseInt(limit);
+      if (temMais) notas.pop();
+
+      return res.json({
+        notas,
+        pagination: {
+          itemsPerPage: parseInt(limit),
+          nextCursor: temMais ? gerarCursor(notas[notas.length - 1], ordenacao.campo) : null
         }
       });
     }
 
-    // Prepara dados da nota com estrutura melhorada
-    const notaData = {
-      numero,
-      chaveNFe,
-      dataEmissao: infNFe.ide.dhEmi,
-      remetente: {
-        nome: infNFe.emit.xNome,
-        cnpj: infNFe.emit.CNPJ,
-        endereco: {
-          logradouro: infNFe.emit.enderEmit?.xLgr,
-          numero: infNFe.emit.enderEmit?.nro,
-          bairro: infNFe.emit.enderEmit?.xBairro,
-          municipio: infNFe.emit.enderEmit?.xMun,
-          uf: infNFe.emit.enderEmit?.UF,
-          cep: infNFe.emit.enderEmit?.CEP
-        }
-      },
-      destinatario: {
-        nome: infNFe.dest?.xNome,
-        cnpj: infNFe.dest?.CNPJ,
-        cpf: infNFe.dest?.CPF,
-        endereco: {
-          logradouro: infNFe.dest?.enderDest?.xLgr,
-          numero: infNFe.dest?.enderDest?.nro,
-          bairro: infNFe.dest?.enderDest?.xBairro,
-          municipio: infNFe.dest?.enderDest?.xMun,
-          uf: infNFe.dest?.enderDest?.UF,
-          cep: infNFe.dest?.enderDest?.CEP
-        }
-      },
-      transportadora: infNFe.transp || null,
-      produtos: Array.isArray(infNFe.det)
-        ? infNFe.det.map(d => d.prod)
-        : [infNFe.det.prod],
-      valorTotal: parseFloat(infNFe.total.ICMSTot.vNF),
-      xmlTexto: xml
-    };
-
-    // Cria a nova nota
-    const nota = new NotaCompra(notaData);
-    await nota.save();
-
-    // Gera PDF e armazena no GridFS
-    const db = getNativeDb();
-    const bucket = new GridFSBucket(db, { bucketName: "pdfs" });
-
-    const pdfStream = await gerarPDF(xml);
-    const uploadStream = bucket.openUploadStream(`pdf-${numero}.pdf`);
-    pdfStream.pipe(uploadStream);
-
-    // Espera o upload terminar e captura o fileId
-    const fileId = await new Promise((resolve, reject) => {
-      uploadStream.on("finish", () => resolve(uploadStream.id));
-      uploadStream.on("error", reject);
-    });
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Salva a referência no documento Nota
-    nota.pdfFileId = fileId;
-    await nota.save();
+    const [notas, total] = await Promise.all([
+      NotaCompra.find(filter)
+        .select(campos)
+        .sort(ordenacao.sort)
+        .collation(ordenacao.collation)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      NotaCompra.countDocuments(filter)
+    ]);
 
-    res.status(201).json({
-      message: "NFE importada com sucesso!",
-      nota: {
-        id: nota._id,
-        numero: nota.numero,
-        chaveNFe: nota.chaveNFe,
-        valorTotal: nota.valorTotal,
-        remetente: nota.remetente.nome,
-        destinatario: nota.destinatario.nome,
-        criadoEm: nota.criadoEm
+    res.json({
+      notas,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
       }
     });
   } catch (err) {
-    console.error("Erro ao processar XML/PDF:", err);
-    
-    // Tratamento de erros específicos
-    if (err.code === 11000) {
-      const campo = Object.keys(err.keyPattern)[0];
-      return res.status(409).json({ 
-        error: `Já existe uma NFE com este ${campo === 'numero' ? 'número' : 'chave'}.` 
-      });
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
     }
-    
-    res.status(500).json({ error: "Erro interno do servidor: " + err.message });
+
+    console.error("Erro ao listar notas:", err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-router.get("/", async (req, res) => {
+/**
+ * GET /api/notasCompra/exportar
+ * - Aceita os mesmos filtros e ordenação da listagem
+ * - ?formato=csv|xlsx e ?nivel=nota|item (uma linha por nota ou por item)
+ * - O arquivo é gerado em streaming
+ */
+router.get("/exportar", exigirPapel("viewer"), async (req, res) => {
   try {
-    const { busca, numero, valorMin, valorMax, page = 1, limit = 10 } = req.query;
-    let filter = {};
-    // Busca por número específico
-    if (numero) {
-      filter.numero = numero;
-    }
-    // Busca textual por remetente ou destinatário
-    if (busca) {
-      filter.$or = [
-        { "remetente.nome": { $regex: busca, $options: "i" } },
-        { "destinatario.nome": { $regex: busca, $options: "i" } },
-        { numero: { $regex: busca, $options: "i" } }
-      ];
+    const opcoes = validarOpcoesExportacao(req.query);
+    const filter = montarFiltroNotas(req.query, req.empresa._id);
+    const ordenacao = montarOrdenacao(req.query);
+
+    res.set(cabecalhosExportacao("notas-compra", opcoes));
+    await registrarAuditoria({
+      empresa: req.empresa._id,
+      acao: "exportacao",
+      colecao: "NotaCompra",
+      descricao: `Exportação ${opcoes.formato.toUpperCase()} por ${opcoes.nivel}.`,
+      detalhes: { formato: opcoes.formato, nivel: opcoes.nivel, filtros: req.query }
+    }, contextoAuditoria(req));
+    await exportarNotas(NotaCompra, filter, ordenacao, opcoes, res);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
     }
-    // Filtro por faixa de valor
-    if (valorMin || valorMax) {
-      filter.valorTotal = {};
-      if (valorMin) filter.valorTotal.$gte = parseFloat(valorMin);
-      if (valorMax) filter.valorTotal.$lte = parseFloat(valorMax);
+
+    console.error("Erro ao exportar notas:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: err.message });
     }
+    res.destroy(err);
+  }
+});
+
+/**
+ * GET /api/notasCompra/lixeira
+ * - Notas excluídas da empresa, com quem excluiu e quando expiram
+ * - Paginação por página (?page=&limit=), excluídas mais recentemente primeiro
+ */
+router.get("/lixeira", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const filter = { empresa: req.empresa._id, excluidaEm: { $ne: null } };
     const skip = (parseInt(page) - 1) * parseInt(limit);
+
     const [notas, total] = await Promise.all([
       NotaCompra.find(filter)
-        .select('numero chaveNFe dataEmissao remetente.nome destinatario.nome valorTotal criadoEm pdfFileId')
-        .sort({ criadoEm: -1 })
+        .select("numero chaveNFe dataEmissao remetente.nome destinatario.nome valorTotal status excluidaEm excluidaPor expiraEm")
+        .sort({ excluidaEm: -1, _id: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
       NotaCompra.countDocuments(filter)
@@ -206,72 +224,110 @@ router.get("/", async (req, res) => {
       }
     });
   } catch (err) {
-    console.error("Erro ao listar notas:", err);
+    console.error("Erro ao listar lixeira:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-router.get("/:id", async (req, res) => {
+/**
+ * GET /api/notasCompra/:id
+ * - Busca uma nota de compra específica por ID
+ * - fretes: CT-es da empresa que transportam a nota, com o frete rateado pelo valor da carga
+ */
+router.get("/:id", exigirPapel("viewer"), async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "ID inválido." });
     }
-    const nota = await NotaCompra.findById(id);
+    const nota = await NotaCompra.findOne({ _id: id, empresa: req.empresa._id });
     if (!nota) {
       return res.status(404).json({ error: "Nota não encontrada." });
     }
 
-    res.json(nota);
+    res.json({ ...nota.toJSON(), fretes: await fretesDaNota(nota) });
   } catch (err) {
     console.error("Erro ao buscar nota:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-router.delete("/", async (req, res) => {
+/**
+ * GET /api/notasCompra/:id/eventos
+ * - Linha do tempo de eventos (cancelamento, carta de correção) da nota
+ */
+router.get("/:id/eventos", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const nota = await NotaCompra.findOne({ _id: id, empresa: req.empresa._id }).select("numero chaveNFe status eventos");
+    if (!nota) {
+      return res.status(404).json({ error: "Nota não encontrada." });
+    }
+
+    const eventos = [...nota.eventos].sort((a, b) => (a.dataEvento || 0) - (b.dataEvento || 0));
+    res.json({
+      id: nota._id,
+      numero: nota.numero,
+      chaveNFe: nota.chaveNFe,
+      status: nota.status,
+      eventos
+    });
+  } catch (err) {
+    console.error("Erro ao buscar eventos da nota:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/notasCompra
+ * - Move todas as notas da empresa para a lixeira (restauráveis até o fim da retenção)
+ * - Estorna os movimentos de estoque e cancela os títulos em aberto das notas
+ * - Os PDFs só são apagados ao fim da retenção, e apenas os das notas da empresa
+ * - Apenas admin; exige ?confirmar=apagar-tudo
+ */
+router.delete("/", exigirPapel("admin"), exigirConfirmacao("apagar-tudo"), async (req, res) => {
   try {
-    await NotaCompra.deleteMany({});
-    const db = getNativeDb();
-    await db.collection("pdfs.files").deleteMany({});
-    await db.collection("pdfs.chunks").deleteMany({});
-    res.json({ message: "Todas as notas e PDFs foram apagados." });
+    const { quantidade, expiraEm } = await moverColecaoParaLixeira(NotaCompra, req.empresa._id, contextoAuditoria(req));
+    res.json({
+      message: `${quantidade} notas da empresa ${req.empresa.cnpj} foram movidas para a lixeira.`,
+      expiraEm
+    });
   } catch (err) {
     console.error("Erro ao deletar tudo:", err);
     res.status(500).json({ error: err.message });
   }
 });
 
-router.delete("/:id", async (req, res) => {
+/**
+ * DELETE /api/notasCompra/:id
+ * - Move a nota para a lixeira; o PDF fica guardado até o fim da retenção (LIXEIRA_DIAS, padrão 30)
+ * - Estorna os movimentos de estoque e cancela os títulos em aberto da nota
+ */
+router.delete("/:id", exigirPapel("importer"), async (req, res) => {
   try {
     const { id } = req.params;
-    
+
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ error: "ID inválido." });
     }
 
-    const nota = await NotaCompra.findByIdAndDelete(id);
+    const nota = await moverNotaParaLixeira(NotaCompra, id, req.empresa._id, contextoAuditoria(req));
     if (!nota) {
       return res.status(404).json({ error: "Nota não encontrada." });
     }
 
-    // Remove o PDF do GridFS se existir
-    if (nota.pdfFileId) {
-      const db = getNativeDb();
-      const bucket = new GridFSBucket(db, { bucketName: "pdfs" });
-      try {
-        await bucket.delete(new ObjectId(nota.pdfFileId));
-      } catch (gridError) {
-        console.warn("Erro ao deletar PDF do GridFS:", gridError);
-      }
-    }
-
-    res.json({ 
-      message: `Nota ${nota.numero} excluída com sucesso.`,
+    res.json({
+      message: `Nota ${nota.numero} movida para a lixeira.`,
       notaExcluida: {
         id: nota._id,
         numero: nota.numero,
-        chaveNFe: nota.chaveNFe
+        chaveNFe: nota.chaveNFe,
+        expiraEm: nota.expiraEm
       }
     });
   } catch (err) {
@@ -280,6 +336,76 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/notasCompra/:id/restaurar
+ * - Tira a nota da lixeira, reabre os títulos cancelados pela exclusão e relança o estoque
+ * - Enfileira o DANFE se o PDF não estiver mais no GridFS (pdfStatus "pendente" até ficar pronto)
+ */
+router.post("/:id/restaurar", exigirPapel("importer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const { nota, titulosReabertos, movimentos, pdfEnfileirado } =
+      await restaurarNota(NotaCompra, id, req.empresa._id, contextoAuditoria(req));
+
+    res.json({
+      message: `Nota ${nota.numero} restaurada com sucesso.`,
+      nota: resumoNotaImportada(nota),
+      titulosReabertos,
+      movimentos,
+      pdfEnfileirado
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao restaurar nota:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/notasCompra/:id/pdf/reprocessar
+ * - Recoloca a geração do DANFE da nota na fila de PDFs (pdfStatus volta a "pendente")
+ * - O PDF atual continua disponível até o novo ficar pronto
+ * - NFC-e cancelada não tem DANFE (409)
+ */
+router.post("/:id/pdf/reprocessar", exigirPapel("importer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const nota = await NotaCompra.findOne({ _id: id, empresa: req.empresa._id }).select("empresa numero chaveNFe modelo status pdfStatus");
+    if (!nota) {
+      return res.status(404).json({ error: "Nota não encontrada." });
+    }
+    if (nota.status === "sem_protocolo") {
+      return res.status(409).json({ error: "Nota sem protocolo de autorização: o DANFE é gerado quando o protocolo for importado." });
+    }
+    if (danfeSemTarja(nota)) {
+      return res.status(409).json({ error: ERRO_NFCE_CANCELADA });
+    }
+
+    const tarefa = await enfileirarPdf(NotaCompra, nota, "reprocessamento");
+    res.status(202).json({
+      message: `PDF da nota ${nota.numero} enfileirado para geração.`,
+      nota: { id: nota._id, numero: nota.numero, chaveNFe: nota.chaveNFe, pdfStatus: nota.pdfStatus },
+      tarefa: { id: tarefa._id, status: tarefa.status, proximaTentativa: tarefa.proximaTentativa }
+    });
+  } catch (err) {
+    console.error("Erro ao reprocessar PDF da nota:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 export default router;
 
 
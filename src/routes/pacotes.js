@@ -0,0 +1,59 @@
+// src/routes/pacotes.js
+import express from "express";
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { montarFiltroNotas } from "../utils/filtrosNotas.js";
+import { gerarPacote } from "../services/pacote.js";
+import { contextoAuditoria, registrarAuditoria } from "../services/auditoria.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+const FONTES = {
+  venda: { Model: Nota, tipo: "venda", pasta: "vendas" },
+  compra: { Model: NotaCompra, tipo: "compra", pasta: "compras" }
+};
+
+/**
+ * GET /api/pacotes
+ * - Gera em streaming um ZIP com os XMLs, DANFEs e um manifesto CSV das notas da empresa
+ * - Filtros: dataInicio, dataFim, cnpjEmitente (e demais filtros da listagem)
+ * - ?tipo=venda|compra|todos (padrão: todos)
+ * - PDFs ausentes no GridFS são regerados na hora (notas sem protocolo vão sem DANFE)
+ */
+router.get("/", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { tipo = "todos" } = req.query;
+    if (tipo !== "todos" && !FONTES[tipo]) {
+      throw new ErroRequisicao(400, "tipo deve ser venda, compra ou todos.");
+    }
+
+    const filter = montarFiltroNotas(req.query, req.empresa._id);
+    const fontes = tipo === "todos" ? Object.values(FONTES) : [FONTES[tipo]];
+    const periodo = [req.query.dataInicio, req.query.dataFim].filter(Boolean).join("_a_") || "completo";
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="nfe-${tipo}-${periodo}.zip"`);
+    await registrarAuditoria({
+      empresa: req.empresa._id,
+      acao: "exportacao",
+      colecao: fontes.length === 1 ? fontes[0].Model.modelName : undefined,
+      descricao: `Pacote ZIP de notas (${tipo}, ${periodo}).`,
+      detalhes: { formato: "zip", tipo, filtros: req.query }
+    }, contextoAuditoria(req));
+    await gerarPacote(fontes, filter, res);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao gerar pacote ZIP:", err);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: err.message });
+    }
+    res.destroy(err);
+  }
+});
+
+export default router;
@@ -0,0 +1,319 @@
+// src/routes/participantes.js
+import express from "express";
+import mongoose from "mongoose";
+import { Participante } from "../models/Participante.js";
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { mesmoEndereco, resumoNotasParticipante } from "../services/participantes.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+const CAMPOS_EDITAVEIS = ["nome", "nomeFantasia", "ie", "im", "email", "telefone"];
+const CAMPOS_ENDERECO = [
+  "logradouro", "numero", "complemento", "bairro", "codigoMunicipio", "municipio", "uf", "cep", "codigoPais", "pais"
+];
+const CAMPOS_LISTA_NOTAS = "numero chaveNFe dataEmissao valorTotal status remetente.nome destinatario.nome";
+
+const NOTAS_POR_TIPO = {
+  venda: Nota,
+  compra: NotaCompra
+};
+
+function escaparRegex(texto) {
+  return String(texto).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function somenteDigitos(texto) {
+  return String(texto).replace(/\D/g, "");
+}
+
+// Campos aceitos no corpo do POST/PUT
+function lerDadosCadastro(body = {}) {
+  const dados = {};
+  for (const campo of CAMPOS_EDITAVEIS) {
+    if (body[campo] !== undefined) dados[campo] = body[campo];
+  }
+  if (body.endereco) {
+    dados.endereco = {};
+    for (const campo of CAMPOS_ENDERECO) {
+      if (body.endereco[campo] !== undefined) dados.endereco[campo] = body.endereco[campo];
+    }
+  }
+  return dados;
+}
+
+/**
+ * GET /api/participantes
+ * - Busca clientes e fornecedores cadastrados na empresa
+ * - Filtros: busca (nome, fantasia ou documento), papel (cliente/fornecedor), uf
+ * - Paginação por página (?page=&limit=)
+ */
+router.get("/", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, busca, papel, uf } = req.query;
+    const condicoes = [{ empresa: req.empresa._id }];
+
+    if (busca) {
+      const regex = { $regex: escaparRegex(busca), $options: "i" };
+      const ou = [{ nome: regex }, { nomeFantasia: regex }];
+      if (somenteDigitos(busca)) {
+        ou.push({ documento: { $regex: `^${somenteDigitos(busca)}` } });
+      }
+      condicoes.push({ $or: ou });
+    }
+    if (papel) {
+      condicoes.push({ papeis: papel });
+    }
+    if (uf) {
+      condicoes.push({ "endereco.uf": String(uf).toUpperCase() });
+    }
+
+    const filter = { $and: condicoes };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [participantes, total] = await Promise.all([
+      Participante.find(filter)
+        .select("-historicoEnderecos")
+        .sort({ nome: 1, _id: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Participante.countDocuments(filter)
+    ]);
+
+    res.json({
+      participantes,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    console.error("Erro ao listar participantes:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/participantes
+ * - Cadastra um participante manualmente
+ * - Body: { documento (CNPJ/CPF), papeis?, nome, nomeFantasia?, ie?, email?, telefone?, endereco? }
+ */
+router.post("/", exigirPapel("importer"), async (req, res) => {
+  try {
+    const documento = somenteDigitos(req.body?.documento || "");
+    if (![11, 14].includes(documento.length)) {
+      return res.status(400).json({ error: "documento deve ser um CNPJ (14 dígitos) ou CPF (11 dígitos)." });
+    }
+
+    const existente = await Participante.findOne({ empresa: req.empresa._id, documento });
+    if (existente) {
+      return res.status(409).json({
+        error: `Participante ${documento} já cadastrado.`,
+        participanteExistente: { id: existente._id, documento: existente.documento, nome: existente.nome }
+      });
+    }
+
+    const participante = await Participante.create({
+      ...lerDadosCadastro(req.body),
+      empresa: req.empresa._id,
+      documento,
+      tipoDocumento: documento.length === 14 ? "cnpj" : "cpf",
+      papeis: req.body.papeis,
+      dadosManuais: true
+    });
+
+    res.status(201).json(participante);
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error("Erro ao cadastrar participante:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/participantes/:id
+ * - Cadastro completo (com histórico de endereços)
+ * - Resumo das vendas e compras: quantidade, valor total, primeira e última emissão
+ * - Notas mais recentes de cada tipo (?limitNotas=, padrão 10)
+ */
+router.get("/:id", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limitNotas = parseInt(req.query.limitNotas || 10);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const participante = await Participante.findOne({ _id: id, empresa: req.empresa._id });
+    if (!participante) {
+      return res.status(404).json({ error: "Participante não encontrado." });
+    }
+
+    const [resumoVendas, resumoCompras, vendas, compras] = await Promise.all([
+      resumoNotasParticipante(Nota, participante._id),
+      resumoNotasParticipante(NotaCompra, participante._id),
+      Nota.find({ empresa: req.empresa._id, participante: participante._id }).select(CAMPOS_LISTA_NOTAS).sort({ dataEmissao: -1 }).limit(limitNotas),
+      NotaCompra.find({ empresa: req.empresa._id, participante: participante._id }).select(CAMPOS_LISTA_NOTAS).sort({ dataEmissao: -1 }).limit(limitNotas)
+    ]);
+
+    res.json({
+      participante,
+      resumo: {
+        vendas: resumoVendas,
+        compras: resumoCompras
+      },
+      notas: {
+        vendas,
+        compras
+      }
+    });
+  } catch (err) {
+    console.error("Erro ao buscar participante:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/participantes/:id/notas
+ * - Notas do participante: ?tipo=venda (padrão) ou ?tipo=compra
+ * - Paginação por página (?page=&limit=), mais recentes primeiro
+ */
+router.get("/:id/notas", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10, tipo = "venda" } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+    const Model = NOTAS_POR_TIPO[tipo];
+    if (!Model) {
+      throw new ErroRequisicao(400, "tipo deve ser um de: venda, compra.");
+    }
+
+    const filter = { empresa: req.empresa._id, participante: id };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notas, total] = await Promise.all([
+      Model.find(filter).select(CAMPOS_LISTA_NOTAS).sort({ dataEmissao: -1, _id: -1 }).skip(skip).limit(parseInt(limit)),
+      Model.countDocuments(filter)
+    ]);
+
+    res.json({
+      notas,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao listar notas do participante:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/participantes/:id
+ * - Atualiza nome, fantasia, IE, IM, e-mail, telefone, papeis e endereço
+ * - Endereço diferente do atual vai para o histórico
+ * - Marca o cadastro como manual: importações não sobrescrevem nome e contato
+ */
+router.put("/:id", exigirPapel("importer"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    const participante = await Participante.findOne({ _id: id, empresa: req.empresa._id });
+    if (!participante) {
+      return res.status(404).json({ error: "Participante não encontrado." });
+    }
+
+    const { endereco, ...dados } = lerDadosCadastro(req.body);
+    participante.set(dados);
+    if (req.body.papeis) {
+      participante.papeis = req.body.papeis;
+    }
+    if (endereco) {
+      const novo = { ...participante.endereco?.toObject(), ...endereco };
+      if (participante.endereco && !mesmoEndereco(participante.endereco, novo)) {
+        participante.historicoEnderecos.push({ ...participante.endereco.toObject(), ate: new Date() });
+        novo.desde = new Date();
+      }
+      participante.endereco = novo;
+    }
+    participante.dadosManuais = true;
+    participante.atualizadoEm = new Date();
+    await participante.save();
+
+    res.json(participante);
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error("Erro ao atualizar participante:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/participantes/:id
+ * - Exclui o cadastro apenas se nenhuma nota o referenciar
+ */
+router.delete("/:id", exigirPapel("admin"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "ID inválido." });
+    }
+
+    // Notas na lixeira também contam: podem ser restauradas
+    const [vendas, compras] = await Promise.all([
+      Nota.countDocuments({ empresa: req.empresa._id, participante: id }).setOptions({ comExcluidas: true }),
+      NotaCompra.countDocuments({ empresa: req.empresa._id, participante: id }).setOptions({ comExcluidas: true })
+    ]);
+    if (vendas + compras > 0) {
+      return res.status(409).json({
+        error: "Participante possui notas vinculadas e não pode ser excluído.",
+        notasVinculadas: { vendas, compras }
+      });
+    }
+
+    const participante = await Participante.findOneAndDelete({ _id: id, empresa: req.empresa._id });
+    if (!participante) {
+      return res.status(404).json({ error: "Participante não encontrado." });
+    }
+
+    res.json({
+      message: `Participante ${participante.nome || participante.documento} excluído com sucesso.`,
+      participanteExcluido: {
+        id: participante._id,
+        documento: participante.documento,
+        nome: participante.nome
+      }
+    });
+  } catch (err) {
+    console.error("Erro ao excluir participante:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+// src/routes/relatorios.js
+import express from "express";
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { montarFiltroNotas } from "../utils/filtrosNotas.js";
+import { gerarResumoFiscal } from "../services/relatorioFiscal.js";
+import { gerarEfdIcmsIpi } from "../services/sped.js";
+import { contextoAuditoria, registrarAuditoria } from "../services/auditoria.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/relatorios/fiscal
+ * - Totais fiscais (vProd, vDesc, vFrete, vBC, vICMS, vST, vIPI, vPIS, vCOFINS, vNF)
+ * - Agrupados por CFOP, CST de ICMS, UF de destino e mês
+ * - Vendas e compras lado a lado; notas canceladas são excluídas
+ * - Filtros: dataInicio, dataFim (e demais filtros da listagem)
+ */
+router.get("/fiscal", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const filter = montarFiltroNotas(req.query, req.empresa._id);
+    const resumo = await gerarResumoFiscal({ vendas: Nota, compras: NotaCompra }, filter);
+
+    res.json({
+      periodo: {
+        dataInicio: req.query.dataInicio || null,
+        dataFim: req.query.dataFim || null
+      },
+      ...resumo
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao gerar resumo fiscal:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/relatorios/sped
+ * - Gera a EFD ICMS/IPI (SPED Fiscal) do período para a empresa selecionada (X-Empresa)
+ * - Obrigatórios: dataInicio, dataFim (AAAA-MM-DD)
+ * - Opcionais: perfil (A, B ou C; padrão A), atividade (0 industrial, 1 outros; padrão 1)
+ * - Padrão: JSON com { nomeArquivo, totalLinhas, avisos, conteudo }
+ * - ?formato=txt: baixa o arquivo (ISO-8859-1) com a quantidade de avisos em X-Sped-Avisos
+ */
+router.get("/sped", exigirPapel("viewer"), async (req, res) => {
+  try {
+    const { dataInicio, dataFim, perfil, atividade, formato = "json" } = req.query;
+    if (!["json", "txt"].includes(formato)) {
+      return res.status(400).json({ error: "formato deve ser um de: json, txt." });
+    }
+    if (perfil && !["A", "B", "C"].includes(perfil)) {
+      return res.status(400).json({ error: "perfil deve ser um de: A, B, C." });
+    }
+    if (atividade && !["0", "1"].includes(atividade)) {
+      return res.status(400).json({ error: "atividade deve ser 0 (industrial) ou 1 (outros)." });
+    }
+
+    const sped = await gerarEfdIcmsIpi(
+      { saidas: Nota, entradas: NotaCompra },
+      { empresa: req.empresa._id, cnpj: req.empresa.cnpj, dataInicio, dataFim, perfil, atividade }
+    );
+    await registrarAuditoria({
+      empresa: req.empresa._id,
+      acao: "exportacao",
+      descricao: `SPED Fiscal ${sped.nomeArquivo}.`,
+      detalhes: { formato: `sped-${formato}`, dataInicio, dataFim, perfil, atividade, totalLinhas: sped.totalLinhas, avisos: sped.avisos.length }
+    }, contextoAuditoria(req));
+
+    if (formato === "txt") {
+      res.set({
+        "Content-Type": "text/plain; charset=iso-8859-1",
+        "Content-Disposition": `attachment; filename="${sped.nomeArquivo}"`,
+        "X-Sped-Avisos": String(sped.avisos.length)
+      });
+      return res.send(Buffer.from(sped.conteudo, "latin1"));
+    }
+
+    res.json(sped);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao gerar SPED Fiscal:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,321 @@
+// src/routes/webhooks.js
+import express from "express";
+import mongoose from "mongoose";
+import { EVENTOS_WEBHOOK, Webhook } from "../models/Webhook.js";
+import { EntregaWebhook, STATUS_ENTREGA_WEBHOOK } from "../models/EntregaWebhook.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { enfileirarTeste, gerarSegredoWebhook, reenviarEntrega, validarUrlWebhook } from "../services/webhooks.js";
+import { exigirPapel } from "../middlewares/autenticacao.js";
+
+const router = express.Router();
+
+function validarEventos(eventos) {
+  if (!Array.isArray(eventos) || eventos.length === 0) {
+    throw new ErroRequisicao(400, `eventos deve ser uma lista com ao menos um de: ${EVENTOS_WEBHOOK.join(", ")}.`);
+  }
+  const invalidos = eventos.filter(e => !EVENTOS_WEBHOOK.includes(e));
+  if (invalidos.length > 0) {
+    throw new ErroRequisicao(400, `Eventos inválidos: ${invalidos.join(", ")}.`, { eventosDisponiveis: EVENTOS_WEBHOOK });
+  }
+  return [...new Set(eventos)];
+}
+
+function validarId(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ErroRequisicao(400, "ID inválido.");
+  }
+}
+
+async function buscarWebhook(req) {
+  validarId(req.params.id);
+  const webhook = await Webhook.findOne({ _id: req.params.id, empresa: req.empresa._id });
+  if (!webhook) {
+    throw new ErroRequisicao(404, "Webhook não encontrado.");
+  }
+  return webhook;
+}
+
+/**
+ * GET /api/webhooks
+ * - Webhooks da empresa (sem o segredo) e os eventos disponíveis
+ * - Apenas admin
+ */
+router.get("/", exigirPapel("admin"), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ empresa: req.empresa._id }).sort({ criadoEm: -1 });
+    res.json({ webhooks, eventosDisponiveis: EVENTOS_WEBHOOK });
+  } catch (err) {
+    console.error("Erro ao listar webhooks:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * - Cria um webhook da empresa
+ * - Body: { url, eventos: ["nota.importada", "nota.duplicada", "nota.pdf_pronto", "nota.excluida", "nota.cancelada"], descricao? }
+ * - url http ou https fora da rede interna (loopback, redes privadas, link-local...), exceto os
+ *   hosts de WEBHOOK_HOSTS_PERMITIDOS; a conferência se repete a cada entrega
+ * - Cada entrega é um POST JSON { id, evento, ocorridoEm, empresa, dados } com os cabeçalhos
+ *   X-Webhook-Evento, X-Webhook-Entrega, X-Webhook-Timestamp e X-Webhook-Assinatura
+ *   ("sha256=" + HMAC-SHA256 de "<timestamp>.<corpo>" com o segredo)
+ * - O destino deve recusar entregas com X-Webhook-Timestamp a mais de 5 minutos do seu relógio
+ *   (proteção contra reenvio de entregas capturadas), além de conferir a assinatura
+ * - Os eventos são gravados junto com a alteração da nota e entregues ao menos uma vez:
+ *   o destino deve usar o id para ignorar repetições
+ * - O segredo só é exibido nesta resposta e na troca (POST /api/webhooks/:id/segredo)
+ * - Apenas admin
+ */
+router.post("/", exigirPapel("admin"), async (req, res) => {
+  try {
+    const { url, eventos, descricao } = req.body || {};
+    if (!url) {
+      return res.status(400).json({ error: "url é obrigatória." });
+    }
+
+    const segredo = gerarSegredoWebhook();
+    const webhook = await Webhook.create({
+      empresa: req.empresa._id,
+      url: await validarUrlWebhook(url),
+      eventos: validarEventos(eventos),
+      segredo,
+      descricao
+    });
+
+    res.status(201).json({ ...webhook.toJSON(), segredo });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao criar webhook:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/entregas
+ * - Log de entregas da empresa, criadas mais recentemente primeiro (sem o histórico de tentativas)
+ * - Filtros: webhook (ID), evento, status (pendente, processando, entregue, falhou, descartada)
+ * - totais traz a quantidade de entregas por status
+ * - Paginação por página (?page=&limit=)
+ * - Apenas admin
+ */
+router.get("/entregas", exigirPapel("admin"), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, webhook, evento, status } = req.query;
+    const filter = { empresa: req.empresa._id };
+
+    if (webhook) {
+      validarId(webhook);
+      filter.webhook = webhook;
+    }
+    if (evento) {
+      filter.evento = evento;
+    }
+    if (status) {
+      if (!STATUS_ENTREGA_WEBHOOK.includes(status)) {
+        throw new ErroRequisicao(400, `status deve ser um de: ${STATUS_ENTREGA_WEBHOOK.join(", ")}.`);
+      }
+      filter.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [entregas, total, porStatus] = await Promise.all([
+      EntregaWebhook.find(filter).select("-historico").sort({ criadoEm: -1, _id: -1 }).skip(skip).limit(parseInt(limit)),
+      EntregaWebhook.countDocuments(filter),
+      EntregaWebhook.aggregate([
+        { $match: { empresa: req.empresa._id } },
+        { $group: { _id: "$status", quantidade: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totais = Object.fromEntries(STATUS_ENTREGA_WEBHOOK.map(s => [s, 0]));
+    for (const { _id, quantidade } of porStatus) {
+      totais[_id] = quantidade;
+    }
+
+    res.json({
+      entregas,
+      totais,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao listar entregas de webhooks:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/webhooks/entregas/:id
+ * - Entrega com o payload e o histórico de tentativas (status HTTP, duração, início da resposta, erro)
+ * - Apenas admin
+ */
+router.get("/entregas/:id", exigirPapel("admin"), async (req, res) => {
+  try {
+    validarId(req.params.id);
+    const entrega = await EntregaWebhook.findOne({ _id: req.params.id, empresa: req.empresa._id });
+    if (!entrega) {
+      return res.status(404).json({ error: "Entrega não encontrada." });
+    }
+
+    res.json(entrega);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao buscar entrega de webhook:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/entregas/:id/reenviar
+ * - Reenvia o evento (replay) como uma nova entrega, com o mesmo payload e o mesmo payload.id
+ * - O webhook precisa estar ativo
+ * - Apenas admin
+ */
+router.post("/entregas/:id/reenviar", exigirPapel("admin"), async (req, res) => {
+  try {
+    validarId(req.params.id);
+    const entrega = await EntregaWebhook.findOne({ _id: req.params.id, empresa: req.empresa._id });
+    if (!entrega) {
+      return res.status(404).json({ error: "Entrega não encontrada." });
+    }
+    const webhook = await Webhook.findById(entrega.webhook);
+    if (!webhook?.ativo) {
+      return res.status(409).json({ error: webhook ? "Webhook desativado." : "Webhook removido." });
+    }
+
+    const reenvio = await reenviarEntrega(entrega);
+    res.status(202).json({ message: "Entrega enfileirada para reenvio.", entrega: reenvio });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao reenviar entrega de webhook:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * - Altera url, eventos, descricao e/ou ativo (url com as mesmas regras da criação)
+ * - Entregas pendentes de um webhook desativado são descartadas quando chega a vez delas
+ * - Apenas admin
+ */
+router.put("/:id", exigirPapel("admin"), async (req, res) => {
+  try {
+    const webhook = await buscarWebhook(req);
+    const { url, eventos, descricao, ativo } = req.body || {};
+
+    if (url !== undefined) webhook.url = await validarUrlWebhook(url);
+    if (eventos !== undefined) webhook.eventos = validarEventos(eventos);
+    if (descricao !== undefined) webhook.descricao = descricao;
+    if (ativo !== undefined) {
+      if (typeof ativo !== "boolean") {
+        return res.status(400).json({ error: "ativo deve ser true ou false." });
+      }
+      webhook.ativo = ativo;
+    }
+    webhook.atualizadoEm = new Date();
+    await webhook.save();
+
+    res.json(webhook);
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao atualizar webhook:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/segredo
+ * - Gera um novo segredo; as próximas tentativas já são assinadas com ele
+ * - O segredo só é exibido nesta resposta
+ * - Apenas admin
+ */
+router.post("/:id/segredo", exigirPapel("admin"), async (req, res) => {
+  try {
+    const webhook = await buscarWebhook(req);
+    const segredo = gerarSegredoWebhook();
+    webhook.segredo = segredo;
+    webhook.atualizadoEm = new Date();
+    await webhook.save();
+
+    res.json({ ...webhook.toJSON(), segredo });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao trocar segredo do webhook:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/teste
+ * - Enfileira uma entrega "webhook.teste" (uma tentativa) para conferir a url e a assinatura
+ * - O resultado aparece em GET /api/webhooks/entregas/:id
+ * - Apenas admin
+ */
+router.post("/:id/teste", exigirPapel("admin"), async (req, res) => {
+  try {
+    const webhook = await buscarWebhook(req);
+    if (!webhook.ativo) {
+      return res.status(409).json({ error: "Webhook desativado." });
+    }
+
+    const entrega = await enfileirarTeste(webhook);
+    res.status(202).json({ message: "Entrega de teste enfileirada.", entrega });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao testar webhook:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * - Remove o webhook; as entregas pendentes são descartadas e o log é mantido
+ * - Apenas admin
+ */
+router.delete("/:id", exigirPapel("admin"), async (req, res) => {
+  try {
+    const webhook = await buscarWebhook(req);
+    await Webhook.deleteOne({ _id: webhook._id });
+    await EntregaWebhook.updateMany(
+      { webhook: webhook._id, status: "pendente" },
+      { $set: { status: "descartada", erro: "Webhook removido.", atualizadoEm: new Date() } }
+    );
+
+    res.json({ message: `Webhook ${webhook.url} removido.` });
+  } catch (err) {
+    if (err instanceof ErroRequisicao) {
+      return res.status(err.status).json({ error: err.message, ...err.extras });
+    }
+
+    console.error("Erro ao remover webhook:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
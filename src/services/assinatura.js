@@ -0,0 +1,132 @@
+// src/services/assinatura.js
+import crypto from "crypto";
+import { DOMParser } from "@xmldom/xmldom";
+import { SignedXml } from "xml-crypto";
+
+const XMLDSIG_NS = "http://www.w3.org/2000/09/xmldsig#";
+
+// cStat que indicam uso autorizado (100 = no prazo, 150 = fora do prazo)
+export const CSTAT_AUTORIZADO = ["100", "150"];
+
+function certificadoParaPem(base64) {
+  const linhas = base64.replace(/\s+/g, "").match(/.{1,64}/g) || [];
+  return `-----BEGIN CERTIFICATE-----\n${linhas.join("\n")}\n-----END CERTIFICATE-----\n`;
+}
+
+// Localiza a Signature filha direta do elemento assinado (NFe, evento...)
+function localizarAssinatura(doc, elementoAssinado) {
+  const assinaturas = doc.getElementsByTagNameNS(XMLDSIG_NS, "Signature");
+  for (let i = 0; i < assinaturas.length; i++) {
+    const parent = assinaturas[i].parentNode;
+    if (parent && parent.localName === elementoAssinado) return assinaturas[i];
+  }
+  return null;
+}
+
+function textoDoFilho(node, nome) {
+  const el = node.getElementsByTagNameNS(XMLDSIG_NS, nome)[0];
+  return el ? el.textContent.trim() : undefined;
+}
+
+/**
+ * Verifica offline a assinatura XMLDSig de um documento fiscal:
+ * - Reference aponta para o Id esperado (ex.: "NFe" + chave)
+ * - Digest e SignatureValue conferem com o certificado embutido (KeyInfo)
+ * - Certificado válido na data de emissão
+ * Retorna { erros, certificado, digestValue }.
+ */
+export function verificarAssinatura(xml, idReferencia, dataEmissao, elementoAssinado = "NFe") {
+  const erros = [];
+  let doc;
+  try {
+    doc = new DOMParser().parseFromString(xml, "text/xml");
+  } catch (err) {
+    return { erros: ["Não foi possível ler o XML para verificar a assinatura: " + err.message] };
+  }
+
+  const assinatura = localizarAssinatura(doc, elementoAssinado);
+  if (!assinatura) {
+    return { erros: [`XML não possui assinatura digital (Signature) em ${elementoAssinado}.`] };
+  }
+
+  const reference = assinatura.getElementsByTagNameNS(XMLDSIG_NS, "Reference")[0];
+  const uri = reference?.getAttribute("URI");
+  if (uri !== `#${idReferencia}`) {
+    erros.push(`Assinatura referencia "${uri}" em vez de "#${idReferencia}".`);
+  }
+
+  const certBase64 = textoDoFilho(assinatura, "X509Certificate");
+  if (!certBase64) {
+    erros.push("Assinatura não possui certificado X509 embutido.");
+    return { erros };
+  }
+
+  const pem = certificadoParaPem(certBase64);
+  let x509;
+  try {
+    x509 = new crypto.X509Certificate(pem);
+  } catch (err) {
+    erros.push("Certificado X509 da assinatura é inválido: " + err.message);
+    return { erros };
+  }
+
+  const certificado = {
+    subject: x509.subject.split("\n").join(", "),
+    emissor: x509.issuer.split("\n").join(", "),
+    numeroSerie: x509.serialNumber,
+    validoDe: new Date(x509.validFrom),
+    validoAte: new Date(x509.validTo)
+  };
+
+  const emissao = dataEmissao ? new Date(dataEmissao) : null;
+  if (emissao && !isNaN(emissao) && (emissao < certificado.validoDe || emissao > certificado.validoAte)) {
+    erros.push(`Certificado fora da validade na data de emissão (${certificado.validoDe.toISOString()} a ${certificado.validoAte.toISOString()}).`);
+  }
+
+  try {
+    const sig = new SignedXml({ publicCert: pem });
+    sig.loadSignature(assinatura);
+    if (!sig.checkSignature(xml)) {
+      erros.push("Assinatura digital não confere: o conteúdo do documento foi alterado após a assinatura.");
+    }
+  } catch (err) {
+    erros.push("Assinatura digital inválida: " + err.message);
+  }
+
+  return { erros, certificado, digestValue: textoDoFilho(assinatura, "DigestValue") };
+}
+
+/**
+ * Verifica o protocolo de autorização (protNFe/infProt ou, com tipo "CTe", protCTe/infProt):
+ * - cStat 100 ou 150
+ * - chNFe (chCTe) igual à chave do documento
+ * - digVal igual ao DigestValue da assinatura
+ * Retorna { erros, protocolo }.
+ */
+export function verificarProtocolo(protNFe, chaveNFe, digestValue, tipo = "NFe") {
+  const infProt = protNFe?.infProt;
+  if (!infProt) {
+    return { erros: [`XML não possui protocolo de autorização (prot${tipo}/infProt).`] };
+  }
+
+  const erros = [];
+  const protocolo = {
+    numero: infProt.nProt,
+    cStat: infProt.cStat,
+    xMotivo: infProt.xMotivo,
+    dataAutorizacao: infProt.dhRecbto ? new Date(infProt.dhRecbto) : undefined,
+    digVal: infProt.digVal
+  };
+
+  if (!CSTAT_AUTORIZADO.includes(protocolo.cStat)) {
+    erros.push(`${tipo.toUpperCase()} não autorizada: cStat ${protocolo.cStat} - ${protocolo.xMotivo}.`);
+  }
+  if (infProt[`ch${tipo}`] !== chaveNFe) {
+    erros.push(`Protocolo pertence a outra chave (${infProt[`ch${tipo}`]}).`);
+  }
+  if (digestValue && protocolo.digVal && protocolo.digVal !== digestValue) {
+    erros.push("digVal do protocolo não confere com o DigestValue da assinatura.");
+  }
+
+  return { erros, protocolo };
+}
@@ -0,0 +1,41 @@
+// src/services/auditoria.js
+import { Auditoria } from "../models/Auditoria.js";
+
+// Autor das rotinas automáticas (ex.: limpeza da lixeira)
+export const CONTEXTO_SISTEMA = { autor: { tipo: "sistema", nome: "sistema" } };
+
+/**
+ * Contexto de auditoria da requisição: quem chama (req.usuario) e de onde
+ * Repassado aos serviços que registram auditoria (importação, lixeira).
+ */
+export function contextoAuditoria(req) {
+  return {
+    autor: { tipo: req.usuario.tipo, id: req.usuario.id, nome: req.usuario.nome },
+    origem: {
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      metodo: req.method,
+      rota: req.originalUrl
+    }
+  };
+}
+
+/**
+ * Registra uma ação na trilha de auditoria
+ * - dados: { empresa, acao, colecao?, nota?, descricao?, detalhes? }
+ * - nota pode ser o documento: só _id, numero e chaveNFe são gravados
+ * Falhas são apenas logadas: a auditoria não desfaz nem bloqueia a operação.
+ */
+export async function registrarAuditoria(dados, contexto = CONTEXTO_SISTEMA) {
+  const { nota, ...resto } = dados;
+  try {
+    await Auditoria.create({
+      ...resto,
+      nota: nota ? { id: nota._id || nota.id, numero: nota.numero, chaveNFe: nota.chaveNFe } : undefined,
+      autor: contexto.autor,
+      origem: contexto.origem
+    });
+  } catch (err) {
+    console.warn(`Erro ao registrar auditoria (${dados.acao}):`, err);
+  }
+}
@@ -0,0 +1,83 @@
+// src/services/autenticacao.js
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import { PAPEIS } from "../models/Usuario.js";
+import { ErroRequisicao } from "../utils/erros.js";
+
+const RODADAS_BCRYPT = 10;
+const TAMANHO_MINIMO_SENHA = 8;
+const PREFIXO_CHAVE = "nfe_";
+
+function segredoJwt() {
+  const { JWT_SECRET } = process.env;
+  if (!JWT_SECRET) {
+    throw new Error("JWT_SECRET não configurado.");
+  }
+  return JWT_SECRET;
+}
+
+export function validarPapel(papel) {
+  if (!PAPEIS.includes(papel)) {
+    throw new ErroRequisicao(400, `papel deve ser um de: ${PAPEIS.join(", ")}.`);
+  }
+  return papel;
+}
+
+// true quando o papel atende ao mínimo exigido (viewer < importer < admin)
+export function papelAtende(papel, minimo) {
+  return PAPEIS.indexOf(papel) >= PAPEIS.indexOf(minimo);
+}
+
+export async function gerarHashSenha(senha) {
+  if (typeof senha !== "string" || senha.length < TAMANHO_MINIMO_SENHA) {
+    throw new ErroRequisicao(400, `A senha deve ter pelo menos ${TAMANHO_MINIMO_SENHA} caracteres.`);
+  }
+  return bcrypt.hash(senha, RODADAS_BCRYPT);
+}
+
+export function conferirSenha(senha, senhaHash) {
+  return bcrypt.compare(String(senha || ""), senhaHash);
+}
+
+/**
+ * Gera o JWT da sessão do usuário (sub = _id, papel)
+ * Validade em JWT_EXPIRES_IN (padrão 8h). Retorna { token, expiraEm }.
+ */
+export function gerarToken(usuario) {
+  const token = jwt.sign(
+    { sub: String(usuario._id), papel: usuario.papel },
+    segredoJwt(),
+    { expiresIn: process.env.JWT_EXPIRES_IN || "8h" }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiraEm: new Date(exp * 1000) };
+}
+
+// Lança ErroRequisicao (401) para token inválido ou expirado
+export function lerToken(token) {
+  try {
+    return jwt.verify(token, segredoJwt());
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      throw new ErroRequisicao(401, "Sessão expirada. Faça login novamente.");
+    }
+    if (err instanceof jwt.JsonWebTokenError) {
+      throw new ErroRequisicao(401, "Token inválido.");
+    }
+    throw err;
+  }
+}
+
+export function hashChaveApi(chave) {
+  return crypto.createHash("sha256").update(String(chave)).digest("hex");
+}
+
+/**
+ * Gera uma nova chave de API aleatória (nfe_ + 48 caracteres hex)
+ * Retorna { chave, prefixo, hash }; só o hash deve ser armazenado.
+ */
+export function gerarChaveApi() {
+  const chave = PREFIXO_CHAVE + crypto.randomBytes(24).toString("hex");
+  return { chave, prefixo: chave.substring(0, PREFIXO_CHAVE.length + 8), hash: hashChaveApi(chave) };
+}
@@ -0,0 +1,187 @@
+// src/services/camposFiscais.js
+import { parseStringPromise } from "xml2js";
+import { OPCOES_XML2JS, infNFeDoXml } from "../utils/xml.js";
+
+// Converte valores numéricos do XML (strings) em Number, preservando ausentes
+function num(valor) {
+  if (valor === undefined || valor === null || valor === "") return undefined;
+  const n = parseFloat(valor);
+  return isNaN(n) ? undefined : n;
+}
+
+function comoArray(valor) {
+  if (valor === undefined || valor === null) return [];
+  return Array.isArray(valor) ? valor : [valor];
+}
+
+// Grupos de imposto vêm como um único filho variável (ICMS00, ICMSSN102, PISAliq...)
+function grupoUnico(pai) {
+  if (!pai || typeof pai !== "object") return undefined;
+  const chave = Object.keys(pai).find(k => k !== "$" && typeof pai[k] === "object");
+  return chave ? { tipo: chave, ...pai[chave] } : undefined;
+}
+
+function extrairIcms(imposto) {
+  const g = grupoUnico(imposto?.ICMS);
+  if (!g) return undefined;
+  return {
+    grupo: g.tipo,
+    orig: g.orig,
+    cst: g.CST,
+    csosn: g.CSOSN,
+    modBC: g.modBC,
+    pRedBC: num(g.pRedBC),
+    vBC: num(g.vBC),
+    pICMS: num(g.pICMS),
+    vICMS: num(g.vICMS),
+    vICMSDeson: num(g.vICMSDeson),
+    vFCP: num(g.vFCP),
+    // Substituição tributária
+    modBCST: g.modBCST,
+    pMVAST: num(g.pMVAST),
+    vBCST: num(g.vBCST),
+    pICMSST: num(g.pICMSST),
+    vICMSST: num(g.vICMSST),
+    vBCSTRet: num(g.vBCSTRet),
+    vICMSSTRet: num(g.vICMSSTRet),
+    pCredSN: num(g.pCredSN),
+    vCredICMSSN: num(g.vCredICMSSN)
+  };
+}
+
+function extrairIpi(imposto) {
+  const ipi = imposto?.IPI;
+  if (!ipi) return undefined;
+  const g = ipi.IPITrib || ipi.IPINT || {};
+  return {
+    cEnq: ipi.cEnq,
+    cst: g.CST,
+    vBC: num(g.vBC),
+    pIPI: num(g.pIPI),
+    vIPI: num(g.vIPI)
+  };
+}
+
+function extrairPisCofins(grupo, sufixo) {
+  const g = grupoUnico(grupo);
+  if (!g) return undefined;
+  return {
+    cst: g.CST,
+    vBC: num(g.vBC),
+    aliquota: num(g[`p${sufixo}`]),
+    qBCProd: num(g.qBCProd),
+    vAliqProd: num(g.vAliqProd),
+    valor: num(g[`v${sufixo}`])
+  };
+}
+
+// Monta um item (det) com os dados do produto e o detalhamento dos impostos
+function extrairItem(det, indice) {
+  const prod = det.prod || {};
+  const imposto = det.imposto || {};
+  return {
+    nItem: Number(det.$?.nItem || indice + 1),
+    cProd: prod.cProd,
+    cEAN: prod.cEAN,
+    xProd: prod.xProd,
+    NCM: prod.NCM,
+    CEST: prod.CEST,
+    CFOP: prod.CFOP,
+    uCom: prod.uCom,
+    qCom: num(prod.qCom),
+    vUnCom: num(prod.vUnCom),
+    vProd: num(prod.vProd),
+    cEANTrib: prod.cEANTrib,
+    uTrib: prod.uTrib,
+    qTrib: num(prod.qTrib),
+    vUnTrib: num(prod.vUnTrib),
+    vFrete: num(prod.vFrete),
+    vSeg: num(prod.vSeg),
+    vDesc: num(prod.vDesc),
+    vOutro: num(prod.vOutro),
+    indTot: prod.indTot,
+    impostos: {
+      vTotTrib: num(imposto.vTotTrib),
+      icms: extrairIcms(imposto),
+      ipi: extrairIpi(imposto),
+      pis: extrairPisCofins(imposto.PIS, "PIS"),
+      cofins: extrairPisCofins(imposto.COFINS, "COFINS")
+    }
+  };
+}
+
+const CAMPOS_ICMSTOT = [
+  "vBC", "vICMS", "vICMSDeson", "vFCPUFDest", "vICMSUFDest", "vICMSUFRemet",
+  "vFCP", "vBCST", "vST", "vFCPST", "vFCPSTRet", "vProd", "vFrete", "vSeg",
+  "vDesc", "vII", "vIPI", "vIPIDevol", "vPIS", "vCOFINS", "vOutro", "vNF", "vTotTrib"
+];
+
+function extrairTotais(infNFe) {
+  const icmsTot = infNFe.total?.ICMSTot || {};
+  const totais = {};
+  for (const campo of CAMPOS_ICMSTOT) {
+    totais[campo] = num(icmsTot[campo]);
+  }
+  return totais;
+}
+
+/**
+ * Extrai do infNFe os campos fiscais estruturados:
+ * itens com impostos, totais (ICMSTot), fatura, duplicatas e pagamentos.
+ */
+export function extrairCamposFiscais(infNFe) {
+  const fat = infNFe.cobr?.fat;
+  return {
+    itens: comoArray(infNFe.det).map(extrairItem),
+    totais: extrairTotais(infNFe),
+    fatura: fat
+      ? { nFat: fat.nFat, vOrig: num(fat.vOrig), vDesc: num(fat.vDesc), vLiq: num(fat.vLiq) }
+      : undefined,
+    duplicatas: comoArray(infNFe.cobr?.dup).map(dup => ({
+      nDup: dup.nDup,
+      dVenc: dup.dVenc ? new Date(dup.dVenc) : undefined,
+      vDup: num(dup.vDup)
+    })),
+    pagamentos: comoArray(infNFe.pag?.detPag).map(det => ({
+      indPag: det.indPag,
+      tPag: det.tPag,
+      xPag: det.xPag,
+      vPag: num(det.vPag),
+      cnpjCredenciadora: det.card?.CNPJ,
+      tBand: det.card?.tBand,
+      cAut: det.card?.cAut
+    }))
+  };
+}
+
+/**
+ * Preenche os campos fiscais de notas importadas antes da sua existência,
+ * relendo o xmlTexto armazenado. Retorna { atualizadas, falhas }.
+ */
+export async function preencherCamposFiscais(Model) {
+  let atualizadas = 0;
+  const falhas = [];
+  const cursor = Model.find({ "totais.vNF": { $exists: false } }).select("numero xmlTexto").cursor();
+
+  for await (const nota of cursor) {
+    try {
+      const parsedXml = await parseStringPromise(nota.xmlTexto, OPCOES_XML2JS);
+      const infNFe = infNFeDoXml(parsedXml);
+      if (!infNFe) {
+        throw new Error("XML armazenado não possui infNFe.");
+      }
+      await Model.updateOne({ _id: nota._id }, { $set: extrairCamposFiscais(infNFe) });
+      atualizadas++;
+    } catch (err) {
+      falhas.push({ id: nota._id, numero: nota.numero, motivo: err.message });
+    }
+  }
+
+  return { atualizadas, falhas };
+}
+
+// Valor contábil do item: vProd - vDesc + vST + vFrete + vSeg + vOutro + vIPI
+export function valorContabilItem(item) {
+  return (item.vProd || 0) - (item.vDesc || 0) + (item.impostos?.icms?.vICMSST || 0) +
+    (item.vFrete || 0) + (item.vSeg || 0) + (item.vOutro || 0) + (item.impostos?.ipi?.vIPI || 0);
+}
@@ -0,0 +1,96 @@
+// src/services/classificacao.js
+import { Empresa } from "../models/Empresa.js";
+import { ErroImportacao } from "../utils/erros.js";
+
+// Nas compras a empresa é, em regra, a destinatária da nota; nas vendas, a emitente
+export const COLECAO_COMPRAS = "NotaCompra";
+
+// Campo da nota armazenada com o CNPJ da empresa dona, por coleção
+// (notas de entrada próprias, com emissaoPropria, têm a empresa no remetente)
+export const CAMPO_CNPJ_EMPRESA = {
+  Nota: "remetente.cnpj",
+  NotaCompra: "destinatario.cnpj"
+};
+
+export const FINALIDADE_DEVOLUCAO = "4";
+
+// Rota tipada de cada coleção, citada quando o XML chega pela rota errada
+export const ROTAS_IMPORTACAO = {
+  Nota: "/api/notas",
+  NotaCompra: "/api/notasCompra",
+  Cte: "/api/ctes"
+};
+
+export function ehDevolucao(infNFe) {
+  return String(infNFe.ide?.finNFe) === FINALIDADE_DEVOLUCAO;
+}
+
+// Nota emitida pela própria empresa: toda venda e, entre as compras, as notas de entrada próprias (tpNF=0)
+export function emissaoPropria(infNFe, colecao) {
+  return colecao !== COLECAO_COMPRAS || String(infNFe.ide?.tpNF) === "0";
+}
+
+// Nota em que a empresa selecionada não é emitente nem destinatária
+async function erroNotaDeTerceiros(emitente, destinatario, empresa) {
+  const dona = await Empresa.findOne({ cnpj: { $in: [emitente, destinatario].filter(Boolean) }, ativa: true });
+  const classificacao = { tipo: "terceiros", emitente, destinatario, empresaSugerida: dona?.cnpj || null };
+  if (dona) {
+    return new ErroImportacao(422,
+      `A empresa selecionada (${empresa.cnpj}) não é emitente nem destinatária da NFE; ela é da empresa ${dona.cnpj}: selecione-a no X-Empresa.`,
+      { classificacao });
+  }
+  return new ErroImportacao(422,
+    `Nenhuma empresa cadastrada é emitente (${emitente || "sem CNPJ"}) ou destinatária (${destinatario || "sem CNPJ"}) da NFE.`,
+    { classificacao });
+}
+
+/**
+ * Classifica a NFE do ponto de vista da empresa selecionada
+ * - Emitida pela empresa com tpNF=1: venda (Nota); com finNFe=4, devolução de compra ao fornecedor
+ * - Emitida pela empresa com tpNF=0: nota de entrada própria (NotaCompra); com finNFe=4, devolução de venda
+ * - Destinada à empresa com tpNF=1: compra (NotaCompra); com finNFe=4, devolução de venda emitida pelo cliente
+ * Retorna { colecao, tipo, emissaoPropria, devolucao, motivo }.
+ * Lança ErroImportacao (422) para notas de terceiros e de entrada de terceiros (tpNF=0 destinada à empresa).
+ */
+export async function classificarNota(infNFe, empresa) {
+  const emitente = infNFe.emit?.CNPJ;
+  const destinatario = infNFe.dest?.CNPJ;
+  const entrada = String(infNFe.ide?.tpNF) === "0";
+  const devolucao = ehDevolucao(infNFe);
+
+  if (emitente === empresa.cnpj) {
+    if (entrada) {
+      return {
+        colecao: COLECAO_COMPRAS,
+        tipo: "compra",
+        emissaoPropria: true,
+        devolucao,
+        motivo: devolucao ? "Devolução de venda em nota de entrada própria (tpNF=0, finNFe=4)." : "Nota de entrada própria (tpNF=0)."
+      };
+    }
+    return {
+      colecao: "Nota",
+      tipo: "venda",
+      emissaoPropria: true,
+      devolucao,
+      motivo: devolucao ? "Devolução de compra emitida pela empresa (finNFe=4)." : "Nota de saída emitida pela empresa."
+    };
+  }
+
+  if (destinatario === empresa.cnpj) {
+    if (entrada) {
+      throw new ErroImportacao(422,
+        "NFE de entrada (tpNF=0) emitida por terceiro para a empresa: a mercadoria saiu da empresa, que deve importar a própria nota de saída.",
+        { classificacao: { tipo: "entradaDeTerceiro", emitente, destinatario } });
+    }
+    return {
+      colecao: COLECAO_COMPRAS,
+      tipo: "compra",
+      emissaoPropria: false,
+      devolucao,
+      motivo: devolucao ? "Devolução de venda emitida pelo cliente (finNFe=4)." : "Nota de saída de terceiro destinada à empresa."
+    };
+  }
+
+  throw await erroNotaDeTerceiros(emitente, destinatario, empresa);
+}
@@ -0,0 +1,262 @@
+// src/services/cte.js
+import { Cte } from "../models/Cte.js";
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { ErroImportacao } from "../utils/erros.js";
+import { validarChaveAcesso } from "../utils/chaveAcesso.js";
+import { verificarAssinatura, verificarProtocolo } from "./assinatura.js";
+
+// toma3/toma03: o tomador é um dos participantes do CT-e
+const PAPEL_TOMADOR = { 0: "remetente", 1: "expedidor", 2: "recebedor", 3: "destinatario" };
+
+function num(valor) {
+  if (valor === undefined || valor === null || valor === "") return undefined;
+  const n = parseFloat(valor);
+  return isNaN(n) ? undefined : n;
+}
+
+function comoArray(valor) {
+  if (valor === undefined || valor === null) return [];
+  return Array.isArray(valor) ? valor : [valor];
+}
+
+const arredondar = valor => Math.round(valor * 100) / 100;
+
+// Helper para extrair a chave do CT-e de infCte.$.Id ("CTe" + chave)
+export function extrairChaveCTe(infCte) {
+  const id = infCte.$?.Id;
+  return id && id.startsWith("CTe") ? id.substring(3) : id;
+}
+
+function participanteCte(dados, endereco) {
+  if (!dados) return undefined;
+  return {
+    nome: dados.xNome,
+    cnpj: dados.CNPJ,
+    cpf: dados.CPF,
+    ie: dados.IE,
+    municipio: endereco?.xMun,
+    uf: endereco?.UF
+  };
+}
+
+function tomadorCte(ide, participantes) {
+  const toma3 = ide.toma3 || ide.toma03;
+  if (toma3) {
+    const papel = PAPEL_TOMADOR[toma3.toma];
+    const { nome, cnpj, cpf } = participantes[papel] || {};
+    return { papel, nome, cnpj, cpf };
+  }
+  if (ide.toma4) {
+    return { papel: "outros", nome: ide.toma4.xNome, cnpj: ide.toma4.CNPJ, cpf: ide.toma4.CPF };
+  }
+  return undefined;
+}
+
+// ICMS do CT-e: ICMS00, ICMS20, ICMS45, ICMS60, ICMS90, ICMSOutraUF ou ICMSSN
+function icmsCte(imp) {
+  const icms = imp?.ICMS;
+  const chave = icms && Object.keys(icms).find(k => k !== "$" && typeof icms[k] === "object");
+  if (!chave) return undefined;
+  const g = icms[chave];
+  return {
+    cst: g.CST,
+    vBC: num(g.vBC ?? g.vBCOutraUF ?? g.vBCSTRet),
+    pICMS: num(g.pICMS ?? g.pICMSOutraUF ?? g.pICMSSTRet),
+    vICMS: num(g.vICMS ?? g.vICMSOutraUF ?? g.vICMSSTRet)
+  };
+}
+
+// Monta o documento do CT-e a partir do infCte já parseado
+export function montarDadosCte(infCte, xml) {
+  const { ide } = infCte;
+  const participantes = {
+    emitente: participanteCte(infCte.emit, infCte.emit?.enderEmit),
+    remetente: participanteCte(infCte.rem, infCte.rem?.enderReme),
+    destinatario: participanteCte(infCte.dest, infCte.dest?.enderDest),
+    expedidor: participanteCte(infCte.exped, infCte.exped?.enderExped),
+    recebedor: participanteCte(infCte.receb, infCte.receb?.enderReceb)
+  };
+  const norm = infCte.infCTeNorm;
+
+  return {
+    chaveCTe: extrairChaveCTe(infCte),
+    numero: ide.nCT,
+    modelo: ide.mod,
+    serie: ide.serie !== undefined ? String(Number(ide.serie)) : undefined,
+    cfop: ide.CFOP,
+    naturezaOperacao: ide.natOp,
+    tipo: ide.tpCTe,
+    modal: ide.modal,
+    dataEmissao: ide.dhEmi,
+    inicioPrestacao: { municipio: ide.xMunIni, uf: ide.UFIni },
+    fimPrestacao: { municipio: ide.xMunFim, uf: ide.UFFim },
+    ...participantes,
+    tomador: tomadorCte(ide, participantes),
+    valorPrestacao: num(infCte.vPrest?.vTPrest),
+    valorReceber: num(infCte.vPrest?.vRec),
+    componentes: comoArray(infCte.vPrest?.Comp).map(comp => ({ nome: comp.xNome, valor: num(comp.vComp) })),
+    icms: icmsCte(infCte.imp),
+    valorCarga: num(norm?.infCarga?.vCarga),
+    produtoPredominante: norm?.infCarga?.proPred,
+    chavesNFe: comoArray(norm?.infDoc?.infNFe).map(doc => doc.chave).filter(Boolean),
+    xmlTexto: xml
+  };
+}
+
+// CNPJs que participam do CT-e (usados para descobrir a empresa dona no monitor de pastas)
+export function cnpjsDoCte(dados) {
+  const cnpjs = [dados.tomador, dados.remetente, dados.destinatario, dados.expedidor, dados.recebedor, dados.emitente]
+    .map(p => p?.cnpj)
+    .filter(Boolean);
+  return [...new Set(cnpjs)];
+}
+
+// Papel da empresa no CT-e; o tomador (quem paga o frete) tem precedência
+function papelDaEmpresa(dados, cnpj) {
+  if (dados.tomador?.cnpj === cnpj) return "tomador";
+  return ["remetente", "destinatario", "expedidor", "recebedor", "emitente"].find(papel => dados[papel]?.cnpj === cnpj) || null;
+}
+
+/**
+ * Importa um cteProc na empresa informada
+ * - Valida a chave, a assinatura digital e o protocolo de autorização (protCTe)
+ * - A empresa precisa participar do CT-e (tomador, remetente, destinatário, expedidor, recebedor ou emitente)
+ * - As notas transportadas ficam em chavesNFe; o vínculo é feito pela chave, então
+ *   tanto faz importar o CT-e antes ou depois das notas
+ * Lança ErroImportacao quando o CT-e é rejeitado ou duplicado.
+ * Retorna { cte, papel }.
+ */
+export async function importarCTe(parsedXml, xml, empresa) {
+  const infCte = parsedXml?.cteProc?.CTe?.infCte;
+  if (!infCte?.ide) {
+    throw new ErroImportacao(400, "XML não possui estrutura válida de CT-e.");
+  }
+
+  const chaveCTe = extrairChaveCTe(infCte);
+  if (!infCte.ide.nCT || !chaveCTe) {
+    throw new ErroImportacao(400, "Não foi possível extrair número ou chave do CT-e do XML.");
+  }
+
+  const inconsistencias = validarChaveAcesso(chaveCTe, infCte);
+  if (inconsistencias.length > 0) {
+    throw new ErroImportacao(422, "Chave de acesso inválida ou inconsistente com o XML.", { inconsistencias });
+  }
+
+  const assinatura = verificarAssinatura(xml, `CTe${chaveCTe}`, infCte.ide.dhEmi, "CTe");
+  if (assinatura.erros.length > 0) {
+    throw new ErroImportacao(422, "Assinatura digital do CT-e inválida.", { inconsistencias: assinatura.erros });
+  }
+  const autorizacao = verificarProtocolo(parsedXml.cteProc.protCTe, chaveCTe, assinatura.digestValue, "CTe");
+  if (autorizacao.erros.length > 0) {
+    throw new ErroImportacao(422, "CT-e sem autorização de uso válida.", { inconsistencias: autorizacao.erros });
+  }
+
+  const dados = montarDadosCte(infCte, xml);
+  const papel = papelDaEmpresa(dados, empresa.cnpj);
+  if (!papel) {
+    throw new ErroImportacao(422,
+      `A empresa selecionada (${empresa.cnpj}) não é tomadora, remetente, destinatária, expedidora, recebedora nem emitente do CT-e.`,
+      { participantes: cnpjsDoCte(dados) });
+  }
+
+  const colisao = { criterio: "chaveCTe", chaveCTe };
+  const existente = await Cte.findOne({ empresa: empresa._id, chaveCTe });
+  if (existente) {
+    throw new ErroImportacao(409, `CT-e com chave ${chaveCTe} já foi importado.`, {
+      colisao,
+      cteExistente: { id: existente._id, numero: existente.numero, chaveCTe, criadoEm: existente.criadoEm }
+    });
+  }
+
+  const cte = new Cte({
+    ...dados,
+    empresa: empresa._id,
+    papelEmpresa: papel,
+    protocolo: autorizacao.protocolo,
+    certificado: assinatura.certificado
+  });
+  try {
+    await cte.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ErroImportacao(409, `CT-e com chave ${chaveCTe} já foi importado.`, { colisao });
+    }
+    throw err;
+  }
+  return { cte, papel };
+}
+
+// Resumo do CT-e usado nas respostas de importação e listagem
+export function resumoCte(cte) {
+  return {
+    id: cte._id,
+    numero: cte.numero,
+    chaveCTe: cte.chaveCTe,
+    dataEmissao: cte.dataEmissao,
+    transportadora: cte.emitente?.nome,
+    papelEmpresa: cte.papelEmpresa,
+    valorPrestacao: cte.valorPrestacao,
+    chavesNFe: cte.chavesNFe,
+    status: cte.status,
+    criadoEm: cte.criadoEm
+  };
+}
+
+// Parte do frete da nota: o CT-e inteiro, ou o rateio pelo valor da carga quando transporta várias notas
+function rateioFrete(cte, nota) {
+  const total = cte.valorPrestacao || 0;
+  if (cte.chavesNFe.length <= 1) return total;
+  if (cte.valorCarga > 0 && nota.valorTotal) {
+    return Math.min(total, arredondar(total * nota.valorTotal / cte.valorCarga));
+  }
+  return arredondar(total / cte.chavesNFe.length);
+}
+
+/**
+ * CT-es autorizados da empresa que transportam a nota (pela chave em infDoc)
+ * Retorna { ctes: [{ id, numero, chaveCTe, transportadora, valorPrestacao, valorRateado, ... }], valorFrete }.
+ */
+export async function fretesDaNota(nota) {
+  const ctes = await Cte.find({ empresa: nota.empresa, chavesNFe: nota.chaveNFe, status: "autorizada" })
+    .select("numero chaveCTe dataEmissao emitente tomador valorPrestacao valorCarga chavesNFe")
+    .sort({ dataEmissao: 1 });
+
+  const fretes = ctes.map(cte => ({
+    id: cte._id,
+    numero: cte.numero,
+    chaveCTe: cte.chaveCTe,
+    dataEmissao: cte.dataEmissao,
+    transportadora: cte.emitente?.nome,
+    cnpjTransportadora: cte.emitente?.cnpj,
+    tomador: cte.tomador?.papel,
+    valorPrestacao: cte.valorPrestacao,
+    notasNoCte: cte.chavesNFe.length,
+    valorRateado: rateioFrete(cte, nota)
+  }));
+  return { ctes: fretes, valorFrete: arredondar(fretes.reduce((soma, f) => soma + f.valorRateado, 0)) };
+}
+
+/**
+ * Notas da empresa (vendas e compras) transportadas pelo CT-e
+ * Retorna { notas: [{ id, colecao, numero, chaveNFe, valorTotal }], chavesSemNota }.
+ */
+export async function notasDoCte(cte) {
+  const notas = [];
+  for (const Model of [Nota, NotaCompra]) {
+    const encontradas = await Model.find({ empresa: cte.empresa, chaveNFe: { $in: cte.chavesNFe } })
+      .select("numero chaveNFe valorTotal remetente.nome");
+    for (const nota of encontradas) {
+      notas.push({
+        id: nota._id,
+        colecao: Model.modelName,
+        numero: nota.numero,
+        chaveNFe: nota.chaveNFe,
+        emitente: nota.remetente?.nome,
+        valorTotal: nota.valorTotal
+      });
+    }
+  }
+  const vinculadas = new Set(notas.map(n => n.chaveNFe));
+  return { notas, chavesSemNota: cte.chavesNFe.filter(chave => !vinculadas.has(chave)) };
+}
@@ -0,0 +1,167 @@
+// src/services/dacte.js
+import PDFDocument from "pdfkit";
+import bwipjs from "bwip-js";
+
+const MARGEM = 20;
+const LARGURA = 595.28 - MARGEM * 2; // A4 retrato
+
+const MODAIS = {
+  "01": "Rodoviário",
+  "02": "Aéreo",
+  "03": "Aquaviário",
+  "04": "Ferroviário",
+  "05": "Dutoviário",
+  "06": "Multimodal"
+};
+
+const TIPOS_CTE = { 0: "Normal", 1: "Complemento de valores", 2: "Anulação", 3: "Substituto" };
+
+function formatarDocumento(cnpj, cpf) {
+  if (cnpj) return cnpj.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, "$1.$2.$3/$4-$5");
+  if (cpf) return cpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, "$1.$2.$3-$4");
+  return "";
+}
+
+function formatarValor(valor) {
+  return (valor || 0).toLocaleString("pt-BR", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatarData(data) {
+  return data ? new Date(data).toLocaleString("pt-BR", { timeZone: "America/Sao_Paulo" }) : "";
+}
+
+// Caixa com rótulo pequeno no topo e o conteúdo abaixo
+function campo(doc, x, y, largura, altura, rotulo, valor, opcoes = {}) {
+  doc.rect(x, y, largura, altura).stroke();
+  doc.font("Helvetica").fontSize(5.5).text(rotulo.toUpperCase(), x + 2, y + 2, { width: largura - 4 });
+  doc.font(opcoes.negrito ? "Helvetica-Bold" : "Helvetica").fontSize(opcoes.tamanho || 7.5)
+    .text(valor ?? "", x + 2, y + 9, { width: largura - 4, height: altura - 10, ellipsis: true, align: opcoes.alinhar || "left" });
+}
+
+function titulo(doc, y, texto) {
+  doc.rect(MARGEM, y, LARGURA, 10).fillAndStroke("#e6e6e6", "#000");
+  doc.fillColor("#000").font("Helvetica-Bold").fontSize(6.5).text(texto, MARGEM + 2, y + 2.5, { width: LARGURA - 4 });
+  return y + 10;
+}
+
+function participante(doc, x, y, largura, rotulo, p) {
+  const linhas = p
+    ? [p.nome, `CNPJ/CPF: ${formatarDocumento(p.cnpj, p.cpf)}   IE: ${p.ie || ""}`, [p.municipio, p.uf].filter(Boolean).join(" - ")].join("\n")
+    : "";
+  campo(doc, x, y, largura, 38, rotulo, linhas, { tamanho: 7 });
+}
+
+/**
+ * Gera o DACTE (documento auxiliar do CT-e) a partir do CT-e armazenado
+ * - Layout simplificado em A4: emitente, chave com código de barras, prestação,
+ *   participantes, componentes do frete, ICMS e as NF-e transportadas
+ * - opcoes.cancelado imprime a tarja "CANCELADO"
+ * Retorna o documento PDF (stream) já finalizado.
+ */
+export async function gerarDacte(cte, opcoes = {}) {
+  const doc = new PDFDocument({ size: "A4", margin: MARGEM });
+  doc.lineWidth(0.5);
+  let y = MARGEM;
+
+  // Emitente e identificação do documento
+  const emit = cte.emitente || {};
+  const largEmitente = LARGURA * 0.55;
+  doc.rect(MARGEM, y, largEmitente, 70).stroke();
+  doc.font("Helvetica-Bold").fontSize(10).text(emit.nome || "", MARGEM + 4, y + 6, { width: largEmitente - 8 });
+  doc.font("Helvetica").fontSize(7.5).text(
+    `CNPJ: ${formatarDocumento(emit.cnpj, emit.cpf)}   IE: ${emit.ie || ""}\n${[emit.municipio, emit.uf].filter(Boolean).join(" - ")}`,
+    MARGEM + 4, y + 34, { width: largEmitente - 8 });
+
+  const xId = MARGEM + largEmitente;
+  const largId = LARGURA - largEmitente;
+  doc.rect(xId, y, largId, 70).stroke();
+  doc.font("Helvetica-Bold").fontSize(12).text("DACTE", xId, y + 6, { width: largId, align: "center" });
+  doc.font("Helvetica").fontSize(6.5).text("Documento Auxiliar do Conhecimento de Transporte Eletrônico", xId + 4, y + 22, { width: largId - 8, align: "center" });
+  doc.fontSize(7.5).text(
+    `Modelo ${cte.modelo || "57"}   Série ${cte.serie || ""}   Número ${cte.numero}\nEmissão: ${formatarData(cte.dataEmissao)}`,
+    xId + 4, y + 40, { width: largId - 8, align: "center" });
+  y += 70;
+
+  // Chave de acesso com código de barras (CODE-128C)
+  const codigoBarras = await bwipjs.toBuffer({ bcid: "code128", text: cte.chaveCTe, scale: 2, height: 9 });
+  doc.rect(MARGEM, y, LARGURA, 52).stroke();
+  doc.image(codigoBarras, MARGEM + (LARGURA - 300) / 2, y + 4, { width: 300, height: 28 });
+  doc.font("Helvetica-Bold").fontSize(8)
+    .text(`Chave de acesso: ${cte.chaveCTe.replace(/(\d{4})(?=\d)/g, "$1 ")}`, MARGEM, y + 36, { width: LARGURA, align: "center" });
+  y += 52;
+
+  const protocolo = cte.protocolo?.numero ? `${cte.protocolo.numero} - ${formatarData(cte.protocolo.dataAutorizacao)}` : "";
+  const quarto = LARGURA / 4;
+  campo(doc, MARGEM, y, quarto, 20, "Modal", MODAIS[cte.modal] || cte.modal);
+  campo(doc, MARGEM + quarto, y, quarto, 20, "Tipo do CT-e", TIPOS_CTE[cte.tipo] || cte.tipo);
+  campo(doc, MARGEM + quarto * 2, y, quarto * 2, 20, "Protocolo de autorização de uso", protocolo);
+  y += 20;
+  campo(doc, MARGEM, y, LARGURA / 2, 20, "CFOP - Natureza da prestação", `${cte.cfop || ""} - ${cte.naturezaOperacao || ""}`);
+  campo(doc, MARGEM + LARGURA / 2, y, LARGURA / 4, 20, "Início da prestação",
+    [cte.inicioPrestacao?.municipio, cte.inicioPrestacao?.uf].filter(Boolean).join(" - "));
+  campo(doc, MARGEM + LARGURA * 0.75, y, LARGURA / 4, 20, "Término da prestação",
+    [cte.fimPrestacao?.municipio, cte.fimPrestacao?.uf].filter(Boolean).join(" - "));
+  y += 20;
+
+  // Participantes
+  const metade = LARGURA / 2;
+  participante(doc, MARGEM, y, metade, "Remetente", cte.remetente);
+  participante(doc, MARGEM + metade, y, metade, "Destinatário", cte.destinatario);
+  y += 38;
+  participante(doc, MARGEM, y, metade, "Expedidor", cte.expedidor);
+  participante(doc, MARGEM + metade, y, metade, "Recebedor", cte.recebedor);
+  y += 38;
+  campo(doc, MARGEM, y, LARGURA, 20, "Tomador do serviço",
+    cte.tomador ? `${cte.tomador.nome || ""}   CNPJ/CPF: ${formatarDocumento(cte.tomador.cnpj, cte.tomador.cpf)}   (${cte.tomador.papel})` : "");
+  y += 20;
+
+  campo(doc, MARGEM, y, LARGURA * 0.7, 20, "Produto predominante", cte.produtoPredominante);
+  campo(doc, MARGEM + LARGURA * 0.7, y, LARGURA * 0.3, 20, "Valor total da carga", formatarValor(cte.valorCarga), { alinhar: "right" });
+  y += 20;
+
+  // Componentes do valor da prestação
+  y = titulo(doc, y + 4, "COMPONENTES DO VALOR DA PRESTAÇÃO DO SERVIÇO");
+  const componentes = cte.componentes || [];
+  const colunas = 4;
+  const largComp = LARGURA / colunas;
+  for (let i = 0; i < Math.max(componentes.length, 1); i += colunas) {
+    for (let c = 0; c < colunas; c++) {
+      const comp = componentes[i + c];
+      campo(doc, MARGEM + largComp * c, y, largComp, 20, comp?.nome || "", comp ? formatarValor(comp.valor) : "", { alinhar: "right" });
+    }
+    y += 20;
+  }
+  campo(doc, MARGEM, y, metade, 20, "Valor total do serviço", formatarValor(cte.valorPrestacao), { negrito: true, alinhar: "right" });
+  campo(doc, MARGEM + metade, y, metade, 20, "Valor a receber", formatarValor(cte.valorReceber), { negrito: true, alinhar: "right" });
+  y += 20;
+
+  // Impostos
+  y = titulo(doc, y + 4, "INFORMAÇÕES RELATIVAS AO IMPOSTO");
+  campo(doc, MARGEM, y, quarto, 20, "CST", cte.icms?.cst);
+  campo(doc, MARGEM + quarto, y, quarto, 20, "Base de cálculo", formatarValor(cte.icms?.vBC), { alinhar: "right" });
+  campo(doc, MARGEM + quarto * 2, y, quarto, 20, "Alíquota ICMS", formatarValor(cte.icms?.pICMS), { alinhar: "right" });
+  campo(doc, MARGEM + quarto * 3, y, quarto, 20, "Valor ICMS", formatarValor(cte.icms?.vICMS), { alinhar: "right" });
+  y += 20;
+
+  // Documentos originários
+  y = titulo(doc, y + 4, "DOCUMENTOS ORIGINÁRIOS (NF-e)");
+  const chaves = cte.chavesNFe || [];
+  for (let i = 0; i < Math.max(chaves.length, 1); i += 2) {
+    for (let c = 0; c < 2; c++) {
+      campo(doc, MARGEM + metade * c, y, metade, 18, "Chave de acesso da NF-e", chaves[i + c] || "", { tamanho: 7 });
+    }
+    y += 18;
+    if (y > 800) {
+      doc.addPage();
+      y = MARGEM;
+    }
+  }
+
+  if (opcoes.cancelado) {
+    doc.save().rotate(-35, { origin: [297, 420] }).fillColor("#c00000").opacity(0.35)
+      .font("Helvetica-Bold").fontSize(90).text("CANCELADO", 0, 380, { width: 595, align: "center" }).restore();
+  }
+
+  doc.end();
+  return doc;
+}
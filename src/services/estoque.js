@@ -0,0 +1,250 @@
+// src/services/estoque.js
+import mongoose from "mongoose";
+import { Produto } from "../models/Produto.js";
+import { MovimentoEstoque } from "../models/MovimentoEstoque.js";
+import { valorContabilItem } from "./camposFiscais.js";
+
+// Notas de compra geram entradas; as demais (vendas) geram saídas
+export const COLECAO_ENTRADAS = "NotaCompra";
+
+const arred = (numero, casas) => Math.round(numero * 10 ** casas) / 10 ** casas;
+const MAX_TENTATIVAS_PRODUTO = 10;
+
+function normalizarUnidade(unidade) {
+  return unidade ? String(unidade).trim().toUpperCase() : "";
+}
+
+// GTIN válido (8, 12, 13 ou 14 dígitos); "SEM GTIN" e vazios ficam de fora
+function gtinValido(cEAN) {
+  return /^(\d{8}|\d{12,14})$/.test(cEAN || "") ? cEAN : undefined;
+}
+
+// Aprende o fator uCom → uTrib quando a nota traz as duas quantidades
+function aprenderConversao(produto, item) {
+  const uCom = normalizarUnidade(item.uCom);
+  const uTrib = normalizarUnidade(item.uTrib);
+  if (!uCom || !uTrib || uCom === uTrib || uTrib !== produto.unidade) return;
+  if (!(item.qCom > 0) || !(item.qTrib > 0)) return;
+  if (produto.conversoes.some(c => c.unidade === uCom)) return;
+  produto.conversoes.push({ unidade: uCom, fator: item.qTrib / item.qCom });
+}
+
+/**
+ * Localiza o produto do item, no estoque da empresa, pelo GTIN (cEAN) ou,
+ * sem GTIN, pelo cProd. Produtos novos usam a unidade tributável (uTrib) como
+ * unidade de estoque.
+ */
+async function obterProduto(item, empresa) {
+  const gtin = gtinValido(item.cEAN);
+  const codigo = gtin || item.cProd;
+  let produto = await Produto.findOne({ empresa, codigo });
+  if (!produto) {
+    produto = new Produto({
+      empresa,
+      codigo,
+      gtin,
+      cProd: item.cProd,
+      descricao: item.xProd,
+      ncm: item.NCM,
+      unidade: normalizarUnidade(item.uTrib || item.uCom)
+    });
+  }
+  aprenderConversao(produto, item);
+  return produto;
+}
+
+// Quantidade do item na unidade de estoque do produto
+function quantidadeEmEstoque(produto, item) {
+  const uCom = normalizarUnidade(item.uCom);
+  const uTrib = normalizarUnidade(item.uTrib);
+  if (uTrib === produto.unidade && item.qTrib > 0) return { quantidade: item.qTrib, conversaoPendente: false };
+  if (uCom === produto.unidade) return { quantidade: item.qCom, conversaoPendente: false };
+
+  const fatorCom = produto.conversoes.find(c => c.unidade === uCom)?.fator;
+  if (fatorCom) return { quantidade: item.qCom * fatorCom, conversaoPendente: false };
+  const fatorTrib = produto.conversoes.find(c => c.unidade === uTrib)?.fator;
+  if (fatorTrib && item.qTrib > 0) return { quantidade: item.qTrib * fatorTrib, conversaoPendente: false };
+
+  return { quantidade: item.qCom, conversaoPendente: true };
+}
+
+/**
+ * Aplica uma variação de quantidade e valor ao produto (custo médio ponderado)
+ * - Entrada sobre saldo positivo: soma o valor e recalcula o custo médio
+ * - Entrada sem saldo positivo: o custo médio passa a ser o do movimento
+ * - Saída: baixa pelo custo médio, que não se altera
+ */
+function aplicarMovimento(produto, quantidade, valor) {
+  const saldoAnterior = produto.saldo;
+  produto.saldo = arred(saldoAnterior + quantidade, 6);
+
+  if (quantidade > 0 && saldoAnterior <= 0) {
+    produto.custoMedio = arred(valor / quantidade, 6);
+    produto.valorEstoque = arred(produto.saldo * produto.custoMedio, 2);
+  } else if (produto.saldo > 0) {
+    produto.valorEstoque = arred(produto.valorEstoque + valor, 2);
+    produto.custoMedio = arred(produto.valorEstoque / produto.saldo, 6);
+  } else {
+    produto.valorEstoque = arred(produto.saldo * produto.custoMedio, 2);
+  }
+  produto.atualizadoEm = new Date();
+}
+
+/**
+ * Lê o produto, aplica a alteração em memória e grava com controle de versão
+ * - Uploads, monitor de pastas e CLI podem movimentar o mesmo produto ao mesmo tempo:
+ *   se outro processo gravou antes (VersionError) ou criou o mesmo produto novo (chave
+ *   duplicada), o produto é relido e a alteração refeita sobre o saldo atual
+ * Retorna { produto, resultado } (resultado é o retorno de alterar) ou null se o produto não existe.
+ */
+async function atualizarProduto(buscar, alterar) {
+  for (let tentativa = 1; ; tentativa++) {
+    const produto = await buscar();
+    if (!produto) return null;
+    const resultado = alterar(produto);
+    try {
+      await produto.save();
+      return { produto, resultado };
+    } catch (err) {
+      const conflito = err instanceof mongoose.Error.VersionError || err.code === 11000;
+      if (!conflito || tentativa >= MAX_TENTATIVAS_PRODUTO) throw err;
+    }
+  }
+}
+
+const filtroMovimentosAtivos = (colecao, notaId) => ({
+  "origem.colecao": colecao,
+  "origem.notaId": notaId,
+  estorno: false,
+  estornadoEm: null
+});
+
+/**
+ * Lança os movimentos de estoque dos itens de uma nota importada
+ * - colecao "NotaCompra": entradas pelo valor contábil do item
+ * - colecao "Nota": saídas pelo custo médio vigente
+ * Só notas autorizadas (canceladas e sem protocolo não movimentam) e sem movimentos ativos.
+ * Retorna os movimentos criados.
+ */
+export async function lancarMovimentosNota(nota, colecao) {
+  if (nota.status !== "autorizada") return [];
+  if (await MovimentoEstoque.exists(filtroMovimentosAtivos(colecao, nota._id))) return [];
+
+  const entrada = colecao === COLECAO_ENTRADAS;
+  const movimentos = [];
+  for (const item of nota.itens || []) {
+    if (!(item.qCom > 0) && !(item.qTrib > 0)) continue;
+
+    const { produto, resultado } = await atualizarProduto(() => obterProduto(item, nota.empresa), (produto) => {
+      const { quantidade, conversaoPendente } = quantidadeEmEstoque(produto, item);
+      const valorTotal = arred(entrada ? valorContabilItem(item) : quantidade * produto.custoMedio, 2);
+      aplicarMovimento(produto, entrada ? quantidade : -quantidade, entrada ? valorTotal : -valorTotal);
+      return { quantidade, conversaoPendente, valorTotal };
+    });
+    const { quantidade, conversaoPendente, valorTotal } = resultado;
+    if (conversaoPendente) {
+      console.warn(`Nota ${nota.numero} item ${item.nItem}: sem conversão de ${item.uCom} para ${produto.unidade}; usando qCom.`);
+    }
+
+    movimentos.push(await MovimentoEstoque.create({
+      empresa: nota.empresa,
+      produto: produto._id,
+      tipo: entrada ? "entrada" : "saida",
+      data: nota.dataEmissao,
+      origem: { colecao, notaId: nota._id, numero: nota.numero, chaveNFe: nota.chaveNFe, nItem: item.nItem },
+      quantidade,
+      unidade: produto.unidade,
+      quantidadeComercial: item.qCom,
+      unidadeComercial: item.uCom,
+      conversaoPendente,
+      custoUnitario: quantidade ? arred(valorTotal / quantidade, 6) : 0,
+      valorTotal,
+      saldoApos: produto.saldo,
+      custoMedioApos: produto.custoMedio
+    }));
+  }
+  return movimentos;
+}
+
+/**
+ * Estorna os movimentos ativos de uma nota (exclusão ou cancelamento)
+ * - Cada movimento recebe um movimento inverso com estorno: true
+ * - O original fica marcado com estornadoEm
+ * Retorna a quantidade de movimentos estornados.
+ */
+export async function estornarMovimentosNota(colecao, notaId, motivo) {
+  const originais = await MovimentoEstoque.find(filtroMovimentosAtivos(colecao, notaId)).sort({ criadoEm: 1 });
+
+  for (const original of originais) {
+    const sinal = original.tipo === "entrada" ? -1 : 1;
+    const atualizado = await atualizarProduto(() => Produto.findById(original.produto), (produto) => {
+      aplicarMovimento(produto, sinal * original.quantidade, sinal * original.valorTotal);
+    });
+    const produto = atualizado?.produto;
+
+    await MovimentoEstoque.create({
+      empresa: original.empresa,
+      produto: original.produto,
+      tipo: original.tipo === "entrada" ? "saida" : "entrada",
+      data: new Date(),
+      origem: original.origem,
+      quantidade: original.quantidade,
+      unidade: original.unidade,
+      quantidadeComercial: original.quantidadeComercial,
+      unidadeComercial: original.unidadeComercial,
+      custoUnitario: original.custoUnitario,
+      valorTotal: original.valorTotal,
+      saldoApos: produto?.saldo,
+      custoMedioApos: produto?.custoMedio,
+      estorno: true,
+      motivoEstorno: motivo
+    });
+
+    original.estornadoEm = new Date();
+    original.motivoEstorno = motivo;
+    await original.save();
+  }
+  return originais.length;
+}
+
+// Estorna os movimentos de todas as notas da coleção na empresa (exclusão em massa)
+export async function estornarMovimentosColecao(colecao, motivo, empresa) {
+  const notaIds = await MovimentoEstoque.distinct("origem.notaId", {
+    empresa,
+    "origem.colecao": colecao,
+    estorno: false,
+    estornadoEm: null
+  });
+  let estornados = 0;
+  for (const notaId of notaIds) {
+    estornados += await estornarMovimentosNota(colecao, notaId, motivo);
+  }
+  return estornados;
+}
+
+/**
+ * Lança os movimentos das notas importadas antes do controle de estoque,
+ * em ordem de emissão (entradas e saídas intercaladas) para o custo médio.
+ * Retorna { lancadas, falhas }.
+ */
+export async function lancarMovimentosPendentes(Models) {
+  const notas = [];
+  for (const Model of Models) {
+    const ids = await Model.find({ status: "autorizada" }).select("_id dataEmissao").lean();
+    notas.push(...ids.map(n => ({ Model, id: n._id, dataEmissao: n.dataEmissao })));
+  }
+  notas.sort((a, b) => (a.dataEmissao || 0) - (b.dataEmissao || 0));
+
+  let lancadas = 0;
+  const falhas = [];
+  for (const { Model, id } of notas) {
+    const nota = await Model.findById(id).select("-xmlTexto -eventos.xmlTexto -produtos");
+    try {
+      const movimentos = await lancarMovimentosNota(nota, Model.modelName);
+      if (movimentos.length > 0) lancadas++;
+    } catch (err) {
+      falhas.push({ id, numero: nota?.numero, motivo: err.message });
+    }
+  }
+  return { lancadas, falhas };
+}
@@ -0,0 +1,117 @@
+// src/services/eventos.js
+import { ErroImportacao } from "../utils/erros.js";
+import { verificarAssinatura } from "./assinatura.js";
+import { estornarMovimentosNota } from "./estoque.js";
+import { cancelarTitulosNota } from "./financeiro.js";
+import { enfileirarPdf } from "./filaPdf.js";
+import { marcarEvento } from "./webhooks.js";
+
+export const EVENTO_CANCELAMENTO = "110111";
+export const EVENTO_CARTA_CORRECAO = "110110";
+
+const DESCRICAO_EVENTOS = {
+  [EVENTO_CANCELAMENTO]: "Cancelamento",
+  [EVENTO_CARTA_CORRECAO]: "Carta de Correção"
+};
+
+// cStat do retEvento que indicam evento registrado (135/136) ou cancelamento fora do prazo (155)
+const CSTAT_EVENTO_REGISTRADO = ["135", "136", "155"];
+
+/**
+ * Registra um procEventoNFe na nota correspondente da empresa (por chNFe)
+ * - Aceita cancelamento (110111) e carta de correção (110110)
+ * - Confere a assinatura do evento e o retorno da SEFAZ
+ * - Cancelamento muda o status da nota, estorna o estoque, cancela os títulos em aberto e enfileira o DANFE com a tarja "CANCELADA"
+ * - Nota sem protocolo de autorização não recebe eventos (409 com aguardandoProtocolo): o protNFe vem antes
+ * Retorna { nota, evento }.
+ */
+export async function registrarEvento(Model, procEventoNFe, xml, empresa) {
+  const infEvento = procEventoNFe.evento?.infEvento;
+  const retEvento = procEventoNFe.retEvento?.infEvento;
+  if (!infEvento || !retEvento) {
+    throw new ErroImportacao(400, "XML de evento não possui estrutura válida (evento/retEvento).");
+  }
+
+  const { chNFe, tpEvento } = infEvento;
+  if (!DESCRICAO_EVENTOS[tpEvento]) {
+    throw new ErroImportacao(422, `Tipo de evento ${tpEvento} não suportado.`);
+  }
+
+  const idEvento = infEvento.$?.Id;
+  const assinatura = verificarAssinatura(xml, idEvento, infEvento.dhEvento, "evento");
+  const inconsistencias = [...assinatura.erros];
+  if (!CSTAT_EVENTO_REGISTRADO.includes(retEvento.cStat)) {
+    inconsistencias.push(`Evento não registrado pela SEFAZ: cStat ${retEvento.cStat} - ${retEvento.xMotivo}.`);
+  }
+  if (retEvento.chNFe && retEvento.chNFe !== chNFe) {
+    inconsistencias.push(`Retorno do evento pertence a outra chave (${retEvento.chNFe}).`);
+  }
+  if (inconsistencias.length > 0) {
+    throw new ErroImportacao(422, "Evento inválido.", { inconsistencias });
+  }
+
+  const nota = await Model.findOne({ empresa: empresa._id, chaveNFe: chNFe });
+  if (!nota) {
+    throw new ErroImportacao(404, `NFE com chave ${chNFe} não encontrada para vincular o evento.`);
+  }
+  if (nota.status === "sem_protocolo") {
+    throw new ErroImportacao(409,
+      `NFE ${nota.numero} ainda não tem protocolo de autorização: envie o protNFe (ou o nfeProc) antes do evento.`, {
+        aguardandoProtocolo: true,
+        notaExistente: { id: nota._id, numero: nota.numero, chaveNFe: nota.chaveNFe, status: nota.status }
+      });
+  }
+
+  const nSeqEvento = Number(infEvento.nSeqEvento || 1);
+  const eventoExistente = nota.eventos.find(e => e.tpEvento === tpEvento && e.nSeqEvento === nSeqEvento);
+  if (eventoExistente) {
+    throw new ErroImportacao(409, `Evento ${DESCRICAO_EVENTOS[tpEvento]} (seq. ${nSeqEvento}) já registrado para a NFE ${nota.numero}.`, {
+      notaExistente: { id: nota._id, numero: nota.numero, chaveNFe: nota.chaveNFe, status: nota.status }
+    });
+  }
+
+  const detEvento = infEvento.detEvento || {};
+  const evento = {
+    tpEvento,
+    descricao: DESCRICAO_EVENTOS[tpEvento],
+    nSeqEvento,
+    dataEvento: infEvento.dhEvento ? new Date(infEvento.dhEvento) : undefined,
+    dataRegistro: retEvento.dhRegEvento ? new Date(retEvento.dhRegEvento) : undefined,
+    protocolo: retEvento.nProt,
+    cStat: retEvento.cStat,
+    justificativa: detEvento.xJust,
+    correcao: detEvento.xCorrecao,
+    xmlTexto: xml
+  };
+
+  nota.eventos.push(evento);
+  const cancelando = tpEvento === EVENTO_CANCELAMENTO && nota.status !== "cancelada";
+  if (cancelando) {
+    nota.status = "cancelada";
+    // Webhook gravado junto com o cancelamento (mesmo resumo de evento da resposta da importação)
+    marcarEvento(nota, "nota.cancelada", {
+      evento: { tpEvento, descricao: evento.descricao, nSeqEvento, dataEvento: evento.dataEvento, protocolo: evento.protocolo }
+    });
+  }
+  await nota.save();
+
+  if (cancelando) {
+    try {
+      await estornarMovimentosNota(Model.modelName, nota._id, "Nota cancelada");
+    } catch (err) {
+      console.error(`Erro ao estornar estoque da nota ${nota.numero}:`, err);
+    }
+    try {
+      await cancelarTitulosNota(Model.modelName, nota._id, "Nota cancelada");
+    } catch (err) {
+      console.error(`Erro ao cancelar títulos da nota ${nota.numero}:`, err);
+    }
+    try {
+      await enfileirarPdf(Model, nota, "cancelamento");
+    } catch (err) {
+      console.error(`Erro ao enfileirar PDF cancelado da nota ${nota.numero}:`, err);
+    }
+  }
+
+  return { nota, evento: nota.eventos[nota.eventos.length - 1] };
+}
@@ -0,0 +1,182 @@
+// src/services/exportacao.js
+import { once } from "events";
+import { PassThrough, Readable } from "stream";
+import { pipeline } from "stream/promises";
+import ExcelJS from "exceljs";
+import { ErroRequisicao } from "../utils/erros.js";
+import { decomporChave } from "../utils/chaveAcesso.js";
+
+export const FORMATOS_EXPORTACAO = ["csv", "xlsx"];
+export const NIVEIS_EXPORTACAO = ["nota", "item"];
+
+const docDestinatario = nota => nota.destinatario?.cnpj || nota.destinatario?.cpf;
+const total = campo => nota => nota.totais?.[campo] ?? (campo === "vNF" ? nota.valorTotal : undefined);
+
+// Colunas da exportação com uma linha por nota
+const COLUNAS_NOTA = [
+  { titulo: "Número", valor: nota => nota.numero },
+  { titulo: "Série", valor: nota => nota.chaveNFe && Number(decomporChave(nota.chaveNFe).serie) },
+  { titulo: "Chave de acesso", valor: nota => nota.chaveNFe },
+  { titulo: "Data de emissão", tipo: "data", valor: nota => nota.dataEmissao },
+  { titulo: "Data de autorização", tipo: "data", valor: nota => nota.protocolo?.dataAutorizacao },
+  { titulo: "Situação", valor: nota => nota.status },
+  { titulo: "CNPJ emitente", valor: nota => nota.remetente?.cnpj },
+  { titulo: "Emitente", valor: nota => nota.remetente?.nome },
+  { titulo: "UF emitente", valor: nota => nota.remetente?.endereco?.uf },
+  { titulo: "CNPJ/CPF destinatário", valor: docDestinatario },
+  { titulo: "Destinatário", valor: nota => nota.destinatario?.nome },
+  { titulo: "UF destinatário", valor: nota => nota.destinatario?.endereco?.uf },
+  { titulo: "Valor produtos", tipo: "numero", valor: total("vProd") },
+  { titulo: "Desconto", tipo: "numero", valor: total("vDesc") },
+  { titulo: "Frete", tipo: "numero", valor: total("vFrete") },
+  { titulo: "Seguro", tipo: "numero", valor: total("vSeg") },
+  { titulo: "Outras despesas", tipo: "numero", valor: total("vOutro") },
+  { titulo: "Base ICMS", tipo: "numero", valor: total("vBC") },
+  { titulo: "ICMS", tipo: "numero", valor: total("vICMS") },
+  { titulo: "Base ICMS ST", tipo: "numero", valor: total("vBCST") },
+  { titulo: "ICMS ST", tipo: "numero", valor: total("vST") },
+  { titulo: "IPI", tipo: "numero", valor: total("vIPI") },
+  { titulo: "PIS", tipo: "numero", valor: total("vPIS") },
+  { titulo: "COFINS", tipo: "numero", valor: total("vCOFINS") },
+  { titulo: "Valor total", tipo: "numero", valor: total("vNF") }
+];
+
+// Colunas da exportação com uma linha por item; recebem { nota, item }
+const COLUNAS_ITEM = [
+  { titulo: "Número", valor: ({ nota }) => nota.numero },
+  { titulo: "Chave de acesso", valor: ({ nota }) => nota.chaveNFe },
+  { titulo: "Data de emissão", tipo: "data", valor: ({ nota }) => nota.dataEmissao },
+  { titulo: "Situação", valor: ({ nota }) => nota.status },
+  { titulo: "CNPJ emitente", valor: ({ nota }) => nota.remetente?.cnpj },
+  { titulo: "CNPJ/CPF destinatário", valor: ({ nota }) => docDestinatario(nota) },
+  { titulo: "Item", tipo: "numero", valor: ({ item }) => item.nItem },
+  { titulo: "Código", valor: ({ item }) => item.cProd },
+  { titulo: "Descrição", valor: ({ item }) => item.xProd },
+  { titulo: "NCM", valor: ({ item }) => item.NCM },
+  { titulo: "CFOP", valor: ({ item }) => item.CFOP },
+  { titulo: "Unidade", valor: ({ item }) => item.uCom },
+  { titulo: "Quantidade", tipo: "numero", valor: ({ item }) => item.qCom },
+  { titulo: "Valor unitário", tipo: "numero", valor: ({ item }) => item.vUnCom },
+  { titulo: "Valor produto", tipo: "numero", valor: ({ item }) => item.vProd },
+  { titulo: "Desconto", tipo: "numero", valor: ({ item }) => item.vDesc },
+  { titulo: "CST/CSOSN ICMS", valor: ({ item }) => item.impostos?.icms?.cst || item.impostos?.icms?.csosn },
+  { titulo: "Base ICMS", tipo: "numero", valor: ({ item }) => item.impostos?.icms?.vBC },
+  { titulo: "Alíquota ICMS", tipo: "numero", valor: ({ item }) => item.impostos?.icms?.pICMS },
+  { titulo: "ICMS", tipo: "numero", valor: ({ item }) => item.impostos?.icms?.vICMS },
+  { titulo: "ICMS ST", tipo: "numero", valor: ({ item }) => item.impostos?.icms?.vICMSST },
+  { titulo: "IPI", tipo: "numero", valor: ({ item }) => item.impostos?.ipi?.vIPI },
+  { titulo: "PIS", tipo: "numero", valor: ({ item }) => item.impostos?.pis?.valor },
+  { titulo: "COFINS", tipo: "numero", valor: ({ item }) => item.impostos?.cofins?.valor }
+];
+
+// Campos lidos do banco (o xmlTexto fica de fora para não pesar na exportação)
+const CAMPOS_EXPORTACAO = "-xmlTexto -eventos.xmlTexto -produtos";
+
+// CSV no padrão do Excel brasileiro: separador ";" e vírgula decimal
+function celulaCsv(coluna, valor) {
+  if (valor === undefined || valor === null) return "";
+  if (coluna.tipo === "numero") return String(valor).replace(".", ",");
+  if (coluna.tipo === "data") return new Date(valor).toISOString();
+  const texto = String(valor);
+  return /[";\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function celulaXlsx(coluna, valor) {
+  if (valor === undefined || valor === null) return null;
+  if (coluna.tipo === "data") return new Date(valor);
+  return valor;
+}
+
+// Gera as linhas de uma nota conforme o nível da exportação
+function* linhasDaNota(nota, nivel) {
+  if (nivel === "nota") {
+    yield nota;
+    return;
+  }
+  for (const item of nota.itens || []) {
+    yield { nota, item };
+  }
+}
+
+export function validarOpcoesExportacao({ formato = "csv", nivel = "nota" } = {}) {
+  if (!FORMATOS_EXPORTACAO.includes(formato)) {
+    throw new ErroRequisicao(400, `formato deve ser um de: ${FORMATOS_EXPORTACAO.join(", ")}.`);
+  }
+  if (!NIVEIS_EXPORTACAO.includes(nivel)) {
+    throw new ErroRequisicao(400, `nivel deve ser um de: ${NIVEIS_EXPORTACAO.join(", ")}.`);
+  }
+  return { formato, nivel };
+}
+
+// Linhas do CSV: cabeçalho com BOM (para o Excel reconhecer UTF-8) e uma linha por nota ou item
+async function* linhasCsv(cursor, colunas, nivel) {
+  yield "\uFEFF" + colunas.map(c => celulaCsv({}, c.titulo)).join(";") + "\r\n";
+  for await (const nota of cursor) {
+    for (const linha of linhasDaNota(nota, nivel)) {
+      yield colunas.map(c => celulaCsv(c, c.valor(linha))).join(";") + "\r\n";
+    }
+  }
+}
+
+async function exportarXlsx(cursor, colunas, nivel, destino) {
+  const saida = new PassThrough();
+  const envio = pipeline(saida, destino);
+  // O envio só termina antes da planilha se o destino for fechado (cliente desconectou)
+  let erroEnvio;
+  envio.catch(err => { erroEnvio = err; });
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: saida, useStyles: true });
+  const planilha = workbook.addWorksheet(nivel === "nota" ? "Notas" : "Itens");
+  planilha.columns = colunas.map(c => ({
+    header: c.titulo,
+    width: c.tipo === "numero" ? 14 : 24,
+    style: c.tipo === "data" ? { numFmt: "dd/mm/yyyy hh:mm" } : undefined
+  }));
+  for await (const nota of cursor) {
+    if (erroEnvio) throw erroEnvio;
+    for (const linha of linhasDaNota(nota, nivel)) {
+      planilha.addRow(colunas.map(c => celulaXlsx(c, c.valor(linha)))).commit();
+    }
+    // Respeita o backpressure do destino; o erro do envio interrompe a leitura do cursor
+    if (saida.writableNeedDrain) {
+      await Promise.race([once(saida, "drain"), envio]);
+    }
+  }
+  planilha.commit();
+  await workbook.commit();
+  await envio;
+}
+
+/**
+ * Exporta as notas do filtro em streaming para o destino (ex.: res do Express)
+ * - formato: "csv" ou "xlsx"
+ * - nivel: "nota" (uma linha por nota) ou "item" (uma linha por item)
+ * - ordenacao: { sort, collation } de montarOrdenacao
+ * As notas são lidas por cursor, sem carregar a coleção inteira em memória. Se o destino
+ * for fechado no meio (cliente desconectou), a exportação é rejeitada e o cursor, fechado.
+ */
+export async function exportarNotas(Model, filtro, ordenacao, { formato, nivel }, destino) {
+  const colunas = nivel === "nota" ? COLUNAS_NOTA : COLUNAS_ITEM;
+  const cursor = Model.find(filtro).select(CAMPOS_EXPORTACAO).sort(ordenacao.sort).collation(ordenacao.collation).lean().cursor();
+
+  try {
+    if (formato === "xlsx") {
+      await exportarXlsx(cursor, colunas, nivel, destino);
+    } else {
+      await pipeline(Readable.from(linhasCsv(cursor, colunas, nivel)), destino);
+    }
+  } finally {
+    await cursor.close();
+  }
+}
+
+// Content-Type e nome do arquivo para o cabeçalho da resposta
+export function cabecalhosExportacao(prefixo, { formato, nivel }) {
+  const data = new Date().toISOString().substring(0, 10);
+  return {
+    "Content-Type": formato === "xlsx"
+      ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      : "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${prefixo}-${nivel}s-${data}.${formato}"`
+  };
+}
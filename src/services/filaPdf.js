@@ -0,0 +1,183 @@
+// src/services/filaPdf.js
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { TarefaPdf } from "../models/TarefaPdf.js";
+import { ROTAS_IMPORTACAO } from "./classificacao.js";
+import { danfeSemTarja, regerarPdfNota } from "./pdf.js";
+import { marcarEvento } from "./webhooks.js";
+
+const MODELOS = { Nota, NotaCompra };
+
+const INTERVALO_FILA = 5000;
+const ATRASO_INICIAL = 30 * 1000;
+const ATRASO_MAXIMO = 60 * 60 * 1000;
+// Tarefa em "processando" há mais tempo que isso ficou presa numa queda do processo
+const TEMPO_MAXIMO_PROCESSAMENTO = 10 * 60 * 1000;
+
+// Tentativas antes de a tarefa falhar de vez (PDF_MAX_TENTATIVAS, padrão 5)
+export function maxTentativasPdf() {
+  const tentativas = Number(process.env.PDF_MAX_TENTATIVAS);
+  return tentativas > 0 ? tentativas : 5;
+}
+
+// Espera antes da próxima tentativa: 30s, 1min, 2min, 4min... até 1h
+export function atrasoTentativa(tentativas) {
+  return Math.min(ATRASO_INICIAL * 2 ** Math.max(tentativas - 1, 0), ATRASO_MAXIMO);
+}
+
+/**
+ * Coloca a geração do DANFE da nota na fila e marca o PDF da nota como pendente
+ * - A nota tem uma única tarefa: um novo pedido reinicia as tentativas da anterior
+ * - O PDF atual (se houver) só é substituído quando o novo ficar pronto
+ * Retorna a tarefa.
+ */
+export async function enfileirarPdf(Model, nota, motivo) {
+  const agora = new Date();
+  await Model.updateOne({ _id: nota._id }, { $set: { pdfStatus: "pendente" }, $unset: { pdfErro: "" } })
+    .setOptions({ comExcluidas: true });
+  nota.pdfStatus = "pendente";
+  nota.pdfErro = undefined;
+
+  return TarefaPdf.findOneAndUpdate(
+    { colecao: Model.modelName, notaId: nota._id },
+    {
+      $set: {
+        empresa: nota.empresa,
+        numero: nota.numero,
+        motivo,
+        status: "pendente",
+        tentativas: 0,
+        maxTentativas: maxTentativasPdf(),
+        proximaTentativa: agora,
+        atualizadoEm: agora
+      },
+      $unset: { erro: "", iniciadaEm: "", concluidaEm: "" },
+      $setOnInsert: { criadoEm: agora }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Recoloca na fila todas as tarefas que falharam na empresa
+ * Retorna a quantidade reenfileirada.
+ */
+export async function reenfileirarFalhas(empresa) {
+  const tarefas = await TarefaPdf.find({ empresa, status: "falhou" }).select("colecao notaId");
+  if (tarefas.length === 0) return 0;
+
+  const agora = new Date();
+  await TarefaPdf.updateMany(
+    { _id: { $in: tarefas.map(t => t._id) }, status: "falhou" },
+    {
+      $set: { motivo: "reprocessamento", status: "pendente", tentativas: 0, maxTentativas: maxTentativasPdf(), proximaTentativa: agora, atualizadoEm: agora },
+      $unset: { erro: "", iniciadaEm: "", concluidaEm: "" }
+    }
+  );
+  for (const [colecao, Model] of Object.entries(MODELOS)) {
+    const ids = tarefas.filter(t => t.colecao === colecao).map(t => t.notaId);
+    if (ids.length === 0) continue;
+    await Model.updateMany({ _id: { $in: ids } }, { $set: { pdfStatus: "pendente" }, $unset: { pdfErro: "" } });
+  }
+  return tarefas.length;
+}
+
+/**
+ * Pega a próxima tarefa vencida e gera o DANFE
+ * - A tarefa é reservada de forma atômica: várias instâncias podem processar a mesma fila
+ * - Na falha, volta para a fila com backoff; esgotadas as tentativas, a tarefa e a nota
+ *   ficam como "falhou" com o erro
+ * - Se a nota foi reenfileirada durante o processamento, o resultado é descartado e ela roda de novo
+ * - Nota apagada ou na lixeira: a tarefa é descartada (a restauração enfileira de novo)
+ * - O webhook nota.pdf_pronto, com o caminho para baixar o DANFE, é gravado na nota junto com o PDF
+ *   e retirado se o resultado for descartado ou der erro (NFC-e cancelada não tem DANFE nem webhook)
+ * Retorna a tarefa processada ou null se a fila está vazia.
+ */
+export async function processarProximaTarefa() {
+  const agora = new Date();
+  const tarefa = await TarefaPdf.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pendente", proximaTentativa: { $lte: agora } },
+        { status: "processando", iniciadaEm: { $lte: new Date(agora.getTime() - TEMPO_MAXIMO_PROCESSAMENTO) } }
+      ]
+    },
+    { $set: { status: "processando", iniciadaEm: agora, atualizadoEm: agora }, $inc: { tentativas: 1 } },
+    { sort: { proximaTentativa: 1 }, new: true }
+  );
+  if (!tarefa) return null;
+
+  // Só altera a tarefa se ninguém a reenfileirou enquanto o PDF era gerado
+  const reservada = { _id: tarefa._id, status: "processando", tentativas: tarefa.tentativas };
+  const Model = MODELOS[tarefa.colecao];
+  const nota = await Model.findById(tarefa.notaId);
+  if (!nota) {
+    await TarefaPdf.deleteOne(reservada);
+    return tarefa;
+  }
+
+  // Sai com o save() de regerarPdfNota
+  const marcador = danfeSemTarja(nota) ? null : marcarEvento(nota, "nota.pdf_pronto", {
+    motivo: tarefa.motivo,
+    pdf: `${ROTAS_IMPORTACAO[tarefa.colecao]}/${nota._id}/pdf`
+  });
+  const semWebhook = marcador ? { $pull: { webhooksPendentes: { id: marcador.id } } } : {};
+
+  try {
+    await regerarPdfNota(nota);
+    const { modifiedCount } = await TarefaPdf.updateOne(reservada, {
+      $set: { status: "concluida", concluidaEm: new Date(), atualizadoEm: new Date() },
+      $unset: { erro: "" }
+    });
+    if (modifiedCount === 0) {
+      await Model.updateOne({ _id: nota._id }, { $set: { pdfStatus: "pendente" }, ...semWebhook });
+    }
+  } catch (err) {
+    const falhou = tarefa.tentativas >= tarefa.maxTentativas;
+    console.error(`Erro ao gerar PDF da nota ${tarefa.numero} (tentativa ${tarefa.tentativas}/${tarefa.maxTentativas}):`, err);
+    const { modifiedCount } = await TarefaPdf.updateOne(reservada, {
+      $set: {
+        status: falhou ? "falhou" : "pendente",
+        erro: err.message,
+        proximaTentativa: new Date(Date.now() + atrasoTentativa(tarefa.tentativas)),
+        atualizadoEm: new Date()
+      }
+    });
+    // O save() pode ter gravado o webhook antes do erro
+    await Model.updateOne({ _id: nota._id }, modifiedCount > 0
+      ? { $set: { pdfStatus: falhou ? "falhou" : "pendente", pdfErro: err.message }, ...semWebhook }
+      : semWebhook);
+  }
+  return tarefa;
+}
+
+/**
+ * Processa a fila de PDFs em segundo plano: esvazia as tarefas vencidas e
+ * volta a olhar a fila a cada intervalo, sem segurar o processo aberto
+ * Retorna { parar }, que espera a tarefa em andamento terminar.
+ */
+export function iniciarFilaPdf({ intervalo = INTERVALO_FILA } = {}) {
+  let ativo = true;
+  let timer;
+  let ciclo = Promise.resolve();
+
+  const executar = async () => {
+    try {
+      while (ativo && await processarProximaTarefa());
+    } catch (err) {
+      console.error("Erro ao processar a fila de PDFs:", err);
+    }
+    if (ativo) {
+      timer = setTimeout(() => { ciclo = executar(); }, intervalo).unref();
+    }
+  };
+
+  ciclo = executar();
+  return {
+    async parar() {
+      ativo = false;
+      clearTimeout(timer);
+      await ciclo;
+    }
+  };
+}
@@ -0,0 +1,260 @@
+// src/services/financeiro.js
+import { Titulo } from "../models/Titulo.js";
+import { ErroRequisicao } from "../utils/erros.js";
+
+// Duplicatas de compras viram contas a pagar; as de vendas, contas a receber
+export const COLECAO_PAGAR = "NotaCompra";
+
+const DIA = 24 * 60 * 60 * 1000;
+const arred = numero => Math.round(numero * 100) / 100;
+const MAX_TENTATIVAS_BAIXA = 10;
+
+// Faixas do aging pela diferença em dias entre o vencimento e a data-base
+export const FAIXAS_AGING = [
+  { nome: "vencidoMais90", ate: -91 },
+  { nome: "vencido61a90", ate: -61 },
+  { nome: "vencido31a60", ate: -31 },
+  { nome: "vencido1a30", ate: -1 },
+  { nome: "aVencer7", ate: 7 },
+  { nome: "aVencer30", ate: 30 },
+  { nome: "aVencer60", ate: 60 },
+  { nome: "aVencerMais60", ate: Infinity }
+];
+
+const formatadorData = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "America/Sao_Paulo",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit"
+});
+
+// Data de hoje no fuso de Brasília, à meia-noite UTC (mesmo formato do dVenc)
+export function hoje() {
+  return new Date(`${formatadorData.format(new Date())}T00:00:00.000Z`);
+}
+
+/**
+ * Situação do título na data-base: "pago", "cancelado", "vencido" (aberto
+ * com vencimento anterior à data-base) ou "aberto".
+ */
+export function situacaoTitulo(titulo, dataBase = hoje()) {
+  if (titulo.status !== "aberto") return titulo.status;
+  return titulo.dVenc && titulo.dVenc < dataBase ? "vencido" : "aberto";
+}
+
+// Título com os campos calculados usados nas respostas
+export function resumoTitulo(titulo, dataBase = hoje()) {
+  const dados = typeof titulo.toObject === "function" ? titulo.toObject() : titulo;
+  return {
+    ...dados,
+    saldo: arred(dados.valor - (dados.valorPago || 0)),
+    situacao: situacaoTitulo(dados, dataBase)
+  };
+}
+
+// Condição do MongoDB para ?situacao= (vencido/aberto dependem da data-base)
+export function filtroSituacao(situacao, dataBase = hoje()) {
+  switch (situacao) {
+    case "vencido":
+      return { status: "aberto", dVenc: { $lt: dataBase } };
+    case "aberto":
+      return { status: "aberto", $or: [{ dVenc: { $gte: dataBase } }, { dVenc: null }] };
+    case "pago":
+    case "cancelado":
+      return { status: situacao };
+    default:
+      throw new ErroRequisicao(400, "situacao deve ser um de: aberto, vencido, pago, cancelado.");
+  }
+}
+
+/**
+ * Gera os títulos das duplicatas (cobr/dup) de uma nota importada
+ * - colecao "NotaCompra": a pagar ao emitente
+ * - colecao "Nota": a receber do destinatário
+ * Só para notas autorizadas e sem títulos gerados antes. Retorna os títulos criados.
+ */
+export async function gerarTitulosNota(nota, colecao) {
+  if (nota.status !== "autorizada" || !nota.duplicatas?.length) return [];
+  if (await Titulo.exists({ "origem.colecao": colecao, "origem.notaId": nota._id })) return [];
+
+  const pagar = colecao === COLECAO_PAGAR;
+  // Contraparte: emitente das compras de terceiros; destinatário das vendas e das notas de entrada próprias
+  const participante = pagar && !nota.emissaoPropria
+    ? { documento: nota.remetente?.cnpj, nome: nota.remetente?.nome }
+    : { documento: nota.destinatario?.cnpj || nota.destinatario?.cpf, nome: nota.destinatario?.nome };
+
+  return Titulo.insertMany(nota.duplicatas.map((dup, i) => ({
+    empresa: nota.empresa,
+    tipo: pagar ? "pagar" : "receber",
+    participante,
+    origem: { colecao, notaId: nota._id, numero: nota.numero, chaveNFe: nota.chaveNFe },
+    parcela: i + 1,
+    nDup: dup.nDup,
+    dVenc: dup.dVenc,
+    valor: dup.vDup || 0
+  })));
+}
+
+/**
+ * Cancela os títulos de uma nota (exclusão ou cancelamento da NFE)
+ * Títulos já pagos são mantidos. Retorna a quantidade cancelada.
+ */
+export async function cancelarTitulosNota(colecao, notaId, motivo) {
+  const { modifiedCount } = await Titulo.updateMany(
+    { "origem.colecao": colecao, "origem.notaId": notaId, status: "aberto" },
+    { $set: { status: "cancelado", motivoCancelamento: motivo, atualizadoEm: new Date() } }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Reabre os títulos de uma nota cancelados pelo motivo informado (restauração da lixeira)
+ * Títulos cancelados por outro motivo (ex.: cancelamento da NFE) continuam cancelados.
+ */
+export async function reabrirTitulosNota(colecao, notaId, motivo) {
+  const { modifiedCount } = await Titulo.updateMany(
+    { "origem.colecao": colecao, "origem.notaId": notaId, status: "cancelado", motivoCancelamento: motivo },
+    { $set: { status: "aberto", atualizadoEm: new Date() }, $unset: { motivoCancelamento: "" } }
+  );
+  return modifiedCount;
+}
+
+// Cancela os títulos em aberto de todas as notas da coleção na empresa (exclusão em massa)
+export async function cancelarTitulosColecao(colecao, motivo, empresa) {
+  const { modifiedCount } = await Titulo.updateMany(
+    { empresa, "origem.colecao": colecao, status: "aberto" },
+    { $set: { status: "cancelado", motivoCancelamento: motivo, atualizadoEm: new Date() } }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Registra uma baixa no título
+ * - valor ausente quita o saldo; valor menor que o saldo é baixa parcial
+ * - o título passa a "pago" quando o saldo zera
+ * - A baixa só é gravada se o título continua aberto e com o valorPago lido: outra baixa
+ *   (ou um cancelamento) no meio faz o título ser relido e o saldo conferido de novo,
+ *   então baixas simultâneas não se perdem nem pagam além do valor
+ * Lança ErroRequisicao para título não aberto ou valor inválido.
+ * Retorna o título atualizado.
+ */
+export async function registrarBaixa(titulo, { valor, data, forma, observacao } = {}) {
+  for (let tentativa = 1; ; tentativa++) {
+    if (titulo.status !== "aberto") {
+      throw new ErroRequisicao(409, `Título ${titulo.status}; não aceita baixa.`);
+    }
+
+    const saldo = arred(titulo.valor - titulo.valorPago);
+    const valorBaixa = valor === undefined || valor === null || valor === "" ? saldo : arred(Number(valor));
+    if (!(valorBaixa > 0)) {
+      throw new ErroRequisicao(400, "valor da baixa deve ser maior que zero.");
+    }
+    if (valorBaixa > saldo) {
+      throw new ErroRequisicao(400, `valor da baixa (${valorBaixa}) maior que o saldo do título (${saldo}).`);
+    }
+
+    const dataBaixa = data ? new Date(data) : new Date();
+    if (isNaN(dataBaixa)) {
+      throw new ErroRequisicao(400, "data da baixa inválida.");
+    }
+
+    const valorPago = arred(titulo.valorPago + valorBaixa);
+    const atualizado = await Titulo.findOneAndUpdate(
+      { _id: titulo._id, status: "aberto", valorPago: titulo.valorPago },
+      {
+        $push: { baixas: { data: dataBaixa, valor: valorBaixa, forma, observacao } },
+        $set: { valorPago, status: valorPago >= titulo.valor ? "pago" : "aberto", atualizadoEm: new Date() }
+      },
+      { new: true }
+    );
+    if (atualizado) return atualizado;
+
+    if (tentativa >= MAX_TENTATIVAS_BAIXA) {
+      throw new ErroRequisicao(409, "Título alterado por outra operação ao mesmo tempo; tente novamente.");
+    }
+    titulo = await Titulo.findById(titulo._id);
+    if (!titulo) {
+      throw new ErroRequisicao(404, "Título não encontrado.");
+    }
+  }
+}
+
+function faixaDoTitulo(dVenc, dataBase) {
+  if (!dVenc) return "aVencerMais60";
+  const dias = Math.round((dVenc - dataBase) / DIA);
+  return FAIXAS_AGING.find(f => dias <= f.ate).nome;
+}
+
+function faixasZeradas() {
+  return Object.fromEntries(FAIXAS_AGING.map(f => [f.nome, 0]));
+}
+
+/**
+ * Aging dos títulos em aberto da empresa por participante (CNPJ/CPF)
+ * - Vencidos: 1-30, 31-60, 61-90 e mais de 90 dias
+ * - A vencer: até 7, 8-30, 31-60 e mais de 60 dias
+ * Valores pelo saldo (valor - valorPago). Retorna { participantes, totais }.
+ */
+export async function gerarAging({ empresa, tipo, documento, dataBase = hoje() }) {
+  const filtro = { empresa, tipo, status: "aberto" };
+  if (documento) {
+    filtro["participante.documento"] = documento;
+  }
+
+  const titulos = await Titulo.find(filtro).select("participante dVenc valor valorPago").lean();
+  const porParticipante = new Map();
+  const totais = { saldo: 0, titulos: 0, faixas: faixasZeradas() };
+
+  for (const titulo of titulos) {
+    const chave = titulo.participante?.documento || "não informado";
+    if (!porParticipante.has(chave)) {
+      porParticipante.set(chave, {
+        documento: chave,
+        nome: titulo.participante?.nome,
+        saldo: 0,
+        titulos: 0,
+        faixas: faixasZeradas()
+      });
+    }
+    const grupo = porParticipante.get(chave);
+    const saldo = titulo.valor - (titulo.valorPago || 0);
+    const faixa = faixaDoTitulo(titulo.dVenc, dataBase);
+
+    for (const alvo of [grupo, totais]) {
+      alvo.saldo = arred(alvo.saldo + saldo);
+      alvo.titulos++;
+      alvo.faixas[faixa] = arred(alvo.faixas[faixa] + saldo);
+    }
+  }
+
+  return {
+    participantes: [...porParticipante.values()].sort((a, b) => b.saldo - a.saldo),
+    totais
+  };
+}
+
+/**
+ * Gera os títulos das notas importadas antes do controle financeiro.
+ * Retorna { notas, titulos, falhas }.
+ */
+export async function gerarTitulosPendentes(Model) {
+  let notas = 0;
+  let titulos = 0;
+  const falhas = [];
+  const cursor = Model.find({ status: "autorizada", "duplicatas.0": { $exists: true } })
+    .select("empresa numero chaveNFe status emissaoPropria remetente destinatario duplicatas")
+    .cursor();
+
+  for await (const nota of cursor) {
+    try {
+      const criados = await gerarTitulosNota(nota, Model.modelName);
+      if (criados.length > 0) {
+        notas++;
+        titulos += criados.length;
+      }
+    } catch (err) {
+      falhas.push({ id: nota._id, numero: nota.numero, motivo: err.message });
+    }
+  }
+  return { notas, titulos, falhas };
+}
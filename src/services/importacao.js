@@ -0,0 +1,547 @@
+// src/services/importacao.js
+import AdmZip from "adm-zip";
+import { parseStringPromise } from "xml2js";
+import { Cte } from "../models/Cte.js";
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { ErroImportacao } from "../utils/erros.js";
+import { validarChaveAcesso } from "../utils/chaveAcesso.js";
+import { OPCOES_XML2JS, decodificarXml, extrairElementos, infNFeDoXml, raizDoXml } from "../utils/xml.js";
+import { verificarAssinatura, verificarProtocolo } from "./assinatura.js";
+import { extrairCamposFiscais } from "./camposFiscais.js";
+import { importarCTe, resumoCte } from "./cte.js";
+import { registrarAuditoria } from "./auditoria.js";
+import { ROTAS_IMPORTACAO, classificarNota, ehDevolucao } from "./classificacao.js";
+import { lancarMovimentosNota } from "./estoque.js";
+import { EVENTO_CANCELAMENTO, registrarEvento } from "./eventos.js";
+import { gerarTitulosNota } from "./financeiro.js";
+import { enfileirarPdf } from "./filaPdf.js";
+import { participanteDaNota } from "./participantes.js";
+import { STATUS_SEM_PROTOCOLO, anexarProtocolo } from "./protocolo.js";
+import { validarTotais } from "./validacaoTotais.js";
+import { dispararEvento, marcadorEvento } from "./webhooks.js";
+
+// Coleções de destino da importação unificada, pelo resultado da classificação
+const MODELS_IMPORTACAO = { Nota, NotaCompra };
+
+// Lotes em um único arquivo: elementos de cada documento dentro da raiz
+const LOTES = {
+  enviNFe: ["NFe"],
+  retEnviNFe: ["protNFe"],
+  retConsReciNFe: ["protNFe"],
+  retConsSitNFe: ["protNFe", "procEventoNFe"]
+};
+
+// Helper para extrair chave da NFE do XML
+export function extrairChaveNFe(infNFe) {
+  // A chave pode estar em infNFe.$.Id ou infNFe.id
+  const id = infNFe.$ ? infNFe.$.Id : infNFe.id;
+  if (id && id.startsWith('NFe')) {
+    return id.substring(3); // Remove 'NFe' do início
+  }
+  return id;
+}
+
+// Resumo da nota usado nas respostas de conflito (409)
+function resumoNotaExistente(nota) {
+  return {
+    id: nota._id,
+    numero: nota.numero,
+    modelo: nota.modelo,
+    serie: nota.serie,
+    emitente: nota.remetente?.cnpj || nota.remetente?.cpf,
+    chaveNFe: nota.chaveNFe,
+    criadoEm: nota.criadoEm,
+    naLixeira: Boolean(nota.excluidaEm)
+  };
+}
+
+// Identidade fiscal da nota além da chave: modelo + série + número + documento do emitente
+function filtroIdentidadeFiscal(dados) {
+  return {
+    modelo: dados.modelo,
+    serie: dados.serie,
+    numero: dados.numero,
+    "remetente.cnpj": dados.remetente.cnpj ?? null,
+    "remetente.cpf": dados.remetente.cpf ?? null
+  };
+}
+
+// Descrição da colisão para as respostas 409: qual identidade já existe na empresa
+function colisaoIdentidade(criterio, dados, notaExistente) {
+  if (criterio === "chaveNFe") {
+    return {
+      mensagem: `NFE com chave ${dados.chaveNFe} já foi importada.`,
+      colisao: { criterio, chaveNFe: dados.chaveNFe }
+    };
+  }
+  const emitente = dados.remetente.cnpj || dados.remetente.cpf;
+  return {
+    mensagem: `NFE modelo ${dados.modelo}, série ${dados.serie}, número ${dados.numero} do emitente ${emitente} já foi importada${notaExistente ? ` com a chave ${notaExistente.chaveNFe}` : ""}.`,
+    colisao: { criterio: "modelo+serie+numero+emitente", modelo: dados.modelo, serie: dados.serie, numero: dados.numero, emitente }
+  };
+}
+
+// Monta o documento da nota a partir do infNFe já parseado
+export function montarDadosNota(infNFe, xml) {
+  return {
+    numero: infNFe.ide.nNF,
+    modelo: infNFe.ide.mod,
+    serie: infNFe.ide.serie !== undefined ? String(Number(infNFe.ide.serie)) : undefined,
+    chaveNFe: extrairChaveNFe(infNFe),
+    dataEmissao: infNFe.ide.dhEmi,
+    finalidade: infNFe.ide.finNFe,
+    devolucao: ehDevolucao(infNFe),
+    remetente: {
+      nome: infNFe.emit.xNome,
+      cnpj: infNFe.emit.CNPJ,
+      cpf: infNFe.emit.CPF,
+      endereco: {
+        logradouro: infNFe.emit.enderEmit?.xLgr,
+        numero: infNFe.emit.enderEmit?.nro,
+        bairro: infNFe.emit.enderEmit?.xBairro,
+        municipio: infNFe.emit.enderEmit?.xMun,
+        uf: infNFe.emit.enderEmit?.UF,
+        cep: infNFe.emit.enderEmit?.CEP
+      }
+    },
+    destinatario: {
+      nome: infNFe.dest?.xNome,
+      cnpj: infNFe.dest?.CNPJ,
+      cpf: infNFe.dest?.CPF,
+      endereco: {
+        logradouro: infNFe.dest?.enderDest?.xLgr,
+        numero: infNFe.dest?.enderDest?.nro,
+        bairro: infNFe.dest?.enderDest?.xBairro,
+        municipio: infNFe.dest?.enderDest?.xMun,
+        uf: infNFe.dest?.enderDest?.UF,
+        cep: infNFe.dest?.enderDest?.CEP
+      }
+    },
+    transportadora: infNFe.transp || null,
+    produtos: Array.isArray(infNFe.det)
+      ? infNFe.det.map(d => d.prod)
+      : [infNFe.det.prod],
+    valorTotal: parseFloat(infNFe.total.ICMSTot.vNF),
+    ...extrairCamposFiscais(infNFe),
+    xmlTexto: xml
+  };
+}
+
+export async function lerXml(xml) {
+  try {
+    return await parseStringPromise(xml, OPCOES_XML2JS);
+  } catch (err) {
+    throw new ErroImportacao(400, "XML malformado: " + err.message);
+  }
+}
+
+/**
+ * Separa um XML nos documentos que ele contém
+ * - enviNFe (lote de envio): uma NFe por documento
+ * - retEnviNFe e retConsReciNFe (retornos da SEFAZ): um protNFe por documento
+ * - retConsSitNFe (consulta situação): o protNFe e os procEventoNFe
+ * - Demais XMLs (nfeProc, NFe, protNFe, procEventoNFe, cteProc) são um documento só
+ * Lança ErroImportacao (400) para XML malformado ou lote vazio.
+ */
+export function separarDocumentos(xml) {
+  const raiz = raizDoXml(xml);
+  if (!LOTES[raiz]) return [xml];
+
+  const documentos = LOTES[raiz].flatMap(nome => extrairElementos(xml, nome));
+  if (documentos.length === 0) {
+    throw new ErroImportacao(400, `Lote ${raiz} não possui documentos (${LOTES[raiz].join(", ")}).`);
+  }
+  return documentos;
+}
+
+/**
+ * Importa um XML de NFE para o model informado (Nota ou NotaCompra)
+ * - Valida a estrutura do XML: nfeProc ou NFe assinada sem protocolo
+ * - Sem protNFe, a nota fica "sem_protocolo": sem estoque, títulos e DANFE até o protocolo ser vinculado
+ * - Classifica a nota pela empresa selecionada (venda, compra, devolução ou de terceiros);
+ *   sem ModelRota, usa a coleção da classificação; com ModelRota, rejeita a nota da outra coleção
+ * - Verifica duplicidade dentro da empresa pela chave e por modelo + série + número + emitente
+ * - Confere os totais com os itens: grava as advertências ou rejeita (bloquearTotaisDivergentes)
+ * - Atualiza o cadastro do participante e referencia na nota
+ * - Salva a nota, lança estoque e títulos financeiros e enfileira a geração do PDF (só autorizadas)
+ * Lança ErroImportacao quando a nota é rejeitada ou duplicada.
+ */
+async function importarNFe(ModelRota, parsedXml, xml, empresa) {
+  // Verifica se o XML tem a estrutura esperada
+  const infNFe = infNFeDoXml(parsedXml);
+  if (!infNFe) {
+    throw new ErroImportacao(400, "XML não possui estrutura válida de NFE (nfeProc, NFe ou enviNFe).");
+  }
+
+  const numero = infNFe.ide?.nNF;
+  const chaveNFe = extrairChaveNFe(infNFe);
+
+  if (!numero || !chaveNFe) {
+    throw new ErroImportacao(400, "Não foi possível extrair número ou chave da NFE do XML.");
+  }
+
+  // Valida estrutura, dígito verificador e consistência da chave com ide/emit
+  const inconsistencias = validarChaveAcesso(chaveNFe, infNFe);
+  if (inconsistencias.length > 0) {
+    throw new ErroImportacao(422, "Chave de acesso inválida ou inconsistente com o XML.", { inconsistencias });
+  }
+
+  // Confere a assinatura digital e, quando presente, o protocolo de autorização da SEFAZ
+  const assinatura = verificarAssinatura(xml, `NFe${chaveNFe}`, infNFe.ide.dhEmi);
+  if (assinatura.erros.length > 0) {
+    throw new ErroImportacao(422, "Assinatura digital da NFE inválida.", { inconsistencias: assinatura.erros });
+  }
+  const protNFe = parsedXml.nfeProc?.protNFe;
+  const autorizacao = protNFe ? verificarProtocolo(protNFe, chaveNFe, assinatura.digestValue) : null;
+  if (autorizacao?.erros.length > 0) {
+    throw new ErroImportacao(422, "NFE sem autorização de uso válida.", { inconsistencias: autorizacao.erros });
+  }
+
+  const classificacao = await classificarNota(infNFe, empresa);
+  if (ModelRota && ModelRota.modelName !== classificacao.colecao) {
+    throw new ErroImportacao(422,
+      `NFE classificada como ${classificacao.tipo} (${classificacao.motivo}) enviada para ${ROTAS_IMPORTACAO[ModelRota.modelName]}; ` +
+      `envie para ${ROTAS_IMPORTACAO[classificacao.colecao]} ou para /api/importacao.`,
+      { classificacao });
+  }
+  const Model = MODELS_IMPORTACAO[classificacao.colecao];
+
+  const dados = montarDadosNota(infNFe, xml);
+
+  // Verifica duplicidade pela chave e pela identidade fiscal (mesma nota com outra chave),
+  // inclusive na lixeira: a nota excluída ainda pode ser restaurada
+  for (const [criterio, filtro] of [["chaveNFe", { chaveNFe }], ["identidade", filtroIdentidadeFiscal(dados)]]) {
+    const notaExistente = await Model.findOne({ empresa: empresa._id, ...filtro }).setOptions({ comExcluidas: true });
+    if (notaExistente) {
+      const { mensagem, colisao } = colisaoIdentidade(criterio, dados, notaExistente);
+      throw new ErroImportacao(409,
+        notaExistente.excluidaEm ? `${mensagem} A nota está na lixeira e pode ser restaurada.` : mensagem,
+        { colisao, notaExistente: resumoNotaExistente(notaExistente) });
+    }
+  }
+
+  // Recalcula os totais a partir dos itens; a empresa pode exigir que confiram
+  const advertencias = validarTotais(dados);
+  if (advertencias.length > 0 && empresa.bloquearTotaisDivergentes) {
+    throw new ErroImportacao(422, "Totais da NFE não conferem com os itens.", { advertencias });
+  }
+
+  // Atualiza o cadastro do cliente (vendas) ou fornecedor (compras)
+  let participante;
+  try {
+    participante = await participanteDaNota(infNFe, Model.modelName, empresa._id);
+  } catch (err) {
+    console.error(`Erro ao registrar participante da nota ${numero}:`, err);
+  }
+
+  // Cria a nova nota
+  const nota = new Model({
+    ...dados,
+    empresa: empresa._id,
+    emissaoPropria: classificacao.emissaoPropria, // Só existe em NotaCompra; em Nota é sempre própria
+    participante,
+    protocolo: autorizacao?.protocolo,
+    certificado: assinatura.certificado,
+    advertencias,
+    status: autorizacao ? "autorizada" : STATUS_SEM_PROTOCOLO,
+    pdfStatus: autorizacao ? "pendente" : undefined,
+    // Gravado junto com a nota: o webhook sai mesmo se o processo cair logo depois
+    webhooksPendentes: [marcadorEvento("nota.importada", { classificacao: classificacao.tipo })]
+  });
+  try {
+    await nota.save();
+  } catch (err) {
+    // Importação simultânea da mesma nota: o índice único decide
+    if (err.code === 11000) {
+      const { mensagem, colisao } = colisaoIdentidade(err.keyPattern?.chaveNFe ? "chaveNFe" : "identidade", dados);
+      throw new ErroImportacao(409, mensagem, { colisao });
+    }
+    throw err;
+  }
+
+  // Lança entradas (compras) ou saídas (vendas) no estoque
+  try {
+    await lancarMovimentosNota(nota, Model.modelName);
+  } catch (err) {
+    console.error(`Erro ao lançar estoque da nota ${numero}:`, err);
+  }
+
+  // Duplicatas viram contas a pagar (compras) ou a receber (vendas)
+  try {
+    await gerarTitulosNota(nota, Model.modelName);
+  } catch (err) {
+    console.error(`Erro ao gerar títulos da nota ${numero}:`, err);
+  }
+
+  // O DANFE é gerado pela fila de PDFs; a nota fica com pdfStatus "pendente" até lá.
+  // Sem protocolo, o DANFE espera a autorização (anexarProtocolo)
+  if (autorizacao) {
+    try {
+      await enfileirarPdf(Model, nota, "importacao");
+    } catch (err) {
+      console.error(`Erro ao enfileirar PDF da nota ${numero}:`, err);
+    }
+  }
+
+  return { nota, classificacao };
+}
+
+// Coleção da nota já importada com a chave (eventos e protocolos na importação unificada)
+async function colecaoDaChave(Model, empresa, chaveNFe) {
+  if (Model) return Model;
+  return await NotaCompra.exists({ empresa: empresa._id, chaveNFe }) ? NotaCompra : Nota;
+}
+
+/**
+ * Importa um documento XML recebido pelas rotas de upload na empresa informada
+ * - procEventoNFe: registra o evento (cancelamento/CC-e) na nota existente
+ * - nfeProc: importa uma nova nota (NF-e modelo 55 ou NFC-e modelo 65)
+ * - NFe sem protocolo (ou enviNFe com uma NFe): importa a nota como "sem_protocolo"
+ * - protNFe (ou nfeProc de nota importada sem protocolo): vincula o protocolo à nota existente
+ * - cteProc: importa um CT-e (só na importação unificada ou com Model Cte)
+ * Lotes com vários documentos (ver separarDocumentos) são rejeitados: vão pela importação em lote.
+ * Model null (importação unificada) decide a coleção pela classificação da nota
+ * ou, nos eventos e protocolos, pela coleção em que a chave já foi importada.
+ * contexto (contextoAuditoria) identifica o autor na trilha de auditoria.
+ * Dispara os webhooks nota.importada, nota.duplicada (conflito 409) e nota.cancelada.
+ * Retorna { tipo: "nota", nota, classificacao }, { tipo: "evento", nota, evento },
+ * { tipo: "protocolo", nota, protocolo } ou { tipo: "cte", cte }.
+ */
+export async function importarDocumento(Model, xmlRecebido, empresa, contexto) {
+  const documentos = separarDocumentos(decodificarXml(xmlRecebido));
+  if (documentos.length > 1) {
+    throw new ErroImportacao(400,
+      `Lote com ${documentos.length} documentos: envie pela importação em lote (/lote), que importa um por um.`,
+      { documentos: documentos.length });
+  }
+  const [xml] = documentos;
+  const parsedXml = await lerXml(xml);
+
+  // CT-e e NF-e têm rotas próprias; a importação unificada aceita os dois
+  const ehCte = Boolean(parsedXml?.cteProc);
+  if (Model && (Model === Cte) !== ehCte) {
+    throw new ErroImportacao(422, ehCte
+      ? `CT-e enviado para ${ROTAS_IMPORTACAO[Model.modelName]}; envie para /api/ctes ou para /api/importacao.`
+      : "Documento não é um CT-e (cteProc); envie NF-e e eventos para /api/notas, /api/notasCompra ou /api/importacao.");
+  }
+
+  if (ehCte) {
+    const { cte, papel } = await importarCTe(parsedXml, xml, empresa);
+    await registrarAuditoria({
+      empresa: empresa._id,
+      acao: "importacao",
+      colecao: "Cte",
+      nota: { _id: cte._id, numero: cte.numero, chaveNFe: cte.chaveCTe },
+      descricao: `CT-e ${cte.numero} importado (empresa ${papel}).`,
+      detalhes: { papel, valorPrestacao: cte.valorPrestacao, chavesNFe: cte.chavesNFe }
+    }, contexto);
+    return { tipo: "cte", cte };
+  }
+
+  if (parsedXml?.procEventoNFe) {
+    const chNFe = parsedXml.procEventoNFe.evento?.infEvento?.chNFe;
+    const ModelEvento = await colecaoDaChave(Model, empresa, chNFe);
+    const { nota, evento } = await registrarEvento(ModelEvento, parsedXml.procEventoNFe, xml, empresa);
+    const cancelamento = evento.tpEvento === EVENTO_CANCELAMENTO;
+    await registrarAuditoria({
+      empresa: empresa._id,
+      acao: cancelamento ? "alteracao_status" : "evento",
+      colecao: ModelEvento.modelName,
+      nota,
+      descricao: cancelamento ? `Nota ${nota.numero} cancelada.` : `${evento.descricao} registrada na nota ${nota.numero}.`,
+      detalhes: { tpEvento: evento.tpEvento, nSeqEvento: evento.nSeqEvento, protocolo: evento.protocolo, status: nota.status }
+    }, contexto);
+    return { tipo: "evento", nota, evento };
+  }
+
+  // Protocolo avulso, ou nfeProc completo de uma nota que entrou sem protocolo
+  const protNFe = parsedXml?.protNFe || parsedXml?.nfeProc?.protNFe;
+  if (protNFe) {
+    const chNFe = protNFe.infProt?.chNFe;
+    const ModelProtocolo = await colecaoDaChave(Model, empresa, chNFe);
+    if (parsedXml.protNFe || await ModelProtocolo.exists({ empresa: empresa._id, chaveNFe: chNFe, status: STATUS_SEM_PROTOCOLO })) {
+      const [xmlProtNFe] = parsedXml.protNFe ? [xml] : extrairElementos(xml, "protNFe");
+      const { nota, protocolo } = await anexarProtocolo(ModelProtocolo, protNFe, xmlProtNFe, empresa);
+      await registrarAuditoria({
+        empresa: empresa._id,
+        acao: "alteracao_status",
+        colecao: ModelProtocolo.modelName,
+        nota,
+        descricao: `Protocolo de autorização ${protocolo.numero} vinculado à nota ${nota.numero}.`,
+        detalhes: { protocolo: protocolo.numero, cStat: protocolo.cStat, status: nota.status }
+      }, contexto);
+      return { tipo: "protocolo", nota, protocolo };
+    }
+  }
+
+  let importada;
+  try {
+    importada = await importarNFe(Model, parsedXml, xml, empresa);
+  } catch (err) {
+    // Nada foi gravado: o evento vai direto para a caixa de saída, e um erro ao gravá-lo
+    // faz a importação falhar para ser repetida
+    if (err instanceof ErroImportacao && err.status === 409) {
+      await dispararEvento(empresa._id, "nota.duplicada", { motivo: err.message, ...err.extras });
+    }
+    throw err;
+  }
+  const { nota, classificacao } = importada;
+  await registrarAuditoria({
+    empresa: empresa._id,
+    acao: "importacao",
+    colecao: nota.constructor.modelName,
+    nota,
+    descricao: `Nota ${nota.numero} importada como ${classificacao.tipo}` +
+      `${nota.status === STATUS_SEM_PROTOCOLO ? " (sem protocolo de autorização)" : ""}.`,
+    detalhes: { classificacao: classificacao.tipo, devolucao: nota.devolucao, valorTotal: nota.valorTotal, status: nota.status }
+  }, contexto);
+  return { tipo: "nota", nota, classificacao };
+}
+
+// Resumo da nota importada usado nas respostas de sucesso
+export function resumoNotaImportada(nota) {
+  return {
+    id: nota._id,
+    tipo: nota.constructor.modelName === "NotaCompra" ? "compra" : "venda",
+    devolucao: nota.devolucao,
+    numero: nota.numero,
+    chaveNFe: nota.chaveNFe,
+    valorTotal: nota.valorTotal,
+    remetente: nota.remetente.nome,
+    destinatario: nota.destinatario.nome,
+    status: nota.status,
+    pdfStatus: nota.pdfStatus,
+    advertencias: nota.advertencias,
+    criadoEm: nota.criadoEm
+  };
+}
+
+// Resumo do evento registrado (sem o XML)
+export function resumoEvento(evento) {
+  return {
+    tpEvento: evento.tpEvento,
+    descricao: evento.descricao,
+    nSeqEvento: evento.nSeqEvento,
+    dataEvento: evento.dataEvento,
+    protocolo: evento.protocolo
+  };
+}
+
+function ehZip(arquivo) {
+  return arquivo.mimetype === "application/zip" ||
+    arquivo.mimetype === "application/x-zip-compressed" ||
+    arquivo.originalname?.toLowerCase().endsWith(".zip");
+}
+
+// Entradas de um XML: o próprio documento ou, nos lotes, um por documento (nome#1, nome#2...)
+function entradasDoXml(nome, conteudo) {
+  try {
+    const documentos = separarDocumentos(decodificarXml(conteudo));
+    if (documentos.length === 1) return [{ nome, xml: documentos[0] }];
+    return documentos.map((xml, i) => ({ nome: `${nome}#${i + 1}`, xml }));
+  } catch (err) {
+    return [{ nome, erro: err.message }];
+  }
+}
+
+/**
+ * Expande os arquivos enviados em uma lista de { nome, xml }
+ * - Arquivos .zip são abertos e cada .xml interno vira uma entrada
+ * - Demais arquivos são tratados como XML, lidos pela codificação declarada
+ * - Lotes (enviNFe, retornos com vários protNFe) viram uma entrada por documento
+ * ZIPs ilegíveis e XMLs malformados viram uma entrada com "erro" para constar no relatório.
+ */
+export function expandirArquivos(arquivos = []) {
+  const entradas = [];
+  for (const arquivo of arquivos) {
+    if (!ehZip(arquivo)) {
+      entradas.push(...entradasDoXml(arquivo.originalname, arquivo.buffer));
+      continue;
+    }
+    try {
+      const zip = new AdmZip(arquivo.buffer);
+      for (const entry of zip.getEntries()) {
+        const nome = entry.entryName;
+        if (entry.isDirectory || nome.startsWith("__MACOSX/")) continue;
+        if (!nome.toLowerCase().endsWith(".xml")) continue;
+        entradas.push(...entradasDoXml(`${arquivo.originalname}/${nome}`, entry.getData()));
+      }
+    } catch (err) {
+      entradas.push({ nome: arquivo.originalname, erro: "ZIP inválido: " + err.message });
+    }
+  }
+  return entradas;
+}
+
+/**
+ * Importa um arquivo XML e descreve o resultado em vez de lançar erro:
+ * importada, evento (registrado em nota existente), protocolo (vinculado a nota sem
+ * protocolo), duplicada (com notaExistente) ou rejeitada (com o motivo).
+ * Usado pelo lote e pelo monitor de pastas.
+ */
+export async function importarArquivo(Model, nome, xml, empresa, contexto) {
+  try {
+    const resultado = await importarDocumento(Model, xml, empresa, contexto);
+    if (resultado.tipo === "evento") {
+      return { arquivo: nome, status: "evento", nota: resumoNotaImportada(resultado.nota), evento: resumoEvento(resultado.evento) };
+    }
+    if (resultado.tipo === "protocolo") {
+      return { arquivo: nome, status: "protocolo", nota: resumoNotaImportada(resultado.nota), protocolo: resultado.protocolo };
+    }
+    if (resultado.tipo === "cte") {
+      return { arquivo: nome, status: "importada", cte: resumoCte(resultado.cte) };
+    }
+    return {
+      arquivo: nome,
+      status: "importada",
+      nota: resumoNotaImportada(resultado.nota),
+      classificacao: resultado.classificacao
+    };
+  } catch (err) {
+    return resultadoDeErro(nome, err);
+  }
+}
+
+// Resultado "duplicada" (409) ou "rejeitada" de um arquivo que não pôde ser importado;
+// evento de nota ainda sem protocolo (409 aguardandoProtocolo) não é duplicidade e fica como rejeitado
+export function resultadoDeErro(nome, err) {
+  if (err instanceof ErroImportacao && err.status === 409 && !err.extras.aguardandoProtocolo) {
+    return { arquivo: nome, status: "duplicada", motivo: err.message, ...err.extras };
+  }
+  if (err instanceof ErroImportacao) {
+    return { arquivo: nome, status: "rejeitada", motivo: err.message, ...err.extras };
+  }
+  console.error(`Erro ao importar ${nome}:`, err);
+  return { arquivo: nome, status: "rejeitada", motivo: "Erro interno: " + err.message };
+}
+
+/**
+ * Importa várias notas em sequência e devolve um relatório por arquivo
+ * (ver importarArquivo). Model null classifica cada nota.
+ */
+export async function importarLote(Model, arquivos, empresa, contexto) {
+  const resultados = [];
+  for (const entrada of expandirArquivos(arquivos)) {
+    if (entrada.erro) {
+      resultados.push({ arquivo: entrada.nome, status: "rejeitada", motivo: entrada.erro });
+      continue;
+    }
+    resultados.push(await importarArquivo(Model, entrada.nome, entrada.xml, empresa, contexto));
+  }
+
+  return { resumo: resumirResultados(resultados), resultados };
+}
+
+// Contagem dos resultados de importação por status
+export function resumirResultados(resultados) {
+  const resumo = { total: resultados.length, importadas: 0, eventos: 0, protocolos: 0, duplicadas: 0, rejeitadas: 0 };
+  for (const r of resultados) {
+    if (r.status === "importada") resumo.importadas++;
+    else if (r.status === "evento") resumo.eventos++;
+    else if (r.status === "protocolo") resumo.protocolos++;
+    else if (r.status === "duplicada") resumo.duplicadas++;
+    else resumo.rejeitadas++;
+  }
+  return resumo;
+}
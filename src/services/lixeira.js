@@ -0,0 +1,189 @@
+// src/services/lixeira.js
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { registrarAuditoria } from "./auditoria.js";
+import { estornarMovimentosColecao, estornarMovimentosNota, lancarMovimentosNota } from "./estoque.js";
+import { cancelarTitulosColecao, cancelarTitulosNota, reabrirTitulosNota } from "./financeiro.js";
+import { enfileirarPdf } from "./filaPdf.js";
+import { danfeSemTarja, removerPdf, situacaoPdf } from "./pdf.js";
+import { marcadorEvento } from "./webhooks.js";
+
+export const MOTIVO_EXCLUSAO = "Nota excluída";
+const UM_DIA = 24 * 60 * 60 * 1000;
+const INTERVALO_LIMPEZA = 60 * 60 * 1000;
+
+// Dias que a nota fica na lixeira antes de ser apagada (LIXEIRA_DIAS, padrão 30)
+export function diasRetencaoLixeira() {
+  const dias = Number(process.env.LIXEIRA_DIAS);
+  return dias > 0 ? dias : 30;
+}
+
+function marcacaoExclusao(contexto) {
+  const excluidaEm = new Date();
+  return {
+    excluidaEm,
+    excluidaPor: contexto.autor,
+    expiraEm: new Date(excluidaEm.getTime() + diasRetencaoLixeira() * UM_DIA)
+  };
+}
+
+/**
+ * Move uma nota da empresa para a lixeira
+ * - Estorna os movimentos de estoque e cancela os títulos em aberto
+ * - O PDF continua no GridFS até o fim da retenção
+ * - O webhook nota.excluida é gravado na nota junto com a exclusão
+ * Retorna a nota ou null se ela não existe (ou já está na lixeira).
+ */
+export async function moverNotaParaLixeira(Model, id, empresa, contexto) {
+  const marcacao = marcacaoExclusao(contexto);
+  const nota = await Model.findOneAndUpdate(
+    { _id: id, empresa },
+    { $set: marcacao, $push: { webhooksPendentes: marcadorEvento("nota.excluida", { expiraEm: marcacao.expiraEm }) } },
+    { new: true }
+  );
+  if (!nota) return null;
+
+  await estornarMovimentosNota(Model.modelName, nota._id, MOTIVO_EXCLUSAO);
+  await cancelarTitulosNota(Model.modelName, nota._id, MOTIVO_EXCLUSAO);
+  await registrarAuditoria({
+    empresa,
+    acao: "exclusao",
+    colecao: Model.modelName,
+    nota,
+    descricao: `Nota ${nota.numero} movida para a lixeira.`,
+    detalhes: { expiraEm: nota.expiraEm }
+  }, contexto);
+  return nota;
+}
+
+/**
+ * Move todas as notas da coleção na empresa para a lixeira (exclusão em massa)
+ * - Cada nota recebe o seu webhook nota.excluida na mesma escrita que a exclui
+ * Retorna { quantidade, expiraEm }.
+ */
+export async function moverColecaoParaLixeira(Model, empresa, contexto) {
+  const marcacao = marcacaoExclusao(contexto);
+  const ids = await Model.find({ empresa }).select("_id").lean();
+  let modifiedCount = 0;
+  if (ids.length > 0) {
+    // bulkWrite não passa pelo filtro da lixeira: excluidaEm: null vai explícito
+    const resultado = await Model.bulkWrite(ids.map(({ _id }) => ({
+      updateOne: {
+        filter: { _id, empresa, excluidaEm: null },
+        update: { $set: marcacao, $push: { webhooksPendentes: marcadorEvento("nota.excluida", { expiraEm: marcacao.expiraEm }) } }
+      }
+    })), { ordered: false });
+    modifiedCount = resultado.modifiedCount;
+  }
+
+  await estornarMovimentosColecao(Model.modelName, MOTIVO_EXCLUSAO, empresa);
+  await cancelarTitulosColecao(Model.modelName, MOTIVO_EXCLUSAO, empresa);
+  await registrarAuditoria({
+    empresa,
+    acao: "exclusao",
+    colecao: Model.modelName,
+    descricao: `${modifiedCount} notas movidas para a lixeira (exclusão em massa).`,
+    detalhes: { quantidade: modifiedCount, expiraEm: marcacao.expiraEm }
+  }, contexto);
+  return { quantidade: modifiedCount, expiraEm: marcacao.expiraEm };
+}
+
+/**
+ * Restaura uma nota da lixeira
+ * - Reabre os títulos cancelados pela exclusão e relança o estoque
+ * - Enfileira o DANFE quando o PDF não está mais no GridFS (ou está corrompido) ou não ficou pronto;
+ *   notas sem protocolo e NFC-e canceladas continuam sem DANFE
+ * Lança ErroRequisicao (404) se a nota não está na lixeira da empresa.
+ * Retorna { nota, titulosReabertos, movimentos, pdfEnfileirado }.
+ */
+export async function restaurarNota(Model, id, empresa, contexto) {
+  const nota = await Model.findOne({ _id: id, empresa, excluidaEm: { $ne: null } });
+  if (!nota) {
+    throw new ErroRequisicao(404, "Nota não encontrada na lixeira.");
+  }
+
+  const { excluidaEm } = nota;
+  nota.excluidaEm = undefined;
+  nota.excluidaPor = undefined;
+  nota.expiraEm = undefined;
+  await nota.save();
+
+  const titulosReabertos = await reabrirTitulosNota(Model.modelName, nota._id, MOTIVO_EXCLUSAO);
+
+  let movimentos = [];
+  try {
+    movimentos = await lancarMovimentosNota(nota, Model.modelName);
+  } catch (err) {
+    console.error(`Erro ao relançar estoque da nota ${nota.numero}:`, err);
+  }
+
+  let pdfEnfileirado = false;
+  try {
+    const situacao = await situacaoPdf(nota.pdfFileId);
+    if (nota.status !== "sem_protocolo" && !danfeSemTarja(nota) && (situacao !== "ok" || nota.pdfStatus !== "pronto")) {
+      if (situacao === "ausente") {
+        nota.pdfFileId = undefined;
+        await nota.save();
+      }
+      await enfileirarPdf(Model, nota, "restauracao");
+      pdfEnfileirado = true;
+    }
+  } catch (err) {
+    console.error(`Erro ao enfileirar PDF da nota ${nota.numero}:`, err);
+  }
+
+  await registrarAuditoria({
+    empresa,
+    acao: "restauracao",
+    colecao: Model.modelName,
+    nota,
+    descricao: `Nota ${nota.numero} restaurada da lixeira.`,
+    detalhes: { excluidaEm, titulosReabertos, movimentos: movimentos.length, pdfEnfileirado }
+  }, contexto);
+  return { nota, titulosReabertos, movimentos: movimentos.length, pdfEnfileirado };
+}
+
+/**
+ * Apaga de vez as notas cuja retenção na lixeira terminou, junto com os PDFs
+ * Retorna a quantidade apagada por coleção.
+ */
+export async function limparLixeira() {
+  const apagadas = {};
+  for (const Model of [Nota, NotaCompra]) {
+    const notas = await Model.find({ excluidaEm: { $ne: null }, expiraEm: { $lte: new Date() } })
+      .select("empresa numero chaveNFe pdfFileId excluidaEm");
+
+    for (const nota of notas) {
+      await Model.deleteOne({ _id: nota._id, excluidaEm: { $ne: null } });
+      if (nota.pdfFileId) {
+        await removerPdf(nota.pdfFileId);
+      }
+      await registrarAuditoria({
+        empresa: nota.empresa,
+        acao: "exclusao_definitiva",
+        colecao: Model.modelName,
+        nota,
+        descricao: `Nota ${nota.numero} apagada ao fim da retenção da lixeira.`,
+        detalhes: { excluidaEm: nota.excluidaEm }
+      });
+    }
+    apagadas[Model.modelName] = notas.length;
+  }
+  return apagadas;
+}
+
+// Limpa a lixeira agora e a cada hora, sem segurar o processo aberto
+export function agendarLimpezaLixeira() {
+  const executar = () => limparLixeira()
+    .then((apagadas) => {
+      const total = Object.values(apagadas).reduce((soma, n) => soma + n, 0);
+      if (total > 0) {
+        console.log(`Lixeira: ${total} notas apagadas ao fim da retenção.`, apagadas);
+      }
+    })
+    .catch(err => console.error("Erro ao limpar a lixeira:", err));
+
+  executar();
+  return setInterval(executar, INTERVALO_LIMPEZA).unref();
+}
@@ -0,0 +1,111 @@
+// src/services/pacote.js
+import archiver from "archiver";
+import { gerarPDF } from "@alexssmusica/node-pdf-nfe";
+import { ObjectId } from "mongodb";
+import { danfeSemTarja, getBucketPdfs, getNativeDb } from "./pdf.js";
+
+const COLUNAS_MANIFESTO = [
+  "tipo", "numero", "chaveNFe", "dataEmissao", "status", "cnpjEmitente",
+  "emitente", "documentoDestinatario", "destinatario", "valorTotal",
+  "arquivoXml", "arquivoPdf", "origemPdf"
+];
+
+function celulaCsv(valor) {
+  if (valor === undefined || valor === null) return "";
+  const texto = valor instanceof Date ? valor.toISOString() : String(valor);
+  return /[";\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function streamParaBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const partes = [];
+    stream.on("data", parte => partes.push(parte));
+    stream.on("end", () => resolve(Buffer.concat(partes)));
+    stream.on("error", reject);
+  });
+}
+
+// Adiciona uma entrada e espera o archiver processá-la antes de seguir
+function adicionar(archive, conteudo, nome) {
+  return new Promise((resolve, reject) => {
+    const aoFalhar = err => reject(err);
+    archive.once("error", aoFalhar);
+    archive.once("entry", () => {
+      archive.removeListener("error", aoFalhar);
+      resolve();
+    });
+    archive.append(conteudo, { name: nome });
+  });
+}
+
+/**
+ * Obtém o DANFE da nota: primeiro do GridFS; se não existir, regera com gerarPDF
+ * - Nota sem protocolo de autorização não tem DANFE (origem "sem_protocolo")
+ * - NFC-e cancelada também não: o DANFE sairia sem a tarja CANCELADA (origem "nfce_cancelada")
+ * Retorna { pdf, origem } com origem "armazenado", "regerado", "sem_protocolo", "nfce_cancelada" ou "erro".
+ */
+async function obterPdf(nota) {
+  if (nota.status === "sem_protocolo") {
+    return { pdf: null, origem: "sem_protocolo" };
+  }
+  if (danfeSemTarja(nota)) {
+    return { pdf: null, origem: "nfce_cancelada" };
+  }
+  if (nota.pdfFileId) {
+    const arquivo = await getNativeDb().collection("pdfs.files").findOne({ _id: new ObjectId(nota.pdfFileId) });
+    if (arquivo) {
+      const pdf = await streamParaBuffer(getBucketPdfs().openDownloadStream(arquivo._id));
+      return { pdf, origem: "armazenado" };
+    }
+  }
+
+  try {
+    const pdfStream = await gerarPDF(nota.xmlTexto, { cancelada: nota.status === "cancelada" });
+    return { pdf: await streamParaBuffer(pdfStream), origem: "regerado" };
+  } catch (err) {
+    console.warn(`Erro ao regerar PDF da nota ${nota.numero}:`, err);
+    return { pdf: null, origem: "erro" };
+  }
+}
+
+/**
+ * Gera em streaming um ZIP com os XMLs, DANFEs e um manifesto CSV
+ * - fontes: [{ Model, tipo, pasta }] (ex.: vendas em Nota, compras em NotaCompra)
+ * - filtro: filtro do MongoDB aplicado a cada coleção
+ * Arquivos: <pasta>/<chave>-nfe.xml, <pasta>/<chave>-nfe.pdf (exceto notas sem protocolo e NFC-e canceladas) e manifesto.csv
+ */
+export async function gerarPacote(fontes, filtro, destino) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  archive.on("warning", err => console.warn("Aviso ao gerar ZIP:", err));
+  archive.pipe(destino);
+
+  const manifesto = [COLUNAS_MANIFESTO.join(";")];
+
+  for (const { Model, tipo, pasta } of fontes) {
+    const cursor = Model.find(filtro)
+      .select("numero chaveNFe modelo dataEmissao status remetente destinatario valorTotal xmlTexto pdfFileId")
+      .sort({ dataEmissao: 1, _id: 1 })
+      .cursor();
+
+    for await (const nota of cursor) {
+      const arquivoXml = `${pasta}/${nota.chaveNFe}-nfe.xml`;
+      await adicionar(archive, nota.xmlTexto || "", arquivoXml);
+
+      const { pdf, origem } = await obterPdf(nota);
+      const arquivoPdf = pdf ? `${pasta}/${nota.chaveNFe}-nfe.pdf` : "";
+      if (pdf) {
+        await adicionar(archive, pdf, arquivoPdf);
+      }
+
+      manifesto.push([
+        tipo, nota.numero, nota.chaveNFe, nota.dataEmissao, nota.status,
+        nota.remetente?.cnpj, nota.remetente?.nome,
+        nota.destinatario?.cnpj || nota.destinatario?.cpf, nota.destinatario?.nome,
+        nota.valorTotal, arquivoXml, arquivoPdf, origem
+      ].map(celulaCsv).join(";"));
+    }
+  }
+
+  await adicionar(archive, "\uFEFF" + manifesto.join("\r\n") + "\r\n", "manifesto.csv");
+  await archive.finalize();
+}
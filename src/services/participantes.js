@@ -0,0 +1,192 @@
+// src/services/participantes.js
+import { parseStringPromise } from "xml2js";
+import { Participante } from "../models/Participante.js";
+import { OPCOES_XML2JS, infNFeDoXml } from "../utils/xml.js";
+import { ehDevolucao, emissaoPropria } from "./classificacao.js";
+
+// Nas compras o participante é o emitente (fornecedor); nas vendas, o destinatário (cliente)
+export const COLECAO_FORNECEDORES = "NotaCompra";
+
+const CAMPOS_COMPARACAO_ENDERECO = [
+  "logradouro", "numero", "complemento", "bairro", "codigoMunicipio", "uf", "cep", "codigoPais"
+];
+
+function normalizarTexto(valor) {
+  return valor ? String(valor).trim().replace(/\s+/g, " ") : undefined;
+}
+
+export function montarEndereco(ender = {}) {
+  return {
+    logradouro: normalizarTexto(ender.xLgr),
+    numero: normalizarTexto(ender.nro),
+    complemento: normalizarTexto(ender.xCpl),
+    bairro: normalizarTexto(ender.xBairro),
+    codigoMunicipio: ender.cMun,
+    municipio: normalizarTexto(ender.xMun),
+    uf: ender.UF,
+    cep: ender.CEP,
+    codigoPais: ender.cPais,
+    pais: normalizarTexto(ender.xPais)
+  };
+}
+
+export function mesmoEndereco(a = {}, b = {}) {
+  return CAMPOS_COMPARACAO_ENDERECO.every(campo =>
+    (a[campo] || "").toUpperCase() === (b[campo] || "").toUpperCase()
+  );
+}
+
+/**
+ * Dados cadastrais do emit/dest do XML
+ * Retorna undefined quando a pessoa não tem CNPJ, CPF nem idEstrangeiro.
+ */
+export function dadosParticipanteXml(pessoa, ender) {
+  if (!pessoa) return undefined;
+  const documento = pessoa.CNPJ || pessoa.CPF || pessoa.idEstrangeiro;
+  if (!documento) return undefined;
+  return {
+    documento,
+    tipoDocumento: pessoa.CNPJ ? "cnpj" : pessoa.CPF ? "cpf" : "estrangeiro",
+    nome: normalizarTexto(pessoa.xNome),
+    nomeFantasia: normalizarTexto(pessoa.xFant),
+    ie: pessoa.IE && pessoa.IE !== "ISENTO" ? pessoa.IE : undefined,
+    im: pessoa.IM,
+    email: normalizarTexto(pessoa.email),
+    telefone: ender?.fone,
+    endereco: montarEndereco(ender)
+  };
+}
+
+// Troca o endereço atual (guardando o anterior) ou registra um endereço antigo no histórico
+function atualizarEndereco(participante, endereco, dataNota) {
+  const atual = participante.endereco;
+  if (!atual?.logradouro && !atual?.cep) {
+    participante.endereco = { ...endereco, desde: dataNota };
+    return;
+  }
+  if (mesmoEndereco(atual, endereco)) return;
+
+  const maisRecente = !participante.ultimaNotaEm || dataNota >= participante.ultimaNotaEm;
+  if (maisRecente) {
+    participante.historicoEnderecos.push({ ...atual.toObject(), ate: dataNota });
+    participante.endereco = { ...endereco, desde: dataNota };
+  } else if (!participante.historicoEnderecos.some(e => mesmoEndereco(e, endereco))) {
+    participante.historicoEnderecos.push({ ...endereco, desde: dataNota });
+  }
+}
+
+/**
+ * Cria ou atualiza o participante da empresa pelo documento (CNPJ/CPF)
+ * - Dados de notas mais recentes prevalecem; campos vazios são sempre preenchidos
+ * - Mudança de endereço guarda o anterior em historicoEnderecos
+ * - Cadastros editados pela API (dadosManuais) mantêm nome e contato
+ */
+export async function registrarParticipante(empresa, dados, papel, dataNota = new Date(), tentativa = 1) {
+  let participante = await Participante.findOne({ empresa, documento: dados.documento });
+  if (!participante) {
+    participante = new Participante({ empresa, documento: dados.documento, tipoDocumento: dados.tipoDocumento });
+  }
+
+  const maisRecente = !participante.ultimaNotaEm || dataNota >= participante.ultimaNotaEm;
+  for (const campo of ["nome", "nomeFantasia", "ie", "im", "email", "telefone"]) {
+    if (!dados[campo]) continue;
+    if (!participante[campo] || (maisRecente && !participante.dadosManuais)) {
+      participante[campo] = dados[campo];
+    }
+  }
+  atualizarEndereco(participante, dados.endereco, dataNota);
+
+  if (!participante.papeis.includes(papel)) {
+    participante.papeis.push(papel);
+  }
+  if (maisRecente) {
+    participante.ultimaNotaEm = dataNota;
+  }
+  participante.atualizadoEm = new Date();
+
+  try {
+    await participante.save();
+  } catch (err) {
+    // Outra importação criou o mesmo documento ao mesmo tempo: aplica sobre ele
+    if (err.code === 11000 && tentativa === 1) {
+      return registrarParticipante(empresa, dados, papel, dataNota, 2);
+    }
+    throw err;
+  }
+  return participante;
+}
+
+/**
+ * Registra o participante da nota a partir do infNFe e devolve o _id
+ * para a referência (nota.participante).
+ * - Participante é a outra parte: o destinatário nas notas emitidas pela empresa, senão o emitente
+ * - Devoluções (finNFe=4) invertem o papel: devolução de venda vem de cliente, de compra vai a fornecedor
+ */
+export async function participanteDaNota(infNFe, colecao, empresa) {
+  const fornecedor = (colecao === COLECAO_FORNECEDORES) !== ehDevolucao(infNFe);
+  const dados = emissaoPropria(infNFe, colecao)
+    ? dadosParticipanteXml(infNFe.dest, infNFe.dest?.enderDest)
+    : dadosParticipanteXml(infNFe.emit, infNFe.emit?.enderEmit);
+  if (!dados) return undefined;
+
+  const dataNota = infNFe.ide?.dhEmi ? new Date(infNFe.ide.dhEmi) : new Date();
+  const participante = await registrarParticipante(empresa, dados, fornecedor ? "fornecedor" : "cliente", dataNota);
+  return participante._id;
+}
+
+/**
+ * Vincula ao cadastro as notas importadas antes dele, relendo o xmlTexto
+ * em ordem de emissão. Retorna { vinculadas, falhas }.
+ */
+export async function vincularParticipantesPendentes(Model) {
+  let vinculadas = 0;
+  const falhas = [];
+  const cursor = Model.find({ participante: null })
+    .select("empresa numero xmlTexto")
+    .sort({ dataEmissao: 1, _id: 1 })
+    .cursor();
+
+  for await (const nota of cursor) {
+    try {
+      const parsedXml = await parseStringPromise(nota.xmlTexto, OPCOES_XML2JS);
+      const infNFe = infNFeDoXml(parsedXml);
+      if (!infNFe) {
+        throw new Error("XML armazenado não possui infNFe.");
+      }
+      const participante = await participanteDaNota(infNFe, Model.modelName, nota.empresa);
+      if (!participante) {
+        throw new Error("Nota sem CNPJ/CPF do participante.");
+      }
+      await Model.updateOne({ _id: nota._id }, { $set: { participante } });
+      vinculadas++;
+    } catch (err) {
+      falhas.push({ id: nota._id, numero: nota.numero, motivo: err.message });
+    }
+  }
+  return { vinculadas, falhas };
+}
+
+/**
+ * Resumo de movimento do participante em uma coleção de notas
+ * (canceladas ficam de fora): quantidade, valor total e última emissão.
+ */
+export async function resumoNotasParticipante(Model, participanteId) {
+  const [resumo] = await Model.aggregate([
+    { $match: { participante: participanteId, status: { $ne: "cancelada" } } },
+    {
+      $group: {
+        _id: null,
+        quantidade: { $sum: 1 },
+        valorTotal: { $sum: { $ifNull: ["$valorTotal", 0] } },
+        primeiraEmissao: { $min: "$dataEmissao" },
+        ultimaEmissao: { $max: "$dataEmissao" }
+      }
+    }
+  ]);
+  return {
+    quantidade: resumo?.quantidade || 0,
+    valorTotal: Math.round((resumo?.valorTotal || 0) * 100) / 100,
+    primeiraEmissao: resumo?.primeiraEmissao || null,
+    ultimaEmissao: resumo?.ultimaEmissao || null
+  };
+}
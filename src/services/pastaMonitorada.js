@@ -0,0 +1,260 @@
+// src/services/pastaMonitorada.js
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { ArquivoImportado } from "../models/ArquivoImportado.js";
+import { Empresa } from "../models/Empresa.js";
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { ErroImportacao } from "../utils/erros.js";
+import { decodificarXml, infNFeDoXml } from "../utils/xml.js";
+import { cnpjsDoCte, montarDadosCte } from "./cte.js";
+import { importarArquivo, lerXml, resultadoDeErro, resumirResultados, separarDocumentos } from "./importacao.js";
+
+// Subpasta de destino por resultado; processing/ guarda o arquivo durante a importação
+export const SUBPASTAS = {
+  processando: "processing",
+  importada: "done",
+  evento: "done",
+  protocolo: "done",
+  duplicada: "duplicate",
+  rejeitada: "error"
+};
+
+// Arquivos modificados há menos tempo que isso podem ainda estar sendo gravados pelo ERP
+const IDADE_MINIMA_ARQUIVO = 5000;
+
+const AUTOR_MONITOR = { tipo: "sistema", nome: "monitor de pastas" };
+
+/**
+ * Lê a configuração das pastas monitoradas (PASTAS_IMPORTACAO)
+ * - Lista separada por vírgula: /caminho ou /caminho=CNPJ
+ * - Com CNPJ, tudo o que cair na pasta é importado nessa empresa
+ * - Sem CNPJ, a empresa é a emitente ou destinatária cadastrada
+ */
+export function lerPastasConfiguradas(texto = "") {
+  return texto.split(",").map(e => e.trim()).filter(Boolean).map((entrada) => {
+    const [caminho, cnpj] = entrada.split("=").map(p => p.trim());
+    return { caminho: path.resolve(caminho), cnpj: cnpj ? cnpj.replace(/\D/g, "") : null };
+  });
+}
+
+// Cria processing/, done/, duplicate/ e error/ dentro da pasta monitorada
+export async function prepararPasta(pasta) {
+  for (const subpasta of new Set(Object.values(SUBPASTAS))) {
+    await fs.mkdir(path.join(pasta.caminho, subpasta), { recursive: true });
+  }
+}
+
+/**
+ * Define a empresa dona do arquivo
+ * - Pasta com CNPJ: a empresa da pasta
+ * - nfeProc ou NFe: a empresa cadastrada que é emitente ou destinatária
+ * - procEventoNFe e protNFe: a empresa que já importou a nota do evento ou do protocolo
+ * - cteProc: a empresa cadastrada que é tomadora, remetente, destinatária, expedidora, recebedora ou emitente
+ * Lança ErroImportacao (422) sem empresa ou com mais de uma possível (notas entre empresas do grupo).
+ */
+async function empresaDoArquivo(parsedXml, pasta) {
+  if (pasta.cnpj) {
+    const empresa = await Empresa.findOne({ cnpj: pasta.cnpj, ativa: true });
+    if (!empresa) {
+      throw new ErroImportacao(422, `Empresa ${pasta.cnpj} configurada na pasta não encontrada ou inativa.`);
+    }
+    return empresa;
+  }
+
+  let empresas;
+  if (parsedXml?.procEventoNFe || parsedXml?.protNFe) {
+    const chaveNFe = parsedXml.procEventoNFe?.evento?.infEvento?.chNFe ?? parsedXml.protNFe.infProt?.chNFe;
+    const ids = [
+      ...await Nota.distinct("empresa", { chaveNFe }),
+      ...await NotaCompra.distinct("empresa", { chaveNFe })
+    ];
+    empresas = await Empresa.find({ _id: { $in: ids }, ativa: true });
+  } else if (parsedXml?.cteProc) {
+    const infCte = parsedXml.cteProc.CTe?.infCte;
+    if (!infCte?.ide) {
+      throw new ErroImportacao(400, "XML não possui estrutura válida de CT-e.");
+    }
+    empresas = await Empresa.find({ cnpj: { $in: cnpjsDoCte(montarDadosCte(infCte)) }, ativa: true });
+  } else {
+    const infNFe = infNFeDoXml(parsedXml);
+    if (!infNFe) {
+      throw new ErroImportacao(400, "XML não possui estrutura válida de NFE.");
+    }
+    const cnpjs = [infNFe.emit?.CNPJ, infNFe.dest?.CNPJ].filter(Boolean);
+    empresas = await Empresa.find({ cnpj: { $in: cnpjs }, ativa: true });
+  }
+
+  if (empresas.length === 0) {
+    throw new ErroImportacao(422, "Nenhuma empresa cadastrada é parte do documento.");
+  }
+  if (empresas.length > 1) {
+    throw new ErroImportacao(422,
+      `Documento entre empresas do grupo (${empresas.map(e => e.cnpj).join(", ")}): configure a pasta com o CNPJ da empresa (caminho=CNPJ).`);
+  }
+  return empresas[0];
+}
+
+// Resultado do arquivo de lote: importada se algum documento entrou, senão rejeitada ou duplicada
+function resultadoDoLote(nome, resultados) {
+  const resumo = resumirResultados(resultados);
+  let status = "duplicada";
+  if (resumo.importadas + resumo.eventos + resumo.protocolos > 0) status = "importada";
+  else if (resumo.rejeitadas > 0) status = "rejeitada";
+  return { arquivo: nome, status, resumo, resultados };
+}
+
+// Caminho livre na subpasta: não sobrescreve um arquivo de mesmo nome já processado
+async function caminhoLivre(diretorio, nome) {
+  const caminho = path.join(diretorio, nome);
+  try {
+    await fs.access(caminho);
+  } catch {
+    return caminho;
+  }
+  const carimbo = new Date().toISOString().replace(/[:.]/g, "-");
+  return path.join(diretorio, `${carimbo}-${nome}`);
+}
+
+/**
+ * Importa um arquivo que já está em processing/ e o move para done/, duplicate/ ou error/
+ * com um .json ao lado explicando o resultado
+ * - O conteúdo (SHA-256) já importado ou duplicado nesta empresa não é importado de novo:
+ *   o arquivo só é movido com o resultado registrado (reinício no meio do processamento)
+ * - Arquivos rejeitados são importados de novo se voltarem à pasta
+ * - Lotes (enviNFe, retornos com vários protNFe) são importados documento a documento,
+ *   na empresa definida pelo primeiro; o .json traz o resultado de cada um
+ * Retorna o resultado no formato do relatório do lote.
+ */
+export async function concluirArquivo(pasta, caminho) {
+  const nome = path.basename(caminho);
+  const conteudo = await fs.readFile(caminho);
+  const hash = crypto.createHash("sha256").update(conteudo).digest("hex");
+
+  let empresa;
+  let resultado;
+  try {
+    const documentos = separarDocumentos(decodificarXml(conteudo));
+    empresa = await empresaDoArquivo(await lerXml(documentos[0]), pasta);
+    const anterior = await ArquivoImportado.findOne({ hash, empresa: empresa._id, status: { $ne: "rejeitada" } });
+    if (anterior) {
+      resultado = anterior.resultado;
+    } else {
+      const contexto = { autor: AUTOR_MONITOR, origem: { arquivo: path.join(pasta.caminho, nome) } };
+      if (documentos.length === 1) {
+        resultado = await importarArquivo(null, nome, documentos[0], empresa, contexto);
+      } else {
+        const resultados = [];
+        for (const [i, xml] of documentos.entries()) {
+          resultados.push(await importarArquivo(null, `${nome}#${i + 1}`, xml, empresa, contexto));
+        }
+        resultado = resultadoDoLote(nome, resultados);
+      }
+    }
+  } catch (err) {
+    resultado = resultadoDeErro(nome, err);
+  }
+
+  resultado = {
+    ...resultado,
+    arquivo: nome,
+    pasta: pasta.caminho,
+    empresa: empresa?.cnpj || null,
+    hash,
+    processadoEm: new Date()
+  };
+
+  const destino = await caminhoLivre(path.join(pasta.caminho, SUBPASTAS[resultado.status]), nome);
+  await ArquivoImportado.findOneAndUpdate(
+    { hash, empresa: empresa?._id || null },
+    { $set: { pasta: pasta.caminho, arquivo: nome, status: resultado.status, destino, resultado, processadoEm: resultado.processadoEm } },
+    { upsert: true }
+  );
+  await fs.writeFile(`${destino}.json`, JSON.stringify(resultado, null, 2));
+  await fs.rename(caminho, destino);
+  return resultado;
+}
+
+// XMLs do diretório que já terminaram de ser gravados
+async function arquivosProntos(diretorio, idadeMinima = IDADE_MINIMA_ARQUIVO) {
+  const entradas = await fs.readdir(diretorio, { withFileTypes: true });
+  const prontos = [];
+  for (const entrada of entradas) {
+    if (!entrada.isFile() || !entrada.name.toLowerCase().endsWith(".xml")) continue;
+    const { mtimeMs } = await fs.stat(path.join(diretorio, entrada.name));
+    if (Date.now() - mtimeMs >= idadeMinima) {
+      prontos.push(entrada.name);
+    }
+  }
+  return prontos.sort();
+}
+
+/**
+ * Processa os XMLs novos da pasta, um de cada vez
+ * - O arquivo é movido para processing/ antes da importação (rename atômico),
+ *   então uma segunda instância não pega o mesmo arquivo
+ * - recuperar: conclui também o que ficou em processing/ (início após queda)
+ * Retorna os resultados.
+ */
+export async function varrerPasta(pasta, { recuperar = false } = {}) {
+  const processando = path.join(pasta.caminho, SUBPASTAS.processando);
+  const resultados = [];
+
+  if (recuperar) {
+    for (const nome of await arquivosProntos(processando, 0)) {
+      resultados.push(await concluirArquivo(pasta, path.join(processando, nome)));
+    }
+  }
+
+  for (const nome of await arquivosProntos(pasta.caminho)) {
+    const caminho = path.join(processando, nome);
+    try {
+      await fs.rename(path.join(pasta.caminho, nome), caminho);
+    } catch (err) {
+      if (err.code === "ENOENT") continue; // Levado por outra instância
+      throw err;
+    }
+    resultados.push(await concluirArquivo(pasta, caminho));
+  }
+  return resultados;
+}
+
+/**
+ * Monitora as pastas por varredura periódica (funciona também em compartilhamentos de rede)
+ * - Na primeira varredura recupera os arquivos deixados em processing/
+ * - onResultado(pasta, resultado) é chamado para cada arquivo processado
+ * Retorna { parar }, que espera o arquivo em andamento terminar.
+ */
+export function monitorarPastas(pastas, { intervalo = 10000, onResultado = () => {} } = {}) {
+  let ativo = true;
+  let timer;
+  let varredura = Promise.resolve();
+  let primeira = true;
+
+  const executar = async () => {
+    for (const pasta of pastas) {
+      if (!ativo) break;
+      try {
+        for (const resultado of await varrerPasta(pasta, { recuperar: primeira })) {
+          onResultado(pasta, resultado);
+        }
+      } catch (err) {
+        console.error(`Erro ao varrer a pasta ${pasta.caminho}:`, err);
+      }
+    }
+    primeira = false;
+    if (ativo) {
+      timer = setTimeout(() => { varredura = executar(); }, intervalo);
+    }
+  };
+
+  varredura = executar();
+  return {
+    async parar() {
+      ativo = false;
+      clearTimeout(timer);
+      await varredura;
+    }
+  };
+}
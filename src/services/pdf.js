@@ -0,0 +1,130 @@
+// src/services/pdf.js
+import mongoose from "mongoose";
+import { gerarPDF } from "@alexssmusica/node-pdf-nfe";
+import { GridFSBucket, ObjectId } from "mongodb";
+
+// Helper para obter o db nativo do driver a partir do mongoose
+export function getNativeDb() {
+  const conn = mongoose.connection;
+  if (!conn.db) {
+    throw new Error("Mongoose ainda não conectado ao MongoDB");
+  }
+  return conn.db;
+}
+
+export function getBucketPdfs() {
+  return new GridFSBucket(getNativeDb(), { bucketName: "pdfs" });
+}
+
+// A biblioteca só imprime a tarja "CANCELADA" no DANFE do modelo 55: o da NFC-e cancelada
+// sairia igual ao de uma nota válida, então não é gerado nem servido
+export const ERRO_NFCE_CANCELADA = "NFC-e cancelada: o DANFE não é gerado porque a biblioteca não imprime a tarja CANCELADA no modelo 65.";
+
+export function danfeSemTarja(nota) {
+  return nota.status === "cancelada" && nota.modelo === "65";
+}
+
+/**
+ * Gera o DANFE a partir do XML e grava no bucket "pdfs" do GridFS
+ * - opcoes.cancelada imprime a tarja "CANCELADA" no DANFE
+ * Retorna o fileId gravado.
+ */
+export async function salvarPdfNoGridFS(xml, numero, opcoes = {}) {
+  const bucket = getBucketPdfs();
+
+  const pdfStream = await gerarPDF(xml, opcoes);
+  const uploadStream = bucket.openUploadStream(`pdf-${numero}.pdf`);
+  pdfStream.pipe(uploadStream);
+
+  // Espera o upload terminar e captura o fileId
+  return new Promise((resolve, reject) => {
+    uploadStream.on("finish", () => resolve(uploadStream.id));
+    uploadStream.on("error", reject);
+  });
+}
+
+// Remove um PDF do GridFS sem interromper o fluxo em caso de falha
+export async function removerPdf(fileId) {
+  try {
+    await getBucketPdfs().delete(new ObjectId(fileId));
+  } catch (gridError) {
+    console.warn("Erro ao deletar PDF do GridFS:", gridError);
+  }
+}
+
+/**
+ * Situação do PDF no GridFS: "ok", "ausente" (sem referência ou sem arquivo) ou
+ * "corrompido" (vazio, com chunks faltando ou sem o cabeçalho %PDF)
+ */
+export async function situacaoPdf(fileId) {
+  if (!fileId) return "ausente";
+  const db = getNativeDb();
+  const arquivo = await db.collection("pdfs.files").findOne({ _id: new ObjectId(fileId) });
+  if (!arquivo) return "ausente";
+
+  const chunks = await db.collection("pdfs.chunks").countDocuments({ files_id: arquivo._id });
+  if (!arquivo.length || chunks !== Math.ceil(arquivo.length / arquivo.chunkSize)) return "corrompido";
+  const primeiro = await db.collection("pdfs.chunks").findOne({ files_id: arquivo._id, n: 0 });
+  const cabecalho = primeiro ? Buffer.from(primeiro.data.buffer).subarray(0, 4).toString("latin1") : "";
+  return cabecalho === "%PDF" ? "ok" : "corrompido";
+}
+
+/**
+ * Regenera o PDF da nota (ex.: após cancelamento), substitui o arquivo anterior e marca o PDF como pronto
+ * - NFC-e cancelada (danfeSemTarja): remove o DANFE anterior e marca o PDF como "indisponivel", com o motivo em pdfErro
+ */
+export async function regerarPdfNota(nota) {
+  const fileIdAnterior = nota.pdfFileId;
+  if (danfeSemTarja(nota)) {
+    nota.pdfFileId = undefined;
+    nota.pdfStatus = "indisponivel";
+    nota.pdfErro = ERRO_NFCE_CANCELADA;
+  } else {
+    nota.pdfFileId = await salvarPdfNoGridFS(nota.xmlTexto, nota.numero, {
+      cancelada: nota.status === "cancelada"
+    });
+    nota.pdfStatus = "pronto";
+    nota.pdfErro = undefined;
+  }
+  await nota.save();
+  if (fileIdAnterior) {
+    await removerPdf(fileIdAnterior);
+  }
+  return nota;
+}
+
+/**
+ * Regera os DANFEs ausentes ou corrompidos das notas do filtro (exceto as sem protocolo, que não têm DANFE)
+ * - forcar: regera todos, mesmo os que estão ok
+ * - simular: só informa o que seria regerado
+ * - NFC-e cancelada não tem DANFE: só o PDF que ainda estiver gravado (situação "sem_tarja") é removido
+ * Retorna as notas verificadas com problema: [{ id, numero, chaveNFe, situacao, resultado, erro? }],
+ * com resultado "regerado", "removido", "pendente" (simulação) ou "erro".
+ */
+export async function regerarPdfsPendentes(Model, filtro, { forcar = false, simular = false } = {}) {
+  const cursor = Model.find({ $and: [filtro, { status: { $ne: "sem_protocolo" } }] })
+    .select("numero chaveNFe modelo status xmlTexto pdfFileId").cursor();
+  const pendentes = [];
+
+  for await (const nota of cursor) {
+    if (danfeSemTarja(nota) && !nota.pdfFileId) continue;
+    const situacao = danfeSemTarja(nota) ? "sem_tarja" : await situacaoPdf(nota.pdfFileId);
+    if (situacao === "ok" && !forcar) continue;
+
+    const pendente = { id: nota._id, numero: nota.numero, chaveNFe: nota.chaveNFe, situacao };
+    if (simular) {
+      pendentes.push({ ...pendente, resultado: "pendente" });
+      continue;
+    }
+    try {
+      // O arquivo ausente não precisa ser apagado; o corrompido é substituído
+      if (situacao === "ausente") nota.pdfFileId = undefined;
+      await regerarPdfNota(nota);
+      pendentes.push({ ...pendente, resultado: nota.pdfFileId ? "regerado" : "removido" });
+    } catch (err) {
+      console.error(`Erro ao regerar PDF da nota ${nota.numero}:`, err);
+      pendentes.push({ ...pendente, resultado: "erro", erro: err.message });
+    }
+  }
+  return pendentes;
+}
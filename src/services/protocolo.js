@@ -0,0 +1,87 @@
+// src/services/protocolo.js
+import { ErroImportacao } from "../utils/erros.js";
+import { removerDeclaracao } from "../utils/xml.js";
+import { verificarAssinatura, verificarProtocolo } from "./assinatura.js";
+import { lancarMovimentosNota } from "./estoque.js";
+import { gerarTitulosNota } from "./financeiro.js";
+import { enfileirarPdf } from "./filaPdf.js";
+
+// Status da nota importada sem protocolo de autorização (NFe assinada, antes ou sem o retorno da SEFAZ)
+export const STATUS_SEM_PROTOCOLO = "sem_protocolo";
+
+// Junta a NFe e o protNFe no nfeProc (distribuição), o mesmo formato das notas importadas já autorizadas
+export function montarNfeProc(xmlNFe, xmlProtNFe, versao = "4.00") {
+  return `<?xml version="1.0" encoding="UTF-8"?><nfeProc xmlns="http://www.portalfiscal.inf.br/nfe" versao="${versao}">` +
+    `${removerDeclaracao(xmlNFe)}${removerDeclaracao(xmlProtNFe)}</nfeProc>`;
+}
+
+/**
+ * Vincula o protocolo de autorização (protNFe) à nota da empresa importada sem protocolo
+ * - A nota é localizada pela chave (infProt/chNFe)
+ * - O protocolo precisa autorizar a NFe armazenada: cStat 100/150, mesma chave e digVal
+ *   igual ao DigestValue da assinatura
+ * - O xmlTexto passa a ser o nfeProc e a nota fica "autorizada"
+ * - Lança o estoque e os títulos, que esperavam a autorização, e enfileira o DANFE
+ * Lança ErroImportacao quando a nota não existe, já tem protocolo ou o protocolo é inválido.
+ * Retorna { nota, protocolo }.
+ */
+export async function anexarProtocolo(Model, protNFe, xmlProtNFe, empresa) {
+  const chNFe = protNFe?.infProt?.chNFe;
+  if (!chNFe) {
+    throw new ErroImportacao(400, "XML de protocolo não possui estrutura válida (protNFe/infProt/chNFe).");
+  }
+
+  const nota = await Model.findOne({ empresa: empresa._id, chaveNFe: chNFe });
+  if (!nota) {
+    throw new ErroImportacao(404, `NFE com chave ${chNFe} não encontrada para vincular o protocolo.`);
+  }
+  const jaVinculado = () => new ErroImportacao(409, `NFE ${nota.numero} já possui protocolo de autorização.`, {
+    notaExistente: { id: nota._id, numero: nota.numero, chaveNFe: nota.chaveNFe, status: nota.status }
+  });
+  if (nota.status !== STATUS_SEM_PROTOCOLO) {
+    throw jaVinculado();
+  }
+
+  const { digestValue } = verificarAssinatura(nota.xmlTexto, `NFe${chNFe}`);
+  const autorizacao = verificarProtocolo(protNFe, chNFe, digestValue);
+  if (!digestValue) {
+    autorizacao.erros.push("Não foi possível ler o DigestValue da NFe armazenada para conferir o protocolo.");
+  }
+  if (autorizacao.erros.length > 0) {
+    throw new ErroImportacao(422, "Protocolo de autorização inválido para a NFE.", { inconsistencias: autorizacao.erros });
+  }
+
+  // Só uma importação do protocolo completa a nota
+  const atualizada = await Model.findOneAndUpdate(
+    { _id: nota._id, status: STATUS_SEM_PROTOCOLO },
+    {
+      $set: {
+        status: "autorizada",
+        protocolo: autorizacao.protocolo,
+        xmlTexto: montarNfeProc(nota.xmlTexto, xmlProtNFe, protNFe.$?.versao)
+      }
+    },
+    { new: true }
+  );
+  if (!atualizada) {
+    throw jaVinculado();
+  }
+
+  try {
+    await lancarMovimentosNota(atualizada, Model.modelName);
+  } catch (err) {
+    console.error(`Erro ao lançar estoque da nota ${atualizada.numero}:`, err);
+  }
+  try {
+    await gerarTitulosNota(atualizada, Model.modelName);
+  } catch (err) {
+    console.error(`Erro ao gerar títulos da nota ${atualizada.numero}:`, err);
+  }
+  try {
+    await enfileirarPdf(Model, atualizada, "protocolo");
+  } catch (err) {
+    console.error(`Erro ao enfileirar PDF da nota ${atualizada.numero}:`, err);
+  }
+
+  return { nota: atualizada, protocolo: autorizacao.protocolo };
+}
@@ -0,0 +1,129 @@
+// src/services/relatorioFiscal.js
+
+export const CAMPOS_RELATORIO = [
+  "vProd", "vDesc", "vFrete", "vBC", "vICMS", "vST", "vIPI", "vPIS", "vCOFINS", "vNF"
+];
+
+const zeroSeAusente = caminho => ({ $ifNull: [caminho, 0] });
+
+// Valores de cada campo por item (para agrupamentos por CFOP e CST)
+const VALORES_ITEM = {
+  vProd: zeroSeAusente("$itens.vProd"),
+  vDesc: zeroSeAusente("$itens.vDesc"),
+  vFrete: zeroSeAusente("$itens.vFrete"),
+  vBC: zeroSeAusente("$itens.impostos.icms.vBC"),
+  vICMS: zeroSeAusente("$itens.impostos.icms.vICMS"),
+  vST: zeroSeAusente("$itens.impostos.icms.vICMSST"),
+  vIPI: zeroSeAusente("$itens.impostos.ipi.vIPI"),
+  vPIS: zeroSeAusente("$itens.impostos.pis.valor"),
+  vCOFINS: zeroSeAusente("$itens.impostos.cofins.valor"),
+  // Valor contábil do item: vProd - vDesc + vST + vFrete + vSeg + vOutro + vIPI
+  vNF: {
+    $subtract: [
+      {
+        $add: [
+          zeroSeAusente("$itens.vProd"),
+          zeroSeAusente("$itens.impostos.icms.vICMSST"),
+          zeroSeAusente("$itens.vFrete"),
+          zeroSeAusente("$itens.vSeg"),
+          zeroSeAusente("$itens.vOutro"),
+          zeroSeAusente("$itens.impostos.ipi.vIPI")
+        ]
+      },
+      zeroSeAusente("$itens.vDesc")
+    ]
+  }
+};
+
+function somasDaNota() {
+  const somas = { quantidade: { $sum: 1 } };
+  for (const campo of CAMPOS_RELATORIO) {
+    // Notas sem "totais" (anteriores ao backfill) usam valorTotal como vNF
+    const valor = campo === "vNF"
+      ? { $ifNull: ["$totais.vNF", zeroSeAusente("$valorTotal")] }
+      : zeroSeAusente(`$totais.${campo}`);
+    somas[campo] = { $sum: valor };
+  }
+  return somas;
+}
+
+function somasDoItem() {
+  const somas = { quantidade: { $sum: 1 } };
+  for (const campo of CAMPOS_RELATORIO) {
+    somas[campo] = { $sum: VALORES_ITEM[campo] };
+  }
+  return somas;
+}
+
+function pipelineResumo(filtro) {
+  return [
+    { $match: { $and: [filtro, { status: "autorizada" }] } },
+    {
+      $facet: {
+        totais: [{ $group: { _id: null, ...somasDaNota() } }],
+        porUf: [{ $group: { _id: "$destinatario.endereco.uf", ...somasDaNota() } }],
+        porMes: [{
+          $group: {
+            _id: { $dateToString: { format: "%Y-%m", date: "$dataEmissao", timezone: "America/Sao_Paulo" } },
+            ...somasDaNota()
+          }
+        }],
+        porCfop: [{ $unwind: "$itens" }, { $group: { _id: "$itens.CFOP", ...somasDoItem() } }],
+        porCst: [
+          { $unwind: "$itens" },
+          {
+            $group: {
+              _id: { $ifNull: ["$itens.impostos.icms.cst", "$itens.impostos.icms.csosn"] },
+              ...somasDoItem()
+            }
+          }
+        ]
+      }
+    }
+  ];
+}
+
+function arredondar(grupo) {
+  if (!grupo) return undefined;
+  const resultado = { quantidade: grupo.quantidade };
+  for (const campo of CAMPOS_RELATORIO) {
+    resultado[campo] = Math.round((grupo[campo] || 0) * 100) / 100;
+  }
+  return resultado;
+}
+
+// Junta os grupos de vendas e compras pela mesma chave, lado a lado
+function ladoALado(nomeChave, vendas = [], compras = []) {
+  const mapa = new Map();
+  for (const [lado, grupos] of [["vendas", vendas], ["compras", compras]]) {
+    for (const grupo of grupos) {
+      const chave = grupo._id ?? "não informado";
+      if (!mapa.has(chave)) mapa.set(chave, { [nomeChave]: chave, vendas: null, compras: null });
+      mapa.get(chave)[lado] = arredondar(grupo);
+    }
+  }
+  return [...mapa.values()].sort((a, b) => String(a[nomeChave]).localeCompare(String(b[nomeChave])));
+}
+
+/**
+ * Resumo fiscal do período com vendas (Nota) e compras (NotaCompra) lado a lado
+ * - totais gerais e agrupamentos por CFOP, CST de ICMS, UF de destino e mês
+ * - notas canceladas e sem protocolo de autorização ficam de fora
+ */
+export async function gerarResumoFiscal({ vendas: ModelVendas, compras: ModelCompras }, filtro) {
+  const [[vendas], [compras]] = await Promise.all([
+    ModelVendas.aggregate(pipelineResumo(filtro)),
+    ModelCompras.aggregate(pipelineResumo(filtro))
+  ]);
+
+  return {
+    totais: {
+      vendas: arredondar(vendas.totais[0]) || null,
+      compras: arredondar(compras.totais[0]) || null
+    },
+    porCfop: ladoALado("cfop", vendas.porCfop, compras.porCfop),
+    porCst: ladoALado("cst", vendas.porCst, compras.porCst),
+    porUf: ladoALado("uf", vendas.porUf, compras.porUf),
+    porMes: ladoALado("mes", vendas.porMes, compras.porMes)
+  };
+}
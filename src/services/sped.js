@@ -0,0 +1,415 @@
+// src/services/sped.js
+import { parseStringPromise } from "xml2js";
+import { ErroRequisicao } from "../utils/erros.js";
+import { decomporChave } from "../utils/chaveAcesso.js";
+import { OPCOES_XML2JS, infNFeDoXml } from "../utils/xml.js";
+import { valorContabilItem } from "./camposFiscais.js";
+
+// Versão do leiaute da EFD ICMS/IPI vigente a partir de 2025
+export const VERSAO_LEIAUTE_EFD = "019";
+
+const formatadorData = new Intl.DateTimeFormat("pt-BR", {
+  timeZone: "America/Sao_Paulo",
+  day: "2-digit",
+  month: "2-digit",
+  year: "numeric"
+});
+
+// DDMMAAAA no fuso de Brasília
+function data(valor) {
+  if (!valor) return "";
+  const d = new Date(valor);
+  return isNaN(d) ? "" : formatadorData.format(d).replace(/\//g, "");
+}
+
+// Números com vírgula decimal e casas fixas; vazio quando ausente
+function valor(numero, casas = 2) {
+  if (numero === undefined || numero === null || numero === "" || isNaN(numero)) return "";
+  return Number(numero).toFixed(casas).replace(".", ",");
+}
+
+const zero = numero => valor(numero || 0);
+
+// Texto sem o separador "|" e sem quebras de linha
+function texto(campo) {
+  if (campo === undefined || campo === null) return "";
+  return String(campo).replace(/[|\r\n]+/g, " ").trim();
+}
+
+const somenteDigitos = campo => (campo ? String(campo).replace(/\D/g, "") : "");
+const arred = numero => Math.round((numero || 0) * 100) / 100;
+
+// Monta o arquivo registro a registro, contando as linhas por registro e por bloco
+class ArquivoSped {
+  constructor() {
+    this.linhas = [];
+    this.porRegistro = new Map();
+  }
+
+  registro(reg, ...campos) {
+    this.linhas.push(`|${[reg, ...campos.map(texto)].join("|")}|`);
+    this.porRegistro.set(reg, (this.porRegistro.get(reg) || 0) + 1);
+  }
+
+  linhasDoBloco(bloco) {
+    let total = 0;
+    for (const [reg, qtd] of this.porRegistro) {
+      if (reg[0] === bloco) total += qtd;
+    }
+    return total;
+  }
+
+  // Abertura (X001) e encerramento (X990) de um bloco sem movimento
+  blocoVazio(bloco) {
+    this.registro(`${bloco}001`, "1");
+    this.registro(`${bloco}990`, String(this.linhasDoBloco(bloco) + 1));
+  }
+
+  encerrarBloco(bloco) {
+    this.registro(`${bloco}990`, String(this.linhasDoBloco(bloco) + 1));
+  }
+
+  // Bloco 9: 9900 por registro, 9990 e 9999 com o total de linhas
+  encerrarArquivo() {
+    this.registro("9001", "0");
+    const registros = [...this.porRegistro.keys(), "9900", "9990", "9999"];
+    for (const reg of registros) {
+      const qtd = reg === "9900" ? registros.length
+        : reg === "9990" || reg === "9999" ? 1
+        : this.porRegistro.get(reg);
+      this.registro("9900", reg, String(qtd));
+    }
+    this.registro("9990", String(this.linhasDoBloco("9") + 2));
+    this.registro("9999", String(this.linhas.length + 1));
+    return this.linhas.join("\r\n") + "\r\n";
+  }
+}
+
+// CFOP de saída do fornecedor convertido para o CFOP de entrada (5→1, 6→2, 7→3)
+function cfopEntrada(cfop) {
+  const mapa = { 5: "1", 6: "2", 7: "3" };
+  return cfop && mapa[cfop[0]] ? mapa[cfop[0]] + cfop.substring(1) : cfop;
+}
+
+// CST do IPI de saída (50-99) convertido para o de entrada (00-49)
+function cstIpiEntrada(cst) {
+  if (!cst) return "";
+  const n = Number(cst);
+  return n >= 50 ? String(n - 50).padStart(2, "0") : cst;
+}
+
+function cstIcms(icms) {
+  if (!icms) return "";
+  if (icms.cst) return `${icms.orig ?? "0"}${icms.cst}`;
+  // Fornecedor do Simples Nacional (CSOSN): escriturado como "outras" (90)
+  return `${icms.orig ?? "0"}90`;
+}
+
+// Lê a data AAAA-MM-DD do período no fuso de Brasília
+function lerPeriodo(dataInicio, dataFim) {
+  const formato = /^\d{4}-\d{2}-\d{2}$/;
+  if (!formato.test(dataInicio || "") || !formato.test(dataFim || "")) {
+    throw new ErroRequisicao(400, "dataInicio e dataFim são obrigatórios no formato AAAA-MM-DD.");
+  }
+  const inicio = new Date(`${dataInicio}T00:00:00.000-03:00`);
+  const fim = new Date(`${dataFim}T23:59:59.999-03:00`);
+  if (isNaN(inicio) || isNaN(fim) || inicio > fim) {
+    throw new ErroRequisicao(400, "Período inválido.");
+  }
+  return { inicio, fim };
+}
+
+async function lerInfNFe(nota, avisos) {
+  try {
+    const parsed = await parseStringPromise(nota.xmlTexto || "", OPCOES_XML2JS);
+    const infNFe = infNFeDoXml(parsed);
+    if (infNFe) return infNFe;
+  } catch {
+    // tratado abaixo
+  }
+  avisos.push(`Nota ${nota.numero}: XML armazenado ilegível; dados de série, IE e município ficam em branco.`);
+  return null;
+}
+
+function dadosParticipante(pessoa, endereco) {
+  const cPais = endereco?.cPais || "1058";
+  return {
+    cod: pessoa.CNPJ || pessoa.CPF || pessoa.idEstrangeiro || texto(pessoa.xNome).substring(0, 60),
+    nome: pessoa.xNome,
+    codPais: String(cPais).padStart(5, "0"),
+    cnpj: pessoa.CNPJ,
+    cpf: pessoa.CPF,
+    ie: pessoa.IE && pessoa.IE !== "ISENTO" ? pessoa.IE : "",
+    codMun: endereco?.cMun,
+    end: endereco?.xLgr,
+    num: endereco?.nro,
+    compl: endereco?.xCpl,
+    bairro: endereco?.xBairro
+  };
+}
+
+/**
+ * Gera o arquivo da EFD ICMS/IPI (SPED Fiscal) do período para a empresa informada
+ * - opcoes.empresa: _id da empresa dona das notas; opcoes.cnpj: o CNPJ dela
+ * - Saídas: notas em Nota emitidas pelo CNPJ (canceladas com COD_SIT 02)
+ * - Entradas: notas em NotaCompra da empresa; as de terceiros com C170 por item, as de
+ *   entrada próprias (emissaoPropria) com IND_EMIT 0 e canceladas com COD_SIT 02
+ * - Bloco 0 (0000, 0005, 0100, 0150, 0190, 0200), bloco C (C100, C170, C190),
+ *   apuração E100/E110, 1010 e bloco 9 com os totalizadores
+ * - Notas sem protocolo de autorização ficam de fora
+ * - NFC-e (modelo 65): C100 sem COD_PART, ST, IPI, PIS e COFINS e sem C170, e o consumidor
+ *   não entra no 0150, como pede o Guia Prático para o modelo 65
+ * Retorna { conteudo, nomeArquivo, avisos, totalLinhas }.
+ */
+export async function gerarEfdIcmsIpi({ saidas: ModelSaidas, entradas: ModelEntradas }, opcoes) {
+  const cnpj = somenteDigitos(opcoes.cnpj);
+  if (cnpj.length !== 14) {
+    throw new ErroRequisicao(400, "cnpj da empresa é obrigatório (14 dígitos).");
+  }
+  const { inicio, fim } = lerPeriodo(opcoes.dataInicio, opcoes.dataFim);
+  const perfil = opcoes.perfil || "A";
+  const atividade = opcoes.atividade ?? "1";
+  const avisos = [];
+
+  const periodo = { $gte: inicio, $lte: fim };
+  const [notasSaida, notasEntrada] = await Promise.all([
+    ModelSaidas.find({ empresa: opcoes.empresa, "remetente.cnpj": cnpj, dataEmissao: periodo, status: { $ne: "sem_protocolo" } })
+      .sort({ dataEmissao: 1, numero: 1 }).lean(),
+    ModelEntradas.find({
+      empresa: opcoes.empresa,
+      dataEmissao: periodo,
+      $or: [{ status: "autorizada" }, { emissaoPropria: true, status: "cancelada" }]
+    })
+      .sort({ dataEmissao: 1, numero: 1 }).lean()
+  ]);
+
+  const documentos = [];
+  for (const nota of notasSaida) {
+    documentos.push({ nota, infNFe: await lerInfNFe(nota, avisos), entrada: false, propria: true });
+  }
+  for (const nota of notasEntrada) {
+    documentos.push({ nota, infNFe: await lerInfNFe(nota, avisos), entrada: true, propria: nota.emissaoPropria === true });
+  }
+
+  // Dados da empresa: do emitente das notas próprias ou do destinatário das entradas de terceiros
+  const docEmpresa = documentos.find(d => d.infNFe);
+  const empresa = docEmpresa
+    ? (docEmpresa.propria
+      ? { ...docEmpresa.infNFe.emit, ender: docEmpresa.infNFe.emit?.enderEmit }
+      : { ...docEmpresa.infNFe.dest, ender: docEmpresa.infNFe.dest?.enderDest })
+    : { CNPJ: cnpj, ender: {} };
+  if (!docEmpresa) {
+    avisos.push("Nenhuma nota no período: registros 0000/0005 gerados sem nome, IE e endereço da empresa.");
+  }
+  if (!empresa.IE) {
+    avisos.push("Inscrição estadual da empresa não encontrada nas notas (registro 0000).");
+  }
+
+  const participantes = new Map();
+  const unidades = new Set();
+  const itensCadastro = new Map();
+  const registrosC = [];
+  let totalDebitos = 0;
+  let totalCreditos = 0;
+  let temST = false;
+
+  for (const { nota, infNFe, entrada, propria } of documentos) {
+    const chave = decomporChave(nota.chaveNFe);
+    const ide = infNFe?.ide || {};
+    const codMod = ide.mod || chave.mod;
+    const serie = ide.serie ?? String(Number(chave.serie));
+    const nfce = codMod === "65";
+
+    // Cancelada (só notas próprias chegam aqui canceladas): C100 reduzido, sem itens
+    if (nota.status === "cancelada") {
+      registrosC.push(["C100", entrada ? "0" : "1", "0", "", codMod, "02", serie, nota.numero, nota.chaveNFe,
+        "", "", "", "", "", "", "", "", "", "", "", "", "", "", "", "", "", "", "", ""]);
+      continue;
+    }
+
+    if (!nota.itens?.length || !nota.totais) {
+      avisos.push(`Nota ${nota.numero}: sem itens/totais estruturados; rode npm run migrar:campos-fiscais.`);
+      continue;
+    }
+
+    // NFC-e não identifica o participante no C100
+    let codPart = "";
+    if (!nfce && infNFe) {
+      const pessoa = propria ? infNFe.dest : infNFe.emit;
+      const endereco = propria ? infNFe.dest?.enderDest : infNFe.emit?.enderEmit;
+      if (pessoa) {
+        const participante = dadosParticipante(pessoa, endereco);
+        if (!participante.codMun && participante.codPais === "01058") {
+          avisos.push(`Nota ${nota.numero}: participante ${participante.cod} sem código de município (0150).`);
+        }
+        participantes.set(participante.cod, participante);
+        codPart = participante.cod;
+      }
+    } else if (!nfce) {
+      codPart = propria ? (nota.destinatario?.cnpj || nota.destinatario?.cpf) : nota.remetente?.cnpj;
+      avisos.push(`Nota ${nota.numero}: participante ${codPart} sem dados completos para o 0150.`);
+    }
+
+    const t = nota.totais;
+    const indPag = nota.pagamentos?.[0]?.indPag;
+    const modFrete = infNFe?.transp?.modFrete ?? "9";
+    registrosC.push(["C100", entrada ? "0" : "1", propria ? "0" : "1", codPart, codMod, "00", serie,
+      nota.numero, nota.chaveNFe, data(nota.dataEmissao), data(ide.dhSaiEnt || nota.dataEmissao),
+      zero(t.vNF), ["0", "1"].includes(indPag) ? indPag : (nota.duplicatas?.length ? "1" : "2"),
+      zero(t.vDesc), zero(0), zero(t.vProd), modFrete, zero(t.vFrete), zero(t.vSeg), zero(t.vOutro),
+      zero(t.vBC), zero(t.vICMS),
+      ...(nfce
+        ? ["", "", "", "", "", "", ""]
+        : [zero(t.vBCST), zero(t.vST), zero(t.vIPI), zero(t.vPIS), zero(t.vCOFINS), zero(0), zero(0)])]);
+
+    // C190: consolidação por CST, CFOP e alíquota
+    const analitico = new Map();
+    for (const item of nota.itens) {
+      const icms = item.impostos?.icms;
+      const ipi = item.impostos?.ipi;
+      const cst = cstIcms(icms);
+      const cfop = entrada ? cfopEntrada(item.CFOP) : item.CFOP;
+
+      if (!icms) {
+        avisos.push(`Nota ${nota.numero} item ${item.nItem}: sem grupo de ICMS.`);
+      } else if (icms.csosn && !propria) {
+        avisos.push(`Nota ${nota.numero} item ${item.nItem}: fornecedor do Simples (CSOSN ${icms.csosn}) escriturado com CST ${cst}; revise o crédito.`);
+      }
+      if (icms?.vICMSST) temST = true;
+
+      // C170 só nas entradas de terceiros; notas próprias já estão com o fisco item a item
+      // e NFC-e não tem C170
+      if (!propria && !nfce) {
+        const codItem = item.cProd;
+        const existente = itensCadastro.get(codItem);
+        if (existente && existente.descricao !== item.xProd) {
+          avisos.push(`Item ${codItem}: descrições diferentes entre fornecedores ("${existente.descricao}" x "${item.xProd}"); o 0200 usa a primeira.`);
+        }
+        if (!existente) {
+          itensCadastro.set(codItem, {
+            descricao: item.xProd,
+            codBarra: item.cEAN && item.cEAN !== "SEM GTIN" ? item.cEAN : "",
+            unidade: item.uCom,
+            ncm: item.NCM,
+            cest: item.CEST
+          });
+        }
+        unidades.add(item.uCom);
+
+        registrosC.push(["C170", String(item.nItem), codItem, "", valor(item.qCom, 5), item.uCom,
+          zero(item.vProd), zero(item.vDesc), "0", cst, cfop, "",
+          valor(icms?.vBC), valor(icms?.pICMS), valor(icms?.vICMS),
+          valor(icms?.vBCST), valor(icms?.pICMSST), valor(icms?.vICMSST), "",
+          cstIpiEntrada(ipi?.cst), "", valor(ipi?.vBC), valor(ipi?.pIPI), valor(ipi?.vIPI),
+          "", "", "", "", "", "", "", "", "", "", "", "", "", ""]);
+      }
+
+      const aliquota = icms?.pICMS || 0;
+      const chaveAnalitico = `${cst}|${cfop}|${aliquota}`;
+      const grupo = analitico.get(chaveAnalitico) || {
+        cst, cfop, aliquota, vOpr: 0, vBC: 0, vICMS: 0, vBCST: 0, vST: 0, vRedBC: 0, vIPI: 0
+      };
+      grupo.vOpr += valorContabilItem(item);
+      grupo.vBC += icms?.vBC || 0;
+      grupo.vICMS += icms?.vICMS || 0;
+      grupo.vBCST += icms?.vBCST || 0;
+      grupo.vST += icms?.vICMSST || 0;
+      if (icms?.pRedBC) {
+        grupo.vRedBC += (item.vProd || 0) - (icms.vBC || 0);
+      }
+      grupo.vIPI += ipi?.vIPI || 0;
+      analitico.set(chaveAnalitico, grupo);
+    }
+
+    for (const g of analitico.values()) {
+      registrosC.push(["C190", g.cst, g.cfop, valor(g.aliquota), zero(arred(g.vOpr)), zero(arred(g.vBC)),
+        zero(arred(g.vICMS)), zero(arred(g.vBCST)), zero(arred(g.vST)), zero(arred(g.vRedBC)),
+        zero(arred(g.vIPI)), ""]);
+      if (entrada) totalCreditos += g.vICMS;
+      else totalDebitos += g.vICMS;
+    }
+  }
+
+  const arquivo = new ArquivoSped();
+  const ender = empresa.ender || {};
+
+  // Bloco 0
+  arquivo.registro("0000", opcoes.codVersao || VERSAO_LEIAUTE_EFD, "0", data(inicio), data(fim),
+    empresa.xNome, cnpj, "", ender.UF, empresa.IE, ender.cMun, empresa.IM, "", perfil, atividade);
+  arquivo.registro("0001", "0");
+  arquivo.registro("0005", empresa.xFant, ender.CEP, ender.xLgr, ender.nro, ender.xCpl, ender.xBairro,
+    ender.fone, "", empresa.email);
+
+  const contador = {
+    nome: process.env.SPED_CONTADOR_NOME,
+    cpf: process.env.SPED_CONTADOR_CPF,
+    crc: process.env.SPED_CONTADOR_CRC,
+    email: process.env.SPED_CONTADOR_EMAIL,
+    codMun: process.env.SPED_CONTADOR_COD_MUN
+  };
+  if (contador.nome && contador.crc) {
+    arquivo.registro("0100", contador.nome, somenteDigitos(contador.cpf), contador.crc, "", "", "", "", "",
+      "", "", "", contador.email, contador.codMun);
+  } else {
+    avisos.push("Registro 0100 (contabilista) não gerado: configure SPED_CONTADOR_NOME e SPED_CONTADOR_CRC.");
+  }
+
+  for (const p of participantes.values()) {
+    arquivo.registro("0150", p.cod, p.nome, p.codPais, p.cnpj, p.cpf, p.ie, p.codMun, "",
+      p.end, p.num, p.compl, p.bairro);
+  }
+  for (const unidade of unidades) {
+    arquivo.registro("0190", unidade, unidade);
+  }
+  for (const [codItem, item] of itensCadastro) {
+    arquivo.registro("0200", codItem, item.descricao, item.codBarra, "", item.unidade, "00", item.ncm,
+      "", item.ncm ? item.ncm.substring(0, 2) : "", "", "", item.cest);
+  }
+  arquivo.encerrarBloco("0");
+
+  // Bloco B (ISS do DF) sem movimento
+  arquivo.blocoVazio("B");
+
+  // Bloco C
+  arquivo.registro("C001", registrosC.length > 0 ? "0" : "1");
+  for (const campos of registrosC) {
+    arquivo.registro(...campos);
+  }
+  arquivo.encerrarBloco("C");
+
+  arquivo.blocoVazio("D");
+
+  // Bloco E: apuração do ICMS a partir dos C190
+  const debitos = arred(totalDebitos);
+  const creditos = arred(totalCreditos);
+  const saldo = arred(debitos - creditos);
+  arquivo.registro("E001", "0");
+  arquivo.registro("E100", data(inicio), data(fim));
+  arquivo.registro("E110", zero(debitos), zero(0), zero(0), zero(0), zero(creditos), zero(0), zero(0),
+    zero(0), zero(0), zero(Math.max(saldo, 0)), zero(0), zero(Math.max(saldo, 0)),
+    zero(Math.max(-saldo, 0)), zero(0));
+  arquivo.encerrarBloco("E");
+  if (saldo > 0) {
+    avisos.push(`ICMS a recolher de ${valor(saldo)}: informe as obrigações no registro E116 antes de transmitir.`);
+  }
+  if (temST) {
+    avisos.push("Há operações com ICMS-ST no período: a apuração E200/E210 não é gerada automaticamente.");
+  }
+
+  arquivo.blocoVazio("G");
+  arquivo.blocoVazio("H");
+  arquivo.blocoVazio("K");
+
+  // Bloco 1: 1010 obrigatório com todos os indicadores "N"
+  arquivo.registro("1001", "0");
+  arquivo.registro("1010", ...Array(13).fill("N"));
+  arquivo.encerrarBloco("1");
+
+  const conteudo = arquivo.encerrarArquivo();
+  return {
+    conteudo,
+    nomeArquivo: `SPED-EFD-${cnpj}-${opcoes.dataInicio}-${opcoes.dataFim}.txt`,
+    avisos,
+    totalLinhas: arquivo.linhas.length
+  };
+}
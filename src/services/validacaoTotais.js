@@ -0,0 +1,94 @@
+// src/services/validacaoTotais.js
+
+// Diferença aceita por arredondamento
+const TOLERANCIA = 0.01;
+
+// Totais do ICMSTot conferidos com a soma do mesmo valor nos itens
+const SOMAS_ITENS = {
+  vBC: item => item.impostos?.icms?.vBC,
+  vICMS: item => item.impostos?.icms?.vICMS,
+  vICMSDeson: item => item.impostos?.icms?.vICMSDeson,
+  vFCP: item => item.impostos?.icms?.vFCP,
+  vBCST: item => item.impostos?.icms?.vBCST,
+  vST: item => item.impostos?.icms?.vICMSST,
+  vIPI: item => item.impostos?.ipi?.vIPI,
+  vPIS: item => item.impostos?.pis?.valor,
+  vCOFINS: item => item.impostos?.cofins?.valor,
+  vFrete: item => item.vFrete,
+  vSeg: item => item.vSeg,
+  vDesc: item => item.vDesc,
+  vOutro: item => item.vOutro,
+  vTotTrib: item => item.impostos?.vTotTrib
+};
+
+const emCentavos = valor => Math.round((valor || 0) * 100);
+const formatar = valor => (emCentavos(valor) / 100).toFixed(2);
+
+function diverge(esperado, informado) {
+  return Math.abs(emCentavos(esperado) - emCentavos(informado)) > emCentavos(TOLERANCIA);
+}
+
+function advertencia(codigo, campo, esperado, informado, mensagem, nItem) {
+  return {
+    codigo,
+    campo,
+    nItem,
+    esperado: emCentavos(esperado) / 100,
+    informado: emCentavos(informado) / 100,
+    mensagem
+  };
+}
+
+/**
+ * Recalcula os totais da nota a partir dos itens (campos de extrairCamposFiscais)
+ * - item_vprod: vProd do item diferente de qCom × vUnCom
+ * - total_vprod: ICMSTot.vProd diferente da soma dos itens que compõem o total (indTot = 1)
+ * - total_vnf: vNF diferente de vProd − vDesc + vST + vFrete + vSeg + vOutro + vIPI
+ *   (mais vII, vIPIDevol e vFCPST; aceita também com o vICMSDeson abatido)
+ * - total_campo: total de imposto (ou frete, seguro, desconto, outras) diferente da soma dos itens
+ * Diferenças de até um centavo são arredondamento. Retorna a lista de advertências (vazia se confere).
+ */
+export function validarTotais({ itens = [], totais = {} }) {
+  const advertencias = [];
+
+  for (const item of itens) {
+    if (item.qCom === undefined || item.vUnCom === undefined || item.vProd === undefined) continue;
+    const esperado = item.qCom * item.vUnCom;
+    if (diverge(esperado, item.vProd)) {
+      advertencias.push(advertencia("item_vprod", "vProd", esperado, item.vProd,
+        `Item ${item.nItem}: vProd ${formatar(item.vProd)} difere de qCom × vUnCom (${formatar(esperado)}).`, item.nItem));
+    }
+  }
+
+  if (totais.vProd !== undefined) {
+    const soma = itens
+      .filter(item => item.indTot !== "0")
+      .reduce((total, item) => total + emCentavos(item.vProd), 0) / 100;
+    if (diverge(soma, totais.vProd)) {
+      advertencias.push(advertencia("total_vprod", "vProd", soma, totais.vProd,
+        `ICMSTot.vProd ${formatar(totais.vProd)} difere da soma dos itens (${formatar(soma)}).`));
+    }
+  }
+
+  if (totais.vNF !== undefined) {
+    const t = campo => totais[campo] || 0;
+    const esperado = t("vProd") - t("vDesc") + t("vST") + t("vFCPST") + t("vFrete") + t("vSeg") +
+      t("vOutro") + t("vII") + t("vIPI") + t("vIPIDevol");
+    // O ICMS desonerado pode ou não ser abatido do vNF, conforme o motivo da desoneração
+    if (diverge(esperado, totais.vNF) && diverge(esperado - t("vICMSDeson"), totais.vNF)) {
+      advertencias.push(advertencia("total_vnf", "vNF", esperado, totais.vNF,
+        `vNF ${formatar(totais.vNF)} difere de vProd − vDesc + vST + vFrete + vSeg + vOutro + vIPI (${formatar(esperado)}).`));
+    }
+  }
+
+  for (const [campo, valorItem] of Object.entries(SOMAS_ITENS)) {
+    if (totais[campo] === undefined) continue;
+    const soma = itens.reduce((total, item) => total + emCentavos(valorItem(item)), 0) / 100;
+    if (diverge(soma, totais[campo])) {
+      advertencias.push(advertencia("total_campo", campo, soma, totais[campo],
+        `ICMSTot.${campo} ${formatar(totais[campo])} difere da soma dos itens (${formatar(soma)}).`));
+    }
+  }
+
+  return advertencias;
+}
@@ -0,0 +1,403 @@
+// src/services/webhooks.js
+import crypto from "crypto";
+import dns from "dns/promises";
+import net from "net";
+import { Webhook } from "../models/Webhook.js";
+import { EntregaWebhook } from "../models/EntregaWebhook.js";
+import { Nota } from "../models/Nota.js";
+import { NotaCompra } from "../models/NotaCompra.js";
+import { ErroRequisicao } from "../utils/erros.js";
+
+const INTERVALO_ENTREGAS = 5000;
+const ATRASO_INICIAL = 30 * 1000;
+const ATRASO_MAXIMO = 6 * 60 * 60 * 1000;
+const TEMPO_LIMITE_REQUISICAO = 10 * 1000;
+// Entrega em "processando" há mais tempo que isso ficou presa numa queda do processo
+const TEMPO_MAXIMO_PROCESSAMENTO = 5 * 60 * 1000;
+const TAMANHO_MAXIMO_RESPOSTA = 1000;
+
+// Tentativas antes de a entrega falhar de vez (WEBHOOK_MAX_TENTATIVAS, padrão 8)
+export function maxTentativasWebhook() {
+  const tentativas = Number(process.env.WEBHOOK_MAX_TENTATIVAS);
+  return tentativas > 0 ? tentativas : 8;
+}
+
+// Espera antes da próxima tentativa: 30s, 1min, 2min, 4min... até 6h
+export function atrasoEntrega(tentativas) {
+  return Math.min(ATRASO_INICIAL * 2 ** Math.max(tentativas - 1, 0), ATRASO_MAXIMO);
+}
+
+// Redes que não podem ser destino de webhook: não especificado, privadas, CGNAT, loopback,
+// link-local (inclui o metadata das nuvens, 169.254.169.254), multicast e reservadas.
+// As faixas IPv4 também valem para os endereços IPv6 mapeados (::ffff:10.0.0.1).
+const REDES_INTERNAS = new net.BlockList();
+for (const [rede, prefixo] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) {
+  REDES_INTERNAS.addSubnet(rede, prefixo, "ipv4");
+}
+for (const [rede, prefixo] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  REDES_INTERNAS.addSubnet(rede, prefixo, "ipv6");
+}
+
+// Hosts aceitos mesmo na rede interna (WEBHOOK_HOSTS_PERMITIDOS, separados por vírgula; ex.: localhost)
+export function hostsWebhookPermitidos() {
+  return String(process.env.WEBHOOK_HOSTS_PERMITIDOS || "")
+    .split(",")
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Confere a url de um webhook: http ou https e um host que não resolve para a rede interna
+ * - Todos os endereços do host são conferidos depois da resolução DNS, para que o webhook
+ *   não sirva para alcançar serviços internos a partir do servidor (SSRF)
+ * - Hosts de WEBHOOK_HOSTS_PERMITIDOS não são conferidos
+ * Lança ErroRequisicao (400) se a url não é aceita. Retorna a url normalizada.
+ */
+export async function validarUrlWebhook(url) {
+  let endereco;
+  try {
+    endereco = new URL(url);
+  } catch {
+    throw new ErroRequisicao(400, "url inválida.");
+  }
+  if (!["http:", "https:"].includes(endereco.protocol)) {
+    throw new ErroRequisicao(400, "url deve usar http ou https.");
+  }
+
+  const host = endereco.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (hostsWebhookPermitidos().includes(host)) return endereco.toString();
+
+  let enderecos;
+  try {
+    enderecos = await dns.lookup(host, { all: true });
+  } catch {
+    throw new ErroRequisicao(400, `Host da url não encontrado: ${host}.`);
+  }
+  const interno = enderecos.find(({ address, family }) => REDES_INTERNAS.check(address, family === 6 ? "ipv6" : "ipv4"));
+  if (interno) {
+    throw new ErroRequisicao(400, `url aponta para um endereço da rede interna (${interno.address}).`);
+  }
+  return endereco.toString();
+}
+
+export function gerarSegredoWebhook() {
+  return "whsec_" + crypto.randomBytes(24).toString("hex");
+}
+
+// Assinatura da entrega: HMAC-SHA256 de "<timestamp>.<corpo>" com o segredo do webhook
+export function assinarWebhook(segredo, timestamp, corpo) {
+  return "sha256=" + crypto.createHmac("sha256", segredo).update(`${timestamp}.${corpo}`).digest("hex");
+}
+
+// Diferença máxima aceita entre X-Webhook-Timestamp e o relógio do receptor
+export const TOLERANCIA_TIMESTAMP_WEBHOOK = 5 * 60;
+
+/**
+ * Confere se o X-Webhook-Timestamp recebido está dentro da tolerância (em segundos)
+ * - Obrigatório no receptor junto com a assinatura: sem ele, uma entrega capturada
+ *   poderia ser reenviada ao destino a qualquer momento com a assinatura ainda válida
+ * - As novas tentativas são assinadas de novo com o timestamp do envio
+ */
+export function timestampWebhookValido(timestamp, tolerancia = TOLERANCIA_TIMESTAMP_WEBHOOK) {
+  const segundos = Number(timestamp);
+  return Number.isInteger(segundos) && Math.abs(Date.now() / 1000 - segundos) <= tolerancia;
+}
+
+// Confere o cabeçalho X-Webhook-Assinatura recebido (usado pelo receptor de testes)
+export function verificarAssinaturaWebhook(segredo, timestamp, corpo, assinatura) {
+  const esperada = Buffer.from(assinarWebhook(segredo, timestamp, corpo));
+  const recebida = Buffer.from(String(assinatura || ""));
+  return esperada.length === recebida.length && crypto.timingSafeEqual(esperada, recebida);
+}
+
+// Resumo da nota enviado nos eventos (sem o XML)
+export function resumoNotaWebhook(nota, colecao = nota.constructor.modelName) {
+  return {
+    id: nota._id,
+    colecao,
+    numero: nota.numero,
+    serie: nota.serie,
+    modelo: nota.modelo,
+    chaveNFe: nota.chaveNFe,
+    dataEmissao: nota.dataEmissao,
+    valorTotal: nota.valorTotal,
+    emitente: nota.remetente?.nome,
+    destinatario: nota.destinatario?.nome,
+    status: nota.status,
+    pdfStatus: nota.pdfStatus
+  };
+}
+
+function montarPayload(empresa, evento, dados, id = crypto.randomUUID(), ocorridoEm = new Date()) {
+  return { id, evento, ocorridoEm, empresa, dados };
+}
+
+/**
+ * Evento para gravar em nota.webhooksPendentes na mesma escrita que altera a nota
+ * - O id vira o payload.id das entregas e impede que o evento seja entregue duas vezes
+ * - dados completa o resumo da nota, montado quando o evento vai para a caixa de saída
+ */
+export function marcadorEvento(evento, dados = {}) {
+  return { id: crypto.randomUUID(), evento, ocorridoEm: new Date(), dados };
+}
+
+// Anota o evento no documento da nota, para ser gravado no próximo save()
+export function marcarEvento(nota, evento, dados) {
+  const marcador = marcadorEvento(evento, dados);
+  nota.webhooksPendentes.push(marcador);
+  return marcador;
+}
+
+/**
+ * Coloca os eventos na caixa de saída de cada webhook ativo da empresa que os assina
+ * - ocorrencias: [{ id, ocorridoEm, dados }], um payload por ocorrência e webhook
+ * - A entrega de um evento já gravado para o webhook (mesmo id) é ignorada, então
+ *   gravar de novo depois de uma queda não duplica entregas
+ * Outros erros são lançados. Retorna a quantidade de entregas criadas.
+ */
+async function gravarEntregas(empresa, evento, ocorrencias) {
+  if (ocorrencias.length === 0) return 0;
+  const webhooks = await Webhook.find({ empresa, ativo: true, eventos: evento }).select("_id");
+  if (webhooks.length === 0) return 0;
+
+  const agora = new Date();
+  const entregas = [];
+  for (const { id, ocorridoEm, dados } of ocorrencias) {
+    const payload = montarPayload(empresa, evento, dados, id, ocorridoEm);
+    for (const webhook of webhooks) {
+      entregas.push({
+        empresa,
+        webhook: webhook._id,
+        evento,
+        payload,
+        chaveEvento: payload.id,
+        maxTentativas: maxTentativasWebhook(),
+        proximaTentativa: agora
+      });
+    }
+  }
+
+  try {
+    await EntregaWebhook.insertMany(entregas, { ordered: false });
+    return entregas.length;
+  } catch (err) {
+    const erros = err.writeErrors ?? [];
+    if (erros.length === 0 || erros.some(e => e.code !== 11000)) throw err;
+    return entregas.length - erros.length;
+  }
+}
+
+/**
+ * Evento sem alteração de nota para acompanhar (nota.duplicada): vai direto para a
+ * caixa de saída. Erros são lançados para a operação que disparou o evento.
+ */
+export function dispararEvento(empresa, evento, dados) {
+  return gravarEntregas(empresa, evento, [{ id: crypto.randomUUID(), ocorridoEm: new Date(), dados }]);
+}
+
+const MODELOS_COM_EVENTOS = [Nota, NotaCompra];
+const LOTE_EVENTOS_PENDENTES = 100;
+
+/**
+ * Leva os eventos gravados nas notas (webhooksPendentes) para a caixa de saída
+ * - As entregas são criadas antes de o evento sair da nota: uma queda no meio só faz o
+ *   evento ser gravado de novo no próximo ciclo, e a repetição é ignorada (chaveEvento)
+ * - Inclui notas na lixeira (nota.excluida)
+ * - Erro numa nota é registrado e não impede as outras: os eventos dela continuam na nota
+ *   e o _id vai para falhas, que as próximas chamadas do mesmo ciclo deixam de fora
+ * Retorna a quantidade de notas lidas (com os eventos levados ou com erro).
+ */
+export async function materializarEventosPendentes(falhas = new Set()) {
+  let lidas = 0;
+  for (const Model of MODELOS_COM_EVENTOS) {
+    const notas = await Model.find({ "webhooksPendentes.id": { $exists: true }, _id: { $nin: [...falhas] } })
+      .setOptions({ comExcluidas: true })
+      .select("empresa numero serie modelo chaveNFe dataEmissao valorTotal remetente.nome destinatario.nome status pdfStatus webhooksPendentes")
+      .limit(LOTE_EVENTOS_PENDENTES)
+      .lean();
+
+    for (const nota of notas) {
+      lidas++;
+      try {
+        const resumo = resumoNotaWebhook(nota, Model.modelName);
+        const marcadores = nota.webhooksPendentes;
+        for (const { id, evento, ocorridoEm, dados } of marcadores) {
+          await gravarEntregas(nota.empresa, evento, [{ id, ocorridoEm, dados: { ...resumo, ...dados } }]);
+        }
+        await Model.updateOne(
+          { _id: nota._id },
+          { $pull: { webhooksPendentes: { id: { $in: marcadores.map(m => m.id) } } } }
+        ).setOptions({ comExcluidas: true });
+      } catch (err) {
+        console.error(`Erro ao levar os eventos da nota ${nota.numero} para a caixa de saída:`, err);
+        falhas.add(nota._id);
+      }
+    }
+  }
+  return lidas;
+}
+
+// Entrega de teste para um único webhook, mesmo que ele não assine nenhum evento
+export function enfileirarTeste(webhook) {
+  return EntregaWebhook.create({
+    empresa: webhook.empresa,
+    webhook: webhook._id,
+    evento: "webhook.teste",
+    payload: montarPayload(webhook.empresa, "webhook.teste", { mensagem: "Entrega de teste do webhook." }),
+    maxTentativas: 1
+  });
+}
+
+/**
+ * Reenvia uma entrega do log (replay) como uma nova entrega, com o mesmo payload
+ * - payload.id não muda: o destino pode usá-lo para ignorar eventos já processados
+ * - A entrega original fica como está; a nova aponta para ela em reenvioDe
+ * Retorna a nova entrega.
+ */
+export function reenviarEntrega(entrega) {
+  return EntregaWebhook.create({
+    empresa: entrega.empresa,
+    webhook: entrega.webhook,
+    evento: entrega.evento,
+    payload: entrega.payload,
+    maxTentativas: maxTentativasWebhook(),
+    reenvioDe: entrega._id
+  });
+}
+
+// Faz o POST assinado; retorna a tentativa para o histórico (erro preenchido quando não foi 2xx
+// ou quando a url passou a apontar para a rede interna)
+async function enviar(webhook, entrega) {
+  const corpo = JSON.stringify(entrega.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const inicio = Date.now();
+  const tentativa = { em: new Date(), url: webhook.url };
+
+  try {
+    // Confere de novo a cada envio: o DNS do host pode ter passado a apontar para a rede interna
+    await validarUrlWebhook(webhook.url);
+    const resposta = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "nfe-backend-webhooks",
+        "X-Webhook-Evento": entrega.evento,
+        "X-Webhook-Entrega": String(entrega._id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Assinatura": assinarWebhook(webhook.segredo, timestamp, corpo)
+      },
+      body: corpo,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TEMPO_LIMITE_REQUISICAO)
+    });
+    tentativa.statusHttp = resposta.status;
+    tentativa.resposta = (await resposta.text().catch(() => "")).substring(0, TAMANHO_MAXIMO_RESPOSTA);
+    if (!resposta.ok) {
+      tentativa.erro = `Destino respondeu HTTP ${resposta.status}.`;
+    }
+  } catch (err) {
+    tentativa.erro = err.name === "TimeoutError"
+      ? `Destino não respondeu em ${TEMPO_LIMITE_REQUISICAO / 1000}s.`
+      : (err.cause?.message || err.message);
+  }
+  tentativa.duracaoMs = Date.now() - inicio;
+  return tentativa;
+}
+
+/**
+ * Pega a próxima entrega vencida da caixa de saída e faz o POST para o webhook
+ * - A entrega é reservada de forma atômica: várias instâncias podem processar a mesma fila
+ * - Resposta 2xx conclui a entrega; qualquer outra resposta, erro de rede ou tempo esgotado
+ *   volta para a fila com backoff, até esgotar as tentativas ("falhou")
+ * - Webhook apagado ou desativado: a entrega é descartada
+ * - Toda tentativa fica no histórico da entrega
+ * Retorna a entrega processada ou null se a fila está vazia.
+ */
+export async function processarProximaEntrega() {
+  const agora = new Date();
+  const entrega = await EntregaWebhook.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pendente", proximaTentativa: { $lte: agora } },
+        { status: "processando", iniciadaEm: { $lte: new Date(agora.getTime() - TEMPO_MAXIMO_PROCESSAMENTO) } }
+      ]
+    },
+    { $set: { status: "processando", iniciadaEm: agora, atualizadoEm: agora }, $inc: { tentativas: 1 } },
+    { sort: { proximaTentativa: 1 }, new: true }
+  );
+  if (!entrega) return null;
+
+  const reservada = { _id: entrega._id, status: "processando", tentativas: entrega.tentativas };
+  const webhook = await Webhook.findById(entrega.webhook);
+  if (!webhook?.ativo) {
+    await EntregaWebhook.updateOne(reservada, {
+      $set: { status: "descartada", erro: webhook ? "Webhook desativado." : "Webhook removido.", atualizadoEm: new Date() }
+    });
+    return entrega;
+  }
+
+  const tentativa = await enviar(webhook, entrega);
+  if (!tentativa.erro) {
+    await EntregaWebhook.updateOne(reservada, {
+      $set: { status: "entregue", entregueEm: new Date(), atualizadoEm: new Date() },
+      $unset: { erro: "" },
+      $push: { historico: tentativa }
+    });
+    return entrega;
+  }
+
+  const falhou = entrega.tentativas >= entrega.maxTentativas;
+  console.error(`Erro ao entregar ${entrega.evento} para ${webhook.url} (tentativa ${entrega.tentativas}/${entrega.maxTentativas}): ${tentativa.erro}`);
+  await EntregaWebhook.updateOne(reservada, {
+    $set: {
+      status: falhou ? "falhou" : "pendente",
+      erro: tentativa.erro,
+      proximaTentativa: new Date(Date.now() + atrasoEntrega(entrega.tentativas)),
+      atualizadoEm: new Date()
+    },
+    $push: { historico: tentativa }
+  });
+  return entrega;
+}
+
+/**
+ * Entrega os eventos da caixa de saída em segundo plano: leva os eventos gravados nas notas
+ * para a caixa de saída, esvazia as entregas vencidas e volta a olhar a fila a cada
+ * intervalo, sem segurar o processo aberto
+ * Retorna { parar }, que espera a entrega em andamento terminar.
+ */
+export function iniciarEntregasWebhook({ intervalo = INTERVALO_ENTREGAS } = {}) {
+  let ativo = true;
+  let timer;
+  let ciclo = Promise.resolve();
+
+  const executar = async () => {
+    // Falha ao levar os eventos não segura as entregas que já estão na caixa de saída
+    try {
+      const falhas = new Set();
+      while (ativo && await materializarEventosPendentes(falhas) > 0);
+    } catch (err) {
+      console.error("Erro ao levar os eventos das notas para a caixa de saída:", err);
+    }
+    try {
+      while (ativo && await processarProximaEntrega());
+    } catch (err) {
+      console.error("Erro ao processar as entregas de webhooks:", err);
+    }
+    if (ativo) {
+      timer = setTimeout(() => { ciclo = executar(); }, intervalo).unref();
+    }
+  };
+
+  ciclo = executar();
+  return {
+    async parar() {
+      ativo = false;
+      clearTimeout(timer);
+      await ciclo;
+    }
+  };
+}
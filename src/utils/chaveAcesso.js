@@ -0,0 +1,86 @@
+// src/utils/chaveAcesso.js
+
+/**
+ * Layout da chave de acesso (44 dígitos):
+ * cUF(2) AAMM(4) CNPJ/CPF(14) mod(2) serie(3) nNF(9) tpEmis(1) cNF(8) cDV(1)
+ */
+export function decomporChave(chave) {
+  return {
+    cUF: chave.substring(0, 2),
+    aamm: chave.substring(2, 6),
+    cnpj: chave.substring(6, 20),
+    mod: chave.substring(20, 22),
+    serie: chave.substring(22, 25),
+    nNF: chave.substring(25, 34),
+    tpEmis: chave.substring(34, 35),
+    cNF: chave.substring(35, 43),
+    cDV: chave.substring(43, 44)
+  };
+}
+
+// Dígito verificador módulo 11 (pesos 2 a 9 da direita para a esquerda)
+export function calcularDigitoVerificador(chave43) {
+  let soma = 0;
+  let peso = 2;
+  for (let i = chave43.length - 1; i >= 0; i--) {
+    soma += Number(chave43[i]) * peso;
+    peso = peso === 9 ? 2 : peso + 1;
+  }
+  const resto = soma % 11;
+  return resto < 2 ? 0 : 11 - resto;
+}
+
+// Extrai AAMM de dhEmi (v3.10/4.00) ou dEmi (v2.00)
+function aammDaEmissao(ide) {
+  const data = ide.dhEmi || ide.dEmi;
+  if (!data || data.length < 7) return undefined;
+  return data.substring(2, 4) + data.substring(5, 7);
+}
+
+function compara(inconsistencias, campo, naChave, noXml) {
+  if (noXml === undefined || noXml === null || noXml === "") {
+    inconsistencias.push(`${campo} ausente no XML (chave informa ${naChave}).`);
+  } else if (naChave !== noXml) {
+    inconsistencias.push(`${campo} diverge: chave informa ${naChave}, XML informa ${noXml}.`);
+  }
+}
+
+/**
+ * Valida a chave de acesso contra o infNFe (ou infCte, com nCT/cCT no lugar de nNF/cNF):
+ * - 44 dígitos numéricos
+ * - dígito verificador módulo 11
+ * - cUF, AAMM, CNPJ/CPF do emitente, modelo, série, nNF, tpEmis, cNF e cDV
+ *   iguais aos informados em ide/emit
+ * Retorna a lista de inconsistências (vazia quando a chave é válida).
+ */
+export function validarChaveAcesso(chave, infNFe) {
+  if (typeof chave !== "string" || !/^\d{44}$/.test(chave)) {
+    return [`Chave de acesso deve ter 44 dígitos numéricos (recebido: "${chave}").`];
+  }
+
+  const inconsistencias = [];
+  const dvCalculado = calcularDigitoVerificador(chave.substring(0, 43));
+  const partes = decomporChave(chave);
+
+  if (String(dvCalculado) !== partes.cDV) {
+    inconsistencias.push(`Dígito verificador inválido: chave informa ${partes.cDV}, calculado ${dvCalculado}.`);
+  }
+
+  const ide = infNFe.ide || {};
+  const emit = infNFe.emit || {};
+  const docEmitente = emit.CNPJ || (emit.CPF ? emit.CPF.padStart(14, "0") : undefined);
+  const pad = (valor, tamanho) => (valor === undefined ? undefined : String(valor).padStart(tamanho, "0"));
+
+  compara(inconsistencias, "cUF", partes.cUF, ide.cUF);
+  compara(inconsistencias, "AAMM da emissão", partes.aamm, aammDaEmissao(ide));
+  compara(inconsistencias, "CNPJ/CPF do emitente", partes.cnpj, docEmitente);
+  compara(inconsistencias, "Modelo", partes.mod, ide.mod);
+  compara(inconsistencias, "Série", partes.serie, pad(ide.serie, 3));
+  const cte = ide.nCT !== undefined;
+  compara(inconsistencias, cte ? "nCT" : "nNF", partes.nNF, pad(cte ? ide.nCT : ide.nNF, 9));
+  compara(inconsistencias, "tpEmis", partes.tpEmis, ide.tpEmis);
+  compara(inconsistencias, cte ? "cCT" : "cNF", partes.cNF, pad(cte ? ide.cCT : ide.cNF, 8));
+  compara(inconsistencias, "cDV", partes.cDV, ide.cDV);
+
+  return inconsistencias;
+}
@@ -0,0 +1,19 @@
+// src/utils/erros.js
+
+// Erro de requisição com status HTTP e dados extras para a resposta
+export class ErroRequisicao extends Error {
+  constructor(status, message, extras = {}) {
+    super(message);
+    this.name = "ErroRequisicao";
+    this.status = status;
+    this.extras = extras;
+  }
+}
+
+// Erro de importação (nota rejeitada, duplicada ou evento inválido)
+export class ErroImportacao extends ErroRequisicao {
+  constructor(status, message, extras = {}) {
+    super(status, message, extras);
+    this.name = "ErroImportacao";
+  }
+}
@@ -0,0 +1,261 @@
+// src/utils/filtrosNotas.js
+import mongoose from "mongoose";
+import { ErroRequisicao } from "./erros.js";
+
+// Campos aceitos em ?ordenarPor=
+const CAMPOS_ORDENACAO = ["criadoEm", "dataEmissao", "valorTotal", "numero"];
+const CAMPOS_DATA = ["criadoEm", "dataEmissao"];
+const COLLATION_NUMERICA = { locale: "pt", numericOrdering: true };
+
+function escaparRegex(texto) {
+  return String(texto).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function somenteDigitos(texto) {
+  return String(texto).replace(/\D/g, "");
+}
+
+export function lerData(valor, nomeParametro, fimDoDia = false) {
+  // Datas sem horário (AAAA-MM-DD) cobrem o dia inteiro no fuso de Brasília
+  const texto = /^\d{4}-\d{2}-\d{2}$/.test(valor)
+    ? `${valor}T${fimDoDia ? "23:59:59.999" : "00:00:00.000"}-03:00`
+    : valor;
+  const data = new Date(texto);
+  if (isNaN(data)) {
+    throw new ErroRequisicao(400, `Parâmetro ${nomeParametro} não é uma data válida.`);
+  }
+  return data;
+}
+
+/**
+ * Monta o filtro do MongoDB a partir da query string das rotas de listagem,
+ * sempre restrito às notas da empresa informada (_id)
+ * - busca, numero, serie, modelo, status, pdfStatus, devolucao (true/false), valorMin/valorMax
+ * - advertencias (true/false: totais que não conferem com os itens), advertencia (código: item_vprod, total_vnf...)
+ * - dataInicio/dataFim (dataEmissao)
+ * - cnpjEmitente, cnpjDestinatario (CNPJ ou CPF)
+ * - ufEmitente, ufDestinatario, municipioEmitente, municipioDestinatario
+ * - cfop, ncm, produto (código ou descrição do item), transportadora (CNPJ ou nome)
+ * Lança ErroRequisicao (400) para parâmetros inválidos.
+ */
+export function montarFiltroNotas(query = {}, empresa) {
+  const {
+    busca, numero, serie, modelo, status, pdfStatus, devolucao, valorMin, valorMax,
+    advertencias, advertencia,
+    dataInicio, dataFim,
+    cnpjEmitente, cnpjDestinatario,
+    ufEmitente, ufDestinatario, municipioEmitente, municipioDestinatario,
+    cfop, ncm, produto, transportadora
+  } = query;
+  const condicoes = [{ empresa }];
+
+  // Busca por número específico
+  if (numero) {
+    condicoes.push({ numero });
+  }
+  // Série sem zeros à esquerda e modelo (55 NF-e, 65 NFC-e)
+  if (serie) {
+    condicoes.push({ serie: String(Number(serie)) });
+  }
+  if (modelo) {
+    condicoes.push({ modelo });
+  }
+  // Filtro por situação (autorizada/cancelada)
+  if (status) {
+    condicoes.push({ status });
+  }
+  // Situação do DANFE na fila de PDFs (pendente/pronto/falhou)
+  if (pdfStatus) {
+    condicoes.push({ pdfStatus });
+  }
+  // Devoluções (finNFe=4) ou só as demais notas
+  if (devolucao === "true" || devolucao === "false") {
+    condicoes.push({ devolucao: devolucao === "true" ? true : { $ne: true } });
+  }
+  // Notas com (ou sem) totais divergentes dos itens, ou com uma divergência específica
+  if (advertencias === "true" || advertencias === "false") {
+    condicoes.push({ "advertencias.0": { $exists: advertencias === "true" } });
+  }
+  if (advertencia) {
+    condicoes.push({ "advertencias.codigo": advertencia });
+  }
+  // Busca textual por remetente ou destinatário
+  if (busca) {
+    condicoes.push({
+      $or: [
+        { "remetente.nome": { $regex: busca, $options: "i" } },
+        { "destinatario.nome": { $regex: busca, $options: "i" } },
+        { numero: { $regex: busca, $options: "i" } }
+      ]
+    });
+  }
+  // Filtro por faixa de valor
+  if (valorMin || valorMax) {
+    const valorTotal = {};
+    if (valorMin) valorTotal.$gte = parseFloat(valorMin);
+    if (valorMax) valorTotal.$lte = parseFloat(valorMax);
+    condicoes.push({ valorTotal });
+  }
+  // Filtro por período de emissão
+  if (dataInicio || dataFim) {
+    const dataEmissao = {};
+    if (dataInicio) dataEmissao.$gte = lerData(dataInicio, "dataInicio");
+    if (dataFim) dataEmissao.$lte = lerData(dataFim, "dataFim", true);
+    condicoes.push({ dataEmissao });
+  }
+  // Filtro por participantes
+  if (cnpjEmitente) {
+    condicoes.push({ "remetente.cnpj": somenteDigitos(cnpjEmitente) });
+  }
+  if (cnpjDestinatario) {
+    const doc = somenteDigitos(cnpjDestinatario);
+    condicoes.push({ $or: [{ "destinatario.cnpj": doc }, { "destinatario.cpf": doc }] });
+  }
+  if (ufEmitente) {
+    condicoes.push({ "remetente.endereco.uf": String(ufEmitente).toUpperCase() });
+  }
+  if (ufDestinatario) {
+    condicoes.push({ "destinatario.endereco.uf": String(ufDestinatario).toUpperCase() });
+  }
+  if (municipioEmitente) {
+    condicoes.push({ "remetente.endereco.municipio": { $regex: `^${escaparRegex(municipioEmitente)}$`, $options: "i" } });
+  }
+  if (municipioDestinatario) {
+    condicoes.push({ "destinatario.endereco.municipio": { $regex: `^${escaparRegex(municipioDestinatario)}$`, $options: "i" } });
+  }
+  // Filtros por itens da nota
+  if (cfop) {
+    condicoes.push({ "itens.CFOP": String(cfop) });
+  }
+  // NCM por prefixo (capítulo, posição...): sem dígitos o prefixo vazio casaria com todas as notas
+  if (ncm) {
+    const prefixo = somenteDigitos(ncm);
+    if (!prefixo) {
+      throw new ErroRequisicao(400, "Parâmetro ncm deve conter dígitos.");
+    }
+    condicoes.push({ "itens.NCM": { $regex: `^${prefixo}` } });
+  }
+  if (produto) {
+    condicoes.push({
+      $or: [
+        { "itens.cProd": produto },
+        { "itens.xProd": { $regex: escaparRegex(produto), $options: "i" } }
+      ]
+    });
+  }
+  // Filtro por transportadora
+  if (transportadora) {
+    condicoes.push({
+      $or: [
+        { "transportadora.transporta.CNPJ": somenteDigitos(transportadora) },
+        { "transportadora.transporta.xNome": { $regex: escaparRegex(transportadora), $options: "i" } }
+      ]
+    });
+  }
+
+  return { $and: condicoes };
+}
+
+/**
+ * Monta o filtro da listagem de CT-es, restrito à empresa informada (_id)
+ * - numero, chaveCTe, chaveNFe (nota transportada), status
+ * - transportadora (CNPJ ou nome do emitente), participante (CNPJ/CPF em qualquer papel)
+ * - dataInicio/dataFim (dataEmissao)
+ * Lança ErroRequisicao (400) para parâmetros inválidos.
+ */
+export function montarFiltroCtes(query = {}, empresa) {
+  const { numero, chaveCTe, chaveNFe, status, transportadora, participante, dataInicio, dataFim } = query;
+  const condicoes = [{ empresa }];
+
+  if (numero) {
+    condicoes.push({ numero });
+  }
+  if (chaveCTe) {
+    condicoes.push({ chaveCTe: somenteDigitos(chaveCTe) });
+  }
+  if (chaveNFe) {
+    condicoes.push({ chavesNFe: somenteDigitos(chaveNFe) });
+  }
+  if (status) {
+    condicoes.push({ status });
+  }
+  if (transportadora) {
+    condicoes.push({
+      $or: [
+        { "emitente.cnpj": somenteDigitos(transportadora) },
+        { "emitente.nome": { $regex: escaparRegex(transportadora), $options: "i" } }
+      ]
+    });
+  }
+  if (participante) {
+    const documento = somenteDigitos(participante);
+    condicoes.push({
+      $or: ["tomador", "remetente", "destinatario", "expedidor", "recebedor", "emitente"]
+        .flatMap(papel => [{ [`${papel}.cnpj`]: documento }, { [`${papel}.cpf`]: documento }])
+    });
+  }
+  if (dataInicio || dataFim) {
+    const dataEmissao = {};
+    if (dataInicio) dataEmissao.$gte = lerData(dataInicio, "dataInicio");
+    if (dataFim) dataEmissao.$lte = lerData(dataFim, "dataFim", true);
+    condicoes.push({ dataEmissao });
+  }
+
+  return { $and: condicoes };
+}
+
+/**
+ * Lê ?ordenarPor= e ?ordem= (asc/desc). Padrão: criadoEm desc.
+ * Retorna { campo, direcao, sort, collation } com _id como desempate.
+ * numero é texto: a collation com numericOrdering ordena (e compara no cursor) "9" antes de "10".
+ */
+export function montarOrdenacao(query = {}) {
+  const campo = query.ordenarPor || "criadoEm";
+  if (!CAMPOS_ORDENACAO.includes(campo)) {
+    throw new ErroRequisicao(400, `ordenarPor deve ser um de: ${CAMPOS_ORDENACAO.join(", ")}.`);
+  }
+  const direcao = query.ordem === "asc" ? 1 : -1;
+  const collation = campo === "numero" ? COLLATION_NUMERICA : undefined;
+  return { campo, direcao, sort: { [campo]: direcao, _id: direcao }, collation };
+}
+
+// Cursor opaco com o valor do campo de ordenação e o _id do último item da página
+export function gerarCursor(nota, campo) {
+  const valor = nota[campo] instanceof Date ? nota[campo].toISOString() : nota[campo];
+  return Buffer.from(JSON.stringify({ v: valor ?? null, id: String(nota._id) })).toString("base64url");
+}
+
+/**
+ * Converte o cursor recebido em condição de busca para a próxima página,
+ * mantendo a mesma ordenação (campo + _id).
+ * O MongoDB ordena campo nulo/ausente antes de qualquer valor: na ordem crescente as notas sem
+ * o campo vêm primeiro, na decrescente por último, e $gt/$lt nunca casam com null.
+ */
+export function filtroDoCursor(cursor, { campo, direcao }) {
+  let dados;
+  try {
+    dados = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+  } catch {
+    throw new ErroRequisicao(400, "Cursor de paginação inválido.");
+  }
+  if (!dados || !mongoose.Types.ObjectId.isValid(dados.id)) {
+    throw new ErroRequisicao(400, "Cursor de paginação inválido.");
+  }
+
+  const id = new mongoose.Types.ObjectId(dados.id);
+  const op = direcao === 1 ? "$gt" : "$lt";
+  if (dados.v === null || dados.v === undefined) {
+    const mesmoValor = { [campo]: null, _id: { [op]: id } };
+    return direcao === 1 ? { $or: [mesmoValor, { [campo]: { $ne: null } }] } : mesmoValor;
+  }
+
+  const valor = CAMPOS_DATA.includes(campo) ? new Date(dados.v) : dados.v;
+  const condicoes = [
+    { [campo]: { [op]: valor } },
+    { [campo]: valor, _id: { [op]: id } }
+  ];
+  if (direcao === -1) {
+    condicoes.push({ [campo]: null });
+  }
+  return { $or: condicoes };
+}
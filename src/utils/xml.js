@@ -0,0 +1,74 @@
+// src/utils/xml.js
+import { DOMParser, XMLSerializer } from "@xmldom/xmldom";
+import { processors } from "xml2js";
+import { ErroImportacao } from "./erros.js";
+
+// Opções do xml2js: elementos únicos sem array e sem prefixo de namespace (nfe:NFe → NFe)
+export const OPCOES_XML2JS = { explicitArray: false, tagNameProcessors: [processors.stripPrefix] };
+
+/**
+ * Converte o conteúdo de um arquivo XML em texto
+ * - BOM de UTF-8 ou UTF-16 define a codificação (e é removido)
+ * - Sem BOM, vale o encoding da declaração XML (ISO-8859-1, Windows-1252...); o padrão é UTF-8
+ * - UTF-8 inválido (arquivo regravado em Latin-1 sem ajustar a declaração) é lido como Windows-1252
+ */
+export function decodificarXml(conteudo) {
+  if (typeof conteudo === "string") return conteudo.replace(/^\uFEFF/, "");
+
+  let encoding = "utf-8";
+  if (conteudo[0] === 0xFF && conteudo[1] === 0xFE) {
+    encoding = "utf-16le";
+  } else if (conteudo[0] === 0xFE && conteudo[1] === 0xFF) {
+    encoding = "utf-16be";
+  } else if (!(conteudo[0] === 0xEF && conteudo[1] === 0xBB && conteudo[2] === 0xBF)) {
+    const declaracao = conteudo.subarray(0, 200).toString("latin1")
+      .match(/^\s*<\?xml[^>]*\sencoding\s*=\s*["']([^"']+)["']/i);
+    if (declaracao) encoding = declaracao[1].toLowerCase();
+  }
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding, { fatal: true });
+  } catch {
+    decoder = new TextDecoder("utf-8", { fatal: true }); // Encoding desconhecido
+  }
+  try {
+    return decoder.decode(conteudo);
+  } catch {
+    return new TextDecoder("windows-1252").decode(conteudo);
+  }
+}
+
+// infNFe de um nfeProc ou de uma NFe sem protocolo já parseados
+export function infNFeDoXml(parsedXml) {
+  return parsedXml?.nfeProc?.NFe?.infNFe || parsedXml?.NFe?.infNFe;
+}
+
+function lerDocumento(xml) {
+  try {
+    return new DOMParser({ onError: () => {} }).parseFromString(xml, "text/xml");
+  } catch (err) {
+    throw new ErroImportacao(400, "XML malformado: " + err.message);
+  }
+}
+
+// Nome do elemento raiz, sem prefixo (ex.: "nfeProc", "enviNFe")
+export function raizDoXml(xml) {
+  return lerDocumento(xml).documentElement?.localName;
+}
+
+/**
+ * Extrai do XML os elementos com o nome informado (sem prefixo), em qualquer nível,
+ * cada um como um XML independente: os namespaces herdados dos ancestrais são declarados
+ * no próprio elemento, então a assinatura continua conferindo
+ */
+export function extrairElementos(xml, nome) {
+  const doc = lerDocumento(xml);
+  const serializer = new XMLSerializer();
+  return Array.from(doc.getElementsByTagNameNS("*", nome)).map(el => serializer.serializeToString(el));
+}
+
+// Remove a declaração <?xml ...?> e o BOM do início do texto
+export function removerDeclaracao(xml) {
+  return xml.replace(/^\uFEFF?\s*<\?xml[^>]*\?>\s*/, "");
+}
@@ -0,0 +1,24 @@
+// test/amostras.js
+// XMLs reais de uploads/xml usados como base dos testes (nfeProc autorizadas, modelo 55)
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { lerXml, montarDadosNota } from "../src/services/importacao.js";
+import { infNFeDoXml } from "../src/utils/xml.js";
+
+export const PASTA_AMOSTRAS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "uploads", "xml");
+
+export function listarAmostras() {
+  return fs.readdirSync(PASTA_AMOSTRAS).filter(nome => nome.endsWith(".xml")).sort();
+}
+
+export function lerAmostra(nome) {
+  return fs.readFileSync(path.join(PASTA_AMOSTRAS, nome), "utf8");
+}
+
+// XML, XML parseado, infNFe e o documento da nota como a importação monta
+export async function carregarAmostra(nome, xml = lerAmostra(nome)) {
+  const parsed = await lerXml(xml);
+  const infNFe = infNFeDoXml(parsed);
+  return { nome, xml, parsed, infNFe, dados: montarDadosNota(infNFe, xml) };
+}
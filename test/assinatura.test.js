@@ -0,0 +1,63 @@
+// test/assinatura.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { verificarAssinatura, verificarProtocolo } from "../src/services/assinatura.js";
+import { extrairChaveNFe } from "../src/services/importacao.js";
+import { carregarAmostra, lerAmostra, listarAmostras } from "./amostras.js";
+
+const CHAVE_4523 = "35250140116124000151550020000045231159295831";
+const EMISSAO_4523 = "2025-01-28T15:08:09-03:00";
+
+test("assinatura e protocolo de todas as amostras conferem", async () => {
+  for (const nome of listarAmostras()) {
+    const { xml, parsed, infNFe } = await carregarAmostra(nome);
+    const chave = extrairChaveNFe(infNFe);
+    const { erros, certificado, digestValue } = verificarAssinatura(xml, `NFe${chave}`, infNFe.ide.dhEmi);
+    assert.deepEqual(erros, [], nome);
+    assert.ok(certificado.subject && digestValue, nome);
+    assert.deepEqual(verificarProtocolo(parsed.nfeProc.protNFe, chave, digestValue).erros, [], nome);
+  }
+});
+
+test("conteúdo alterado depois da assinatura é detectado", () => {
+  const xml = lerAmostra("xml-4523.xml");
+  const alterado = xml.replace(/<vNF>([\d.]+)<\/vNF>/, (_, valor) => `<vNF>${(Number(valor) + 1).toFixed(2)}</vNF>`);
+  assert.notEqual(alterado, xml);
+
+  const { erros } = verificarAssinatura(alterado, `NFe${CHAVE_4523}`, EMISSAO_4523);
+  assert.ok(erros.some(e => e.startsWith("Assinatura digital não confere")), erros.join("\n"));
+});
+
+test("assinatura de outro documento (Reference com outro Id) é apontada", () => {
+  const outraChave = CHAVE_4523.replace(/1$/, "0");
+  const { erros } = verificarAssinatura(lerAmostra("xml-4523.xml"), `NFe${outraChave}`, EMISSAO_4523);
+  assert.ok(erros.includes(`Assinatura referencia "#NFe${CHAVE_4523}" em vez de "#NFe${outraChave}".`), erros.join("\n"));
+});
+
+test("XML sem assinatura e emissão fora da validade do certificado", () => {
+  const xml = lerAmostra("xml-4523.xml");
+  const semAssinatura = xml.replace(/<Signature[\s\S]*<\/Signature>/, "");
+  assert.deepEqual(verificarAssinatura(semAssinatura, `NFe${CHAVE_4523}`, EMISSAO_4523).erros,
+    ["XML não possui assinatura digital (Signature) em NFe."]);
+
+  const { erros } = verificarAssinatura(xml, `NFe${CHAVE_4523}`, "2000-01-01T10:00:00-03:00");
+  assert.ok(erros.some(e => e.startsWith("Certificado fora da validade")), erros.join("\n"));
+});
+
+test("protocolo não autorizado, de outra chave ou com digVal diferente", async () => {
+  const { parsed } = await carregarAmostra("xml-4523.xml");
+  const protNFe = parsed.nfeProc.protNFe;
+  const digest = protNFe.infProt.digVal;
+
+  const denegado = { infProt: { ...protNFe.infProt, cStat: "110", xMotivo: "Uso Denegado" } };
+  assert.deepEqual(verificarProtocolo(denegado, CHAVE_4523, digest).erros, ["NFE não autorizada: cStat 110 - Uso Denegado."]);
+
+  const outraChave = CHAVE_4523.replace(/1$/, "0");
+  assert.deepEqual(verificarProtocolo(protNFe, outraChave, digest).erros, [`Protocolo pertence a outra chave (${CHAVE_4523}).`]);
+
+  assert.deepEqual(verificarProtocolo(protNFe, CHAVE_4523, "outro-digest").erros,
+    ["digVal do protocolo não confere com o DigestValue da assinatura."]);
+
+  assert.deepEqual(verificarProtocolo(undefined, CHAVE_4523, digest).erros,
+    ["XML não possui protocolo de autorização (protNFe/infProt)."]);
+});
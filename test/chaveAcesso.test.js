@@ -0,0 +1,59 @@
+// test/chaveAcesso.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { calcularDigitoVerificador, decomporChave, validarChaveAcesso } from "../src/utils/chaveAcesso.js";
+import { extrairChaveNFe } from "../src/services/importacao.js";
+import { carregarAmostra, listarAmostras } from "./amostras.js";
+
+const CHAVE_4523 = "35250140116124000151550020000045231159295831";
+
+// Troca o trecho da chave e recalcula o dígito verificador
+function alterarChave(chave, inicio, trecho) {
+  const chave43 = chave.substring(0, inicio) + trecho + chave.substring(inicio + trecho.length, 43);
+  return chave43 + calcularDigitoVerificador(chave43);
+}
+
+test("chaves de todas as amostras conferem com o XML", async () => {
+  for (const nome of listarAmostras()) {
+    const { infNFe } = await carregarAmostra(nome);
+    assert.deepEqual(validarChaveAcesso(extrairChaveNFe(infNFe), infNFe), [], nome);
+  }
+});
+
+test("dígito verificador módulo 11", () => {
+  assert.equal(calcularDigitoVerificador(CHAVE_4523.substring(0, 43)), 1);
+  // Resto 0 ou 1 dá dígito 0
+  assert.equal(calcularDigitoVerificador("0".repeat(43)), 0);
+});
+
+test("decompõe a chave nos campos do leiaute", () => {
+  assert.deepEqual(decomporChave(CHAVE_4523), {
+    cUF: "35", aamm: "2501", cnpj: "40116124000151", mod: "55", serie: "002",
+    nNF: "000004523", tpEmis: "1", cNF: "15929583", cDV: "1"
+  });
+});
+
+test("dígito verificador errado é apontado", async () => {
+  const { infNFe } = await carregarAmostra("xml-4523.xml");
+  const erros = validarChaveAcesso(CHAVE_4523.substring(0, 43) + "2", infNFe);
+  assert.ok(erros.some(e => e.startsWith("Dígito verificador inválido: chave informa 2, calculado 1")), erros.join("\n"));
+});
+
+test("campo da chave diferente do XML é apontado mesmo com o dígito certo", async () => {
+  const { infNFe } = await carregarAmostra("xml-4523.xml");
+  const outroNumero = alterarChave(CHAVE_4523, 25, "000004524");
+  const erros = validarChaveAcesso(outroNumero, infNFe);
+  assert.ok(erros.includes("nNF diverge: chave informa 000004524, XML informa 000004523."), erros.join("\n"));
+  assert.ok(!erros.some(e => e.startsWith("Dígito verificador")));
+
+  const outroEmitente = validarChaveAcesso(alterarChave(CHAVE_4523, 6, "11222333000181"), infNFe);
+  assert.ok(outroEmitente.some(e => e.startsWith("CNPJ/CPF do emitente diverge")));
+});
+
+test("chave que não tem 44 dígitos é rejeitada sem olhar o XML", () => {
+  for (const chave of [CHAVE_4523.substring(1), CHAVE_4523.replace("4", "A"), undefined]) {
+    const erros = validarChaveAcesso(chave, {});
+    assert.equal(erros.length, 1);
+    assert.match(erros[0], /44 dígitos numéricos/);
+  }
+});
@@ -0,0 +1,101 @@
+// test/exportacao.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Writable } from "stream";
+import { exportarNotas } from "../src/services/exportacao.js";
+import { carregarAmostra, listarAmostras } from "./amostras.js";
+
+const ORDENACAO = { sort: { dataEmissao: 1, _id: 1 } };
+
+// Model falso: find().select().sort().collation().lean().cursor() percorre as notas (repetidas),
+// buscando cada lote no próximo ciclo do event loop como o cursor do MongoDB
+function modelo(notas, repeticoes = 1) {
+  const estado = { lidas: 0, fechado: false };
+  const cursor = {
+    async *[Symbol.asyncIterator]() {
+      for (let i = 0; i < repeticoes && !estado.fechado; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+        for (const nota of notas) {
+          if (estado.fechado) return;
+          estado.lidas++;
+          yield nota;
+        }
+      }
+    },
+    async close() {
+      estado.fechado = true;
+    }
+  };
+  const consulta = { select: () => consulta, sort: () => consulta, collation: () => consulta, lean: () => consulta, cursor: () => cursor };
+  return { Model: { find: () => consulta }, estado };
+}
+
+async function notasDasAmostras() {
+  const notas = [];
+  for (const nome of listarAmostras()) {
+    const { dados } = await carregarAmostra(nome);
+    notas.push({ ...dados, dataEmissao: new Date(dados.dataEmissao), status: "autorizada" });
+  }
+  return notas;
+}
+
+// Destino que guarda o que recebeu e, opcionalmente, fecha depois de alguns bytes (cliente desconectou)
+function destino({ fecharApos = Infinity } = {}) {
+  const partes = [];
+  let recebidos = 0;
+  const stream = new Writable({
+    highWaterMark: 1024,
+    write(parte, _, callback) {
+      partes.push(parte);
+      recebidos += parte.length;
+      if (recebidos > fecharApos) {
+        setImmediate(() => stream.destroy());
+        return;
+      }
+      setImmediate(callback);
+    }
+  });
+  stream.conteudo = () => Buffer.concat(partes);
+  return stream;
+}
+
+test("CSV por nota: cabeçalho com BOM e uma linha por nota", async () => {
+  const notas = await notasDasAmostras();
+  const { Model, estado } = modelo(notas);
+  const saida = destino();
+
+  await exportarNotas(Model, {}, ORDENACAO, { formato: "csv", nivel: "nota" }, saida);
+  const linhas = saida.conteudo().toString("utf8").split("\r\n");
+  assert.ok(linhas[0].startsWith("﻿Número;Série;Chave de acesso"));
+  assert.equal(linhas.length, notas.length + 2);
+  assert.equal(linhas.at(-1), "");
+  assert.ok(saida.writableFinished);
+  assert.ok(estado.fechado);
+});
+
+test("CSV: cliente que desconecta no meio rejeita a exportação e fecha o cursor", async () => {
+  const { Model, estado } = modelo(await notasDasAmostras(), 1000);
+  await assert.rejects(
+    exportarNotas(Model, {}, ORDENACAO, { formato: "csv", nivel: "item" }, destino({ fecharApos: 20000 })),
+    { code: "ERR_STREAM_PREMATURE_CLOSE" }
+  );
+  assert.ok(estado.fechado);
+  assert.ok(estado.lidas < 23 * 1000);
+});
+
+test("XLSX: planilha completa e, com o cliente desconectando, rejeição com o cursor fechado", async () => {
+  const notas = await notasDasAmostras();
+  const completo = modelo(notas);
+  const saida = destino();
+  await exportarNotas(completo.Model, {}, ORDENACAO, { formato: "xlsx", nivel: "nota" }, saida);
+  assert.equal(saida.conteudo().subarray(0, 2).toString("latin1"), "PK");
+  assert.ok(completo.estado.fechado);
+
+  const interrompido = modelo(notas, 2000);
+  await assert.rejects(
+    exportarNotas(interrompido.Model, {}, ORDENACAO, { formato: "xlsx", nivel: "item" }, destino({ fecharApos: 20000 })),
+    { code: "ERR_STREAM_PREMATURE_CLOSE" }
+  );
+  assert.ok(interrompido.estado.fechado);
+  assert.ok(interrompido.estado.lidas < 23 * 2000);
+});
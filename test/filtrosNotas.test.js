@@ -0,0 +1,120 @@
+// test/filtrosNotas.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { ErroRequisicao } from "../src/utils/erros.js";
+import {
+  filtroDoCursor,
+  gerarCursor,
+  lerData,
+  montarFiltroCtes,
+  montarFiltroNotas,
+  montarOrdenacao
+} from "../src/utils/filtrosNotas.js";
+import { carregarAmostra } from "./amostras.js";
+
+const empresa = new mongoose.Types.ObjectId();
+
+// Condições além da empresa, na ordem em que o filtro as monta
+function condicoes(query) {
+  const filtro = montarFiltroNotas(query, empresa);
+  assert.deepEqual(filtro.$and[0], { empresa });
+  return filtro.$and.slice(1);
+}
+
+function erro400(mensagem) {
+  return err => err instanceof ErroRequisicao && err.status === 400 && mensagem.test(err.message);
+}
+
+test("sem parâmetros o filtro só restringe à empresa", () => {
+  assert.deepEqual(montarFiltroNotas({}, empresa), { $and: [{ empresa }] });
+});
+
+test("período de emissão cobre os dias inteiros no fuso de Brasília", () => {
+  assert.deepEqual(condicoes({ dataInicio: "2025-01-01", dataFim: "2025-01-31" }), [{
+    dataEmissao: { $gte: new Date("2025-01-01T03:00:00.000Z"), $lte: new Date("2025-02-01T02:59:59.999Z") }
+  }]);
+  assert.equal(lerData("2025-01-28T15:08:09-03:00", "dataInicio").toISOString(), "2025-01-28T18:08:09.000Z");
+  assert.throws(() => condicoes({ dataFim: "31/01/2025" }), erro400(/dataFim não é uma data válida/));
+});
+
+test("participantes da amostra: documentos só com dígitos e UF em maiúsculas", async () => {
+  const { dados } = await carregarAmostra("xml-4523.xml");
+  const cnpjFormatado = dados.remetente.cnpj.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, "$1.$2.$3/$4-$5");
+
+  assert.deepEqual(condicoes({ cnpjEmitente: cnpjFormatado, cnpjDestinatario: dados.destinatario.cnpj, ufDestinatario: "sp" }), [
+    { "remetente.cnpj": dados.remetente.cnpj },
+    { $or: [{ "destinatario.cnpj": dados.destinatario.cnpj }, { "destinatario.cpf": dados.destinatario.cnpj }] },
+    { "destinatario.endereco.uf": "SP" }
+  ]);
+});
+
+test("filtros por item: CFOP exato, NCM por prefixo e produto por código ou descrição", async () => {
+  const { dados } = await carregarAmostra("xml-4523.xml");
+  const item = dados.itens[0];
+
+  assert.deepEqual(condicoes({ cfop: item.CFOP, ncm: "8543.70", produto: "Eletrificador (12V)" }), [
+    { "itens.CFOP": item.CFOP },
+    { "itens.NCM": { $regex: "^854370" } },
+    { $or: [{ "itens.cProd": "Eletrificador (12V)" }, { "itens.xProd": { $regex: "Eletrificador \\(12V\\)", $options: "i" } }] }
+  ]);
+});
+
+test("ncm sem dígitos é 400 em vez de casar com todas as notas", () => {
+  for (const ncm of ["abc", "..", " "]) {
+    assert.throws(() => condicoes({ ncm }), erro400(/ncm deve conter dígitos/), ncm);
+  }
+});
+
+test("município casa o nome inteiro, sem interpretar a entrada como regex", () => {
+  assert.deepEqual(condicoes({ municipioEmitente: "Cotia.*" }), [
+    { "remetente.endereco.municipio": { $regex: "^Cotia\\.\\*$", $options: "i" } }
+  ]);
+});
+
+test("série sem zeros à esquerda, valores e flags de devolução e advertências", () => {
+  assert.deepEqual(condicoes({ serie: "002", valorMin: "10.5", valorMax: "100", devolucao: "false", advertencias: "true" }), [
+    { serie: "2" },
+    { devolucao: { $ne: true } },
+    { "advertencias.0": { $exists: true } },
+    { valorTotal: { $gte: 10.5, $lte: 100 } }
+  ]);
+  // Valores fora de true/false não filtram
+  assert.deepEqual(condicoes({ devolucao: "talvez" }), []);
+});
+
+test("CT-e: participante em qualquer papel e chave da NF-e transportada", () => {
+  const filtro = montarFiltroCtes({ participante: "40.116.124/0001-51", chaveNFe: "3525 0140 1161" }, empresa);
+  assert.deepEqual(filtro.$and[1], { chavesNFe: "352501401161" });
+  assert.equal(filtro.$and[2].$or.length, 12);
+  assert.ok(filtro.$and[2].$or.some(c => c["tomador.cnpj"] === "40116124000151"));
+});
+
+test("ordenação: padrão criadoEm desc, numero com collation numérica, campo inválido é 400", () => {
+  assert.deepEqual(montarOrdenacao({}), {
+    campo: "criadoEm", direcao: -1, sort: { criadoEm: -1, _id: -1 }, collation: undefined
+  });
+  const porNumero = montarOrdenacao({ ordenarPor: "numero", ordem: "asc" });
+  assert.deepEqual(porNumero.sort, { numero: 1, _id: 1 });
+  assert.equal(porNumero.collation.numericOrdering, true);
+  assert.throws(() => montarOrdenacao({ ordenarPor: "xmlTexto" }), erro400(/ordenarPor deve ser um de/));
+});
+
+test("cursor continua depois do último item, com _id como desempate", async () => {
+  const { dados } = await carregarAmostra("xml-4523.xml");
+  const nota = { _id: new mongoose.Types.ObjectId(), dataEmissao: new Date(dados.dataEmissao) };
+  const cursor = gerarCursor(nota, "dataEmissao");
+
+  assert.deepEqual(filtroDoCursor(cursor, { campo: "dataEmissao", direcao: 1 }), {
+    $or: [
+      { dataEmissao: { $gt: nota.dataEmissao } },
+      { dataEmissao: nota.dataEmissao, _id: { $gt: nota._id } }
+    ]
+  });
+  // Na ordem decrescente as notas sem o campo vêm por último
+  assert.deepEqual(filtroDoCursor(cursor, { campo: "dataEmissao", direcao: -1 }).$or[2], { dataEmissao: null });
+
+  const semValor = gerarCursor({ _id: nota._id }, "dataEmissao");
+  assert.deepEqual(filtroDoCursor(semValor, { campo: "dataEmissao", direcao: -1 }), { dataEmissao: null, _id: { $lt: nota._id } });
+  assert.throws(() => filtroDoCursor("lixo", { campo: "dataEmissao", direcao: 1 }), erro400(/Cursor de paginação inválido/));
+});
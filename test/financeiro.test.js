@@ -0,0 +1,91 @@
+// test/financeiro.test.js
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Titulo } from "../src/models/Titulo.js";
+import { ErroRequisicao } from "../src/utils/erros.js";
+import { registrarBaixa } from "../src/services/financeiro.js";
+
+// Coleção em memória: findOneAndUpdate aplica o filtro e a alteração de uma vez, como o MongoDB,
+// depois de ceder o event loop (para as baixas simultâneas se intercalarem)
+let banco;
+
+Titulo.findById = async id => (banco.has(String(id)) ? structuredClone(banco.get(String(id))) : null);
+Titulo.findOneAndUpdate = async (filtro, alteracao) => {
+  await new Promise(resolve => setImmediate(resolve));
+  const titulo = banco.get(String(filtro._id));
+  if (!titulo || titulo.status !== filtro.status || titulo.valorPago !== filtro.valorPago) return null;
+  titulo.baixas.push(alteracao.$push.baixas);
+  Object.assign(titulo, alteracao.$set);
+  return structuredClone(titulo);
+};
+
+function criarTitulo(campos = {}) {
+  const titulo = { _id: new mongoose.Types.ObjectId().toHexString(), valor: 100, valorPago: 0, status: "aberto", baixas: [], ...campos };
+  banco.set(String(titulo._id), titulo);
+  return structuredClone(titulo);
+}
+
+beforeEach(() => {
+  banco = new Map();
+});
+
+test("baixa parcial e quitação pelo saldo", async () => {
+  const titulo = criarTitulo();
+  const parcial = await registrarBaixa(titulo, { valor: "30.5", data: "2025-03-10" });
+  assert.equal(parcial.valorPago, 30.5);
+  assert.equal(parcial.status, "aberto");
+
+  const quitado = await registrarBaixa(parcial);
+  assert.equal(quitado.valorPago, 100);
+  assert.equal(quitado.status, "pago");
+  assert.deepEqual(quitado.baixas.map(b => b.valor), [30.5, 69.5]);
+});
+
+test("baixas parciais simultâneas somam as duas", async () => {
+  const titulo = criarTitulo();
+  // As duas leram o título com valorPago 0
+  const baixas = await Promise.all([
+    registrarBaixa(structuredClone(titulo), { valor: 30 }),
+    registrarBaixa(structuredClone(titulo), { valor: 45 })
+  ]);
+  assert.equal(banco.get(String(titulo._id)).valorPago, 75);
+  assert.equal(banco.get(String(titulo._id)).baixas.length, 2);
+  assert.deepEqual(baixas.map(b => b.valorPago).sort(), [30, 75]);
+});
+
+test("baixa simultânea que passaria do saldo é recusada depois de reler o título", async () => {
+  const titulo = criarTitulo();
+  const resultados = await Promise.allSettled([
+    registrarBaixa(structuredClone(titulo), { valor: 60 }),
+    registrarBaixa(structuredClone(titulo), { valor: 60 })
+  ]);
+  assert.equal(resultados.filter(r => r.status === "fulfilled").length, 1);
+  const recusada = resultados.find(r => r.status === "rejected").reason;
+  assert.ok(recusada instanceof ErroRequisicao);
+  assert.equal(recusada.status, 400);
+  assert.match(recusada.message, /maior que o saldo do título \(40\)/);
+  assert.equal(banco.get(String(titulo._id)).valorPago, 60);
+});
+
+test("duas quitações simultâneas: a segunda encontra o título pago", async () => {
+  const titulo = criarTitulo({ valorPago: 20 });
+  const resultados = await Promise.allSettled([registrarBaixa(structuredClone(titulo)), registrarBaixa(structuredClone(titulo))]);
+  const recusada = resultados.find(r => r.status === "rejected").reason;
+  assert.equal(recusada.status, 409);
+  assert.equal(recusada.message, "Título pago; não aceita baixa.");
+  assert.equal(banco.get(String(titulo._id)).valorPago, 100);
+});
+
+test("título cancelado no meio da baixa não recebe o pagamento", async () => {
+  const titulo = criarTitulo();
+  banco.get(String(titulo._id)).status = "cancelado";
+  await assert.rejects(registrarBaixa(titulo, { valor: 10 }), { status: 409, message: "Título cancelado; não aceita baixa." });
+  assert.equal(banco.get(String(titulo._id)).valorPago, 0);
+});
+
+test("valor e data inválidos são 400", async () => {
+  const titulo = criarTitulo();
+  await assert.rejects(registrarBaixa(titulo, { valor: 0 }), { status: 400 });
+  await assert.rejects(registrarBaixa(titulo, { valor: 10, data: "ontem" }), { status: 400, message: "data da baixa inválida." });
+});
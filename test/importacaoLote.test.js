@@ -0,0 +1,67 @@
+// test/importacaoLote.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import AdmZip from "adm-zip";
+import { ErroImportacao } from "../src/utils/erros.js";
+import { expandirArquivos, resultadoDeErro, resumirResultados } from "../src/services/importacao.js";
+import { extrairElementos } from "../src/utils/xml.js";
+import { lerAmostra } from "./amostras.js";
+
+const AMOSTRAS = ["xml-4523.xml", "xml-4527.xml", "xml-4557.xml"];
+
+function arquivo(originalname, buffer, mimetype = "text/xml") {
+  return { originalname, buffer, mimetype };
+}
+
+test("ZIP vira uma entrada por XML, ignorando pastas, __MACOSX e outros arquivos", () => {
+  const zip = new AdmZip();
+  for (const nome of AMOSTRAS) zip.addFile(`notas/${nome}`, Buffer.from(lerAmostra(nome)));
+  zip.addFile("__MACOSX/notas/._xml-4523.xml", Buffer.from("lixo"));
+  zip.addFile("notas/leiame.txt", Buffer.from("não é XML"));
+
+  const entradas = expandirArquivos([arquivo("janeiro.zip", zip.toBuffer(), "application/zip")]);
+  assert.deepEqual(entradas.map(e => e.nome), AMOSTRAS.map(nome => `janeiro.zip/notas/${nome}`));
+  assert.ok(entradas.every(e => e.xml.includes("<nfeProc")));
+});
+
+test("ZIP ilegível e XML malformado viram entradas com erro, sem perder os demais arquivos", () => {
+  const entradas = expandirArquivos([
+    arquivo("quebrado.zip", Buffer.from("não é zip"), "application/zip"),
+    arquivo("xml-4523.xml", Buffer.from(lerAmostra("xml-4523.xml"))),
+    arquivo("vazio.xml", Buffer.from("<enviNFe xmlns=\"http://www.portalfiscal.inf.br/nfe\"></enviNFe>"))
+  ]);
+  assert.equal(entradas.length, 3);
+  assert.match(entradas[0].erro, /^ZIP inválido/);
+  assert.equal(entradas[1].nome, "xml-4523.xml");
+  assert.ok(entradas[1].xml);
+  assert.match(entradas[2].erro, /Lote enviNFe não possui documentos/);
+});
+
+test("lote enviNFe vira um documento por NFe (arquivo#1, arquivo#2)", () => {
+  const nfes = AMOSTRAS.slice(0, 2).map(nome => extrairElementos(lerAmostra(nome), "NFe")[0]);
+  const lote = `<?xml version="1.0" encoding="UTF-8"?><enviNFe xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00"><idLote>1</idLote><indSinc>0</indSinc>${nfes.join("")}</enviNFe>`;
+
+  const entradas = expandirArquivos([arquivo("lote.xml", Buffer.from(lote))]);
+  assert.deepEqual(entradas.map(e => e.nome), ["lote.xml#1", "lote.xml#2"]);
+  assert.ok(entradas[0].xml.includes("NFe35250140116124000151550020000045231159295831"));
+});
+
+test("duplicidade (409) fica como duplicada; evento aguardando protocolo e outros erros, rejeitada", () => {
+  const duplicada = resultadoDeErro("a.xml", new ErroImportacao(409, "NFE já importada.", { notaExistente: { numero: "4523" } }));
+  assert.equal(duplicada.status, "duplicada");
+  assert.deepEqual(duplicada.notaExistente, { numero: "4523" });
+
+  const aguardando = resultadoDeErro("b.xml", new ErroImportacao(409, "Sem protocolo.", { aguardandoProtocolo: true }));
+  assert.equal(aguardando.status, "rejeitada");
+
+  const invalida = resultadoDeErro("c.xml", new ErroImportacao(422, "Chave inválida."));
+  assert.deepEqual(invalida, { arquivo: "c.xml", status: "rejeitada", motivo: "Chave inválida." });
+});
+
+test("resumo conta os resultados por status", () => {
+  const resumo = resumirResultados([
+    { status: "importada" }, { status: "importada" }, { status: "evento" },
+    { status: "protocolo" }, { status: "duplicada" }, { status: "rejeitada" }
+  ]);
+  assert.deepEqual(resumo, { total: 6, importadas: 2, eventos: 1, protocolos: 1, duplicadas: 1, rejeitadas: 1 });
+});
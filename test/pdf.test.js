@@ -0,0 +1,35 @@
+// test/pdf.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { danfeSemTarja, ERRO_NFCE_CANCELADA, regerarPdfNota } from "../src/services/pdf.js";
+
+// Nota falsa: save() só conta as gravações (sem MongoDB, qualquer acesso ao GridFS lança)
+function nota(campos) {
+  return { numero: "4523", xmlTexto: "<nfeProc/>", salvamentos: 0, async save() { this.salvamentos++; }, ...campos };
+}
+
+test("só a NFC-e cancelada fica sem DANFE", () => {
+  assert.equal(danfeSemTarja({ status: "cancelada", modelo: "65" }), true);
+  assert.equal(danfeSemTarja({ status: "autorizada", modelo: "65" }), false);
+  assert.equal(danfeSemTarja({ status: "cancelada", modelo: "55" }), false);
+  assert.equal(danfeSemTarja({ status: "cancelada" }), false);
+});
+
+test("NFC-e cancelada: o PDF não é gerado e a nota informa o motivo", async () => {
+  const cancelada = nota({ status: "cancelada", modelo: "65", pdfStatus: "pendente" });
+  await regerarPdfNota(cancelada);
+  assert.equal(cancelada.pdfStatus, "indisponivel");
+  assert.equal(cancelada.pdfErro, ERRO_NFCE_CANCELADA);
+  assert.equal(cancelada.pdfFileId, undefined);
+  assert.equal(cancelada.salvamentos, 1);
+});
+
+test("NFC-e cancelada: o DANFE anterior, sem a tarja, deixa de ser referenciado", async (t) => {
+  const avisos = t.mock.method(console, "warn", () => {});
+  const cancelada = nota({ status: "cancelada", modelo: "65", pdfFileId: "65a000000000000000000001", pdfStatus: "pronto" });
+  await regerarPdfNota(cancelada);
+  assert.equal(cancelada.pdfFileId, undefined);
+  assert.equal(cancelada.pdfStatus, "indisponivel");
+  // A remoção do arquivo antigo é tentada (aqui falha por não haver conexão, sem interromper)
+  assert.equal(avisos.mock.callCount(), 1);
+});
@@ -0,0 +1,143 @@
+// test/sped.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { ErroRequisicao } from "../src/utils/erros.js";
+import { gerarEfdIcmsIpi } from "../src/services/sped.js";
+import { carregarAmostra, listarAmostras } from "./amostras.js";
+
+const CNPJ_EMITENTE = "40116124000151";
+const empresa = new mongoose.Types.ObjectId();
+
+// Model falso: find().sort().lean() devolve as notas do período informado
+function modelo(notas) {
+  return {
+    find: filtro => ({
+      sort: () => ({
+        lean: async () => notas.filter(n => n.dataEmissao >= filtro.dataEmissao.$gte && n.dataEmissao <= filtro.dataEmissao.$lte)
+      })
+    })
+  };
+}
+
+async function notasDasAmostras() {
+  const notas = [];
+  for (const nome of listarAmostras()) {
+    const { dados } = await carregarAmostra(nome);
+    notas.push({ ...dados, _id: new mongoose.Types.ObjectId(), empresa, dataEmissao: new Date(dados.dataEmissao), status: "autorizada" });
+  }
+  return notas;
+}
+
+function lerLinhas(conteudo) {
+  assert.ok(conteudo.endsWith("\r\n"));
+  return conteudo.slice(0, -2).split("\r\n").map(linha => {
+    assert.match(linha, /^\|.*\|$/);
+    return linha.slice(1, -1).split("|");
+  });
+}
+
+async function gerarMarco(opcoes = {}) {
+  const notas = await notasDasAmostras();
+  const saidas = notas.filter(n => !opcoes.entradas?.includes(n.numero));
+  const entradas = notas.filter(n => opcoes.entradas?.includes(n.numero)).map(n => ({ ...n, emissaoPropria: false }));
+  const resultado = await gerarEfdIcmsIpi({ saidas: modelo(saidas), entradas: modelo(entradas) }, {
+    empresa, cnpj: "40.116.124/0001-51", dataInicio: "2025-03-01", dataFim: "2025-03-31"
+  });
+  return { ...resultado, linhas: lerLinhas(resultado.conteudo), notas: notas.filter(n => n.dataEmissao.getUTCMonth() === 2) };
+}
+
+test("contadores do bloco 9 conferem com os registros gerados", async () => {
+  const { linhas, totalLinhas } = await gerarMarco({ entradas: ["4627"] });
+  const porRegistro = new Map();
+  for (const [reg] of linhas) porRegistro.set(reg, (porRegistro.get(reg) || 0) + 1);
+
+  // 9900: um por tipo de registro, com a quantidade de linhas daquele registro
+  const totalizadores = linhas.filter(([reg]) => reg === "9900");
+  assert.equal(totalizadores.length, porRegistro.size);
+  for (const [, reg, quantidade] of totalizadores) {
+    assert.equal(Number(quantidade), porRegistro.get(reg), `9900 de ${reg}`);
+  }
+
+  // X990: linhas do bloco, contando a abertura e o próprio encerramento (o 9990 conta também o 9999)
+  for (const bloco of ["0", "B", "C", "D", "E", "G", "H", "K", "1", "9"]) {
+    const encerramento = linhas.find(([reg]) => reg === `${bloco}990`);
+    const doBloco = linhas.filter(([reg]) => reg[0] === bloco);
+    assert.equal(Number(encerramento[1]), doBloco.length, `${bloco}990`);
+  }
+
+  const [reg, total] = linhas.at(-1);
+  assert.equal(reg, "9999");
+  assert.equal(Number(total), linhas.length);
+  assert.equal(totalLinhas, linhas.length);
+  assert.deepEqual(linhas[0].slice(0, 7), ["0000", "019", "0", "01032025", "31032025", "EGP INDUSTRIA E COMERCIO DE EQUIPAMENTOS ELETRONICOS LTDA", CNPJ_EMITENTE]);
+});
+
+test("um C100 por nota do período, com C170 só na entrada de terceiros", async () => {
+  const { linhas, notas } = await gerarMarco({ entradas: ["4627"] });
+  const c100 = linhas.filter(([reg]) => reg === "C100");
+  assert.equal(c100.length, notas.length);
+  assert.deepEqual(c100.map(l => l[8]).sort(), notas.map(n => n.chaveNFe).sort());
+
+  const entrada = c100.find(l => l[8] === notas.find(n => n.numero === "4627").chaveNFe);
+  assert.deepEqual(entrada.slice(1, 3), ["0", "1"]);
+  const itensEntrada = notas.find(n => n.numero === "4627").itens.length;
+  assert.equal(linhas.filter(([reg]) => reg === "C170").length, itensEntrada);
+
+  // Saídas próprias: valor do documento igual ao vNF da nota
+  const saida = c100.find(l => l[1] === "1");
+  const nota = notas.find(n => n.chaveNFe === saida[8]);
+  assert.equal(saida[11], nota.totais.vNF.toFixed(2).replace(".", ","));
+});
+
+test("nota cancelada sai com C100 reduzido (COD_SIT 02) e sem C190", async () => {
+  const notas = (await notasDasAmostras()).filter(n => n.dataEmissao.getUTCMonth() === 2).slice(0, 2);
+  notas[0].status = "cancelada";
+  const { conteudo } = await gerarEfdIcmsIpi({ saidas: modelo(notas), entradas: modelo([]) }, {
+    empresa, cnpj: CNPJ_EMITENTE, dataInicio: "2025-03-01", dataFim: "2025-03-31"
+  });
+  const linhas = lerLinhas(conteudo);
+  const cancelada = linhas.find(l => l[0] === "C100" && l[8] === notas[0].chaveNFe);
+  assert.equal(cancelada[5], "02");
+  assert.ok(cancelada.slice(9).every(campo => campo === ""));
+
+  const c190PorNota = [];
+  for (const [reg] of linhas) {
+    if (reg === "C100") c190PorNota.push(0);
+    if (reg === "C190") c190PorNota[c190PorNota.length - 1]++;
+  }
+  assert.equal(c190PorNota[0], 0);
+  assert.ok(c190PorNota[1] > 0);
+});
+
+test("período sem notas ainda fecha os blocos e avisa que faltam os dados da empresa", async () => {
+  const { linhas, avisos } = await gerarEfdIcmsIpi({ saidas: modelo([]), entradas: modelo([]) }, {
+    empresa, cnpj: CNPJ_EMITENTE, dataInicio: "2024-01-01", dataFim: "2024-01-31"
+  }).then(r => ({ ...r, linhas: lerLinhas(r.conteudo) }));
+  assert.deepEqual(linhas.find(([reg]) => reg === "C001"), ["C001", "1"]);
+  assert.deepEqual(linhas.find(([reg]) => reg === "C990"), ["C990", "2"]);
+  assert.ok(avisos.some(a => a.startsWith("Nenhuma nota no período")));
+});
+
+test("cnpj e período inválidos são 400", async () => {
+  const modelos = { saidas: modelo([]), entradas: modelo([]) };
+  await assert.rejects(gerarEfdIcmsIpi(modelos, { empresa, cnpj: "123", dataInicio: "2025-03-01", dataFim: "2025-03-31" }),
+    err => err instanceof ErroRequisicao && err.status === 400 && /cnpj/.test(err.message));
+  await assert.rejects(gerarEfdIcmsIpi(modelos, { empresa, cnpj: CNPJ_EMITENTE, dataInicio: "2025-03-31", dataFim: "2025-03-01" }),
+    err => err instanceof ErroRequisicao && err.message === "Período inválido.");
+});
+
+test("NFC-e (modelo 65): C100 sem participante e sem ST, IPI, PIS e COFINS, fora do 0150", async () => {
+  const [nota] = (await notasDasAmostras()).filter(n => n.dataEmissao.getUTCMonth() === 2);
+  nota.xmlTexto = nota.xmlTexto.replace("<mod>55</mod>", "<mod>65</mod>");
+  const { conteudo } = await gerarEfdIcmsIpi({ saidas: modelo([nota]), entradas: modelo([]) }, {
+    empresa, cnpj: CNPJ_EMITENTE, dataInicio: "2025-03-01", dataFim: "2025-03-31"
+  });
+  const linhas = lerLinhas(conteudo);
+  const c100 = linhas.find(([reg]) => reg === "C100");
+  assert.equal(c100.length, 29);
+  assert.equal(c100[3], "");
+  assert.equal(c100[4], "65");
+  assert.ok(c100.slice(22).every(campo => campo === ""));
+  assert.equal(linhas.filter(([reg]) => reg === "0150").length, 0);
+});
@@ -0,0 +1,60 @@
+// test/validacaoTotais.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validarTotais } from "../src/services/validacaoTotais.js";
+import { carregarAmostra, lerAmostra, listarAmostras } from "./amostras.js";
+
+// Amostra com o primeiro <campo> do XML trocado (o XML não é reassinado: só os totais importam aqui)
+function alterarCampo(xml, campo, alterar) {
+  return xml.replace(new RegExp(`<${campo}>([^<]*)</${campo}>`), (_, valor) => `<${campo}>${alterar(Number(valor))}</${campo}>`);
+}
+
+test("totais de todas as amostras conferem com os itens", async () => {
+  for (const nome of listarAmostras()) {
+    const { dados } = await carregarAmostra(nome);
+    assert.deepEqual(validarTotais(dados), [], nome);
+  }
+});
+
+test("vNF diferente da composição dos totais", async () => {
+  const xml = alterarCampo(lerAmostra("xml-4523.xml"), "vNF", valor => (valor + 5).toFixed(2));
+  const { dados } = await carregarAmostra("xml-4523.xml", xml);
+
+  const advertencias = validarTotais(dados);
+  assert.equal(advertencias.length, 1);
+  assert.equal(advertencias[0].codigo, "total_vnf");
+  assert.equal(advertencias[0].informado, advertencias[0].esperado + 5);
+});
+
+test("ICMSTot.vProd diferente da soma dos itens", async () => {
+  const original = await carregarAmostra("xml-4557.xml");
+  const xml = lerAmostra("xml-4557.xml").replace(/(<ICMSTot>[\s\S]*?)<vProd>([^<]*)<\/vProd>/,
+    (_, antes, valor) => `${antes}<vProd>${(Number(valor) - 1).toFixed(2)}</vProd>`);
+  const { dados } = await carregarAmostra("xml-4557.xml", xml);
+
+  const codigos = validarTotais(dados).map(a => a.codigo);
+  assert.ok(codigos.includes("total_vprod"), codigos.join(", "));
+  const vProd = validarTotais(dados).find(a => a.codigo === "total_vprod");
+  assert.equal(vProd.esperado, original.dados.totais.vProd);
+});
+
+test("item com vProd diferente de qCom × vUnCom aponta o nItem", async () => {
+  const { dados } = await carregarAmostra("xml-4557.xml");
+  const itens = dados.itens.map((item, i) => (i === 1 ? { ...item, qCom: item.qCom + 1 } : item));
+
+  const [advertencia] = validarTotais({ ...dados, itens });
+  assert.equal(advertencia.codigo, "item_vprod");
+  assert.equal(advertencia.nItem, dados.itens[1].nItem);
+  assert.match(advertencia.mensagem, new RegExp(`^Item ${dados.itens[1].nItem}: vProd`));
+});
+
+test("total de imposto diferente da soma dos itens e tolerância de um centavo", async () => {
+  const { dados } = await carregarAmostra("xml-4523.xml");
+
+  const umCentavo = { ...dados.totais, vICMS: dados.totais.vICMS + 0.01 };
+  assert.deepEqual(validarTotais({ ...dados, totais: umCentavo }), []);
+
+  const divergente = { ...dados.totais, vICMS: dados.totais.vICMS + 0.5 };
+  const advertencias = validarTotais({ ...dados, totais: divergente });
+  assert.deepEqual(advertencias.map(a => [a.codigo, a.campo]), [["total_campo", "vICMS"]]);
+});
@@ -0,0 +1,142 @@
+// test/webhooks.test.js
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Webhook } from "../src/models/Webhook.js";
+import { EntregaWebhook } from "../src/models/EntregaWebhook.js";
+import { Nota } from "../src/models/Nota.js";
+import { NotaCompra } from "../src/models/NotaCompra.js";
+import {
+  iniciarEntregasWebhook,
+  marcadorEvento,
+  materializarEventosPendentes,
+  processarProximaEntrega,
+  validarUrlWebhook
+} from "../src/services/webhooks.js";
+
+const empresa = new mongoose.Types.ObjectId();
+
+// Coleções em memória: notas com eventos pendentes, entregas gravadas e reservas da fila
+let notas;
+let entregas;
+let reservas;
+let falharNota;
+
+function consulta(resultado) {
+  const cadeia = { setOptions: () => cadeia, select: () => cadeia, limit: () => cadeia, lean: async () => resultado() };
+  return cadeia;
+}
+
+Nota.find = filtro => consulta(() => notas
+  .filter(n => n.webhooksPendentes.length > 0 && !filtro._id.$nin.some(id => id.equals(n._id)))
+  .map(n => ({ ...n, webhooksPendentes: [...n.webhooksPendentes] })));
+Nota.updateOne = (filtro, alteracao) => ({
+  setOptions: async () => {
+    const nota = notas.find(n => n._id.equals(filtro._id));
+    const ids = alteracao.$pull.webhooksPendentes.id.$in;
+    nota.webhooksPendentes = nota.webhooksPendentes.filter(m => !ids.includes(m.id));
+  }
+});
+NotaCompra.find = () => consulta(() => []);
+Webhook.find = () => ({ select: async () => [{ _id: "webhook-1" }] });
+EntregaWebhook.insertMany = async novas => {
+  if (novas.some(e => e.payload.dados.numero === falharNota)) throw new Error("conexão perdida");
+  entregas.push(...novas);
+};
+EntregaWebhook.findOneAndUpdate = async () => {
+  reservas++;
+  return null;
+};
+
+// Deixa o primeiro ciclo do worker terminar antes de parar
+async function rodarCiclo() {
+  const worker = iniciarEntregasWebhook({ intervalo: 60000 });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await worker.parar();
+}
+
+function criarNota(numero) {
+  const nota = { _id: new mongoose.Types.ObjectId(), empresa, numero, webhooksPendentes: [marcadorEvento("nota.importada")] };
+  notas.push(nota);
+  return nota;
+}
+
+beforeEach(t => {
+  notas = [];
+  entregas = [];
+  reservas = 0;
+  falharNota = null;
+  t.mock.method(console, "error", () => {});
+});
+
+test("erro numa nota não impede as outras e a nota com erro fica de fora no mesmo ciclo", async () => {
+  const comErro = criarNota("1");
+  const ok = criarNota("2");
+  falharNota = "1";
+
+  const falhas = new Set();
+  assert.equal(await materializarEventosPendentes(falhas), 2);
+  assert.deepEqual(entregas.map(e => e.payload.dados.numero), ["2"]);
+  assert.equal(ok.webhooksPendentes.length, 0);
+  // O evento continua na nota para o próximo ciclo
+  assert.equal(comErro.webhooksPendentes.length, 1);
+  assert.deepEqual([...falhas], [comErro._id]);
+
+  assert.equal(await materializarEventosPendentes(falhas), 0);
+});
+
+test("o ciclo do worker entrega a caixa de saída mesmo com erro ao levar os eventos", async () => {
+  criarNota("1");
+  criarNota("2");
+  falharNota = "1";
+
+  await rodarCiclo();
+  assert.deepEqual(entregas.map(e => e.payload.dados.numero), ["2"]);
+  assert.equal(reservas, 1);
+});
+
+test("erro ao consultar as notas também não segura as entregas", async () => {
+  const find = Nota.find;
+  Nota.find = () => consulta(() => { throw new Error("MongoDB indisponível"); });
+  try {
+    await rodarCiclo();
+    assert.equal(reservas, 1);
+  } finally {
+    Nota.find = find;
+  }
+});
+
+test("url de webhook na rede interna é 400, inclusive IPv6 e IPv4 mapeado", async () => {
+  const internas = [
+    "http://127.0.0.1:8080/", "http://localhost/", "http://10.1.2.3/", "http://172.20.0.1/", "http://192.168.0.10/",
+    "http://169.254.169.254/latest/meta-data/", "http://100.64.0.1/", "http://0.0.0.0/", "http://2130706433/",
+    "http://[::1]/", "http://[fd00::1]/", "http://[fe80::1]/", "http://[::ffff:192.168.0.1]/"
+  ];
+  for (const url of internas) {
+    await assert.rejects(validarUrlWebhook(url), { status: 400, message: /rede interna/ }, url);
+  }
+  await assert.rejects(validarUrlWebhook("ftp://8.8.8.8/"), { status: 400, message: "url deve usar http ou https." });
+  await assert.rejects(validarUrlWebhook("não é url"), { status: 400, message: "url inválida." });
+  assert.equal(await validarUrlWebhook("https://8.8.8.8/entregas"), "https://8.8.8.8/entregas");
+});
+
+test("WEBHOOK_HOSTS_PERMITIDOS libera hosts da rede interna", async t => {
+  t.after(() => { delete process.env.WEBHOOK_HOSTS_PERMITIDOS; });
+  process.env.WEBHOOK_HOSTS_PERMITIDOS = "receptor.local, LOCALHOST";
+  assert.equal(await validarUrlWebhook("http://localhost:4000/"), "http://localhost:4000/");
+  await assert.rejects(validarUrlWebhook("http://127.0.0.1:4000/"), { status: 400 });
+});
+
+test("entrega para url que passou a apontar para a rede interna não faz o POST", async t => {
+  const envios = t.mock.method(globalThis, "fetch", async () => new Response("ok"));
+  const entrega = { _id: new mongoose.Types.ObjectId(), webhook: "webhook-1", evento: "nota.importada", payload: {}, tentativas: 1, maxTentativas: 8 };
+  const atualizacoes = [];
+  t.mock.method(EntregaWebhook, "findOneAndUpdate", async () => entrega);
+  t.mock.method(EntregaWebhook, "updateOne", async (filtro, alteracao) => { atualizacoes.push(alteracao); });
+  Webhook.findById = async () => ({ ativo: true, url: "http://127.0.0.1:9/", segredo: "whsec_teste" });
+
+  await processarProximaEntrega();
+  assert.equal(envios.mock.callCount(), 0);
+  assert.equal(atualizacoes[0].$set.status, "pendente");
+  assert.match(atualizacoes[0].$push.historico.erro, /rede interna \(127\.0\.0\.1\)/);
+});